@@ -0,0 +1,135 @@
+'use strict';
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { existsSync, mkdirSync, lstatSync, realpathSync } = require('fs');
+
+/**
+ * Local disk persistence for the optimized storage adapter (default backend)
+ *
+ * Keys are storage-relative paths (2026/01/photo.webp). Every access is
+ * confined to storagePath: "..", absolute paths, backslashes, NUL bytes and
+ * symlinks that point out of the root are rejected.
+ */
+class LocalBackend {
+  constructor(config = {}) {
+    this.storagePath = config.storagePath;
+    this.local = true;
+
+    // Ensure storage directory exists
+    if (!existsSync(this.storagePath)) {
+      mkdirSync(this.storagePath, { recursive: true });
+    }
+
+    // Canonical root every file-system access must stay inside
+    this.root = realpathSync(path.resolve(this.storagePath));
+  }
+
+  /**
+   * Resolve a key to an absolute path inside storagePath
+   * Throws for anything that escapes the root
+   */
+  resolve(key) {
+    if (typeof key !== 'string' || /[\0\\]/.test(key)) {
+      throw new Error(`Invalid storage path: ${key}`);
+    }
+
+    const resolved = path.resolve(this.root, key.replace(/^\/+/, ''));
+    return this.assertWithin(resolved);
+  }
+
+  /**
+   * Ensure an absolute path (after following symlinks) is inside storagePath
+   * Paths that don't exist yet are checked through their deepest existing parent
+   */
+  assertWithin(fullPath) {
+    const isInside = candidate =>
+      candidate === this.root || candidate.startsWith(this.root + path.sep);
+
+    if (!isInside(path.resolve(fullPath))) {
+      throw new Error(`Path is outside storage: ${fullPath}`);
+    }
+
+    // Find the deepest part of the path that exists (lstat so dangling
+    // symlinks count as existing and get rejected by realpath below)
+    let existing = path.resolve(fullPath);
+    while (existing !== this.root) {
+      try {
+        lstatSync(existing);
+        break;
+      } catch {
+        existing = path.dirname(existing);
+      }
+    }
+
+    let real;
+    try {
+      real = realpathSync(existing);
+    } catch {
+      throw new Error(`Path is outside storage: ${fullPath}`);
+    }
+    if (!isInside(real)) {
+      throw new Error(`Path is outside storage: ${fullPath}`);
+    }
+
+    return path.resolve(fullPath);
+  }
+
+  /**
+   * Write atomically (temp file, then rename) so serve() never streams
+   * a half-written file
+   */
+  async write(key, buffer) {
+    const fullPath = this.resolve(key);
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+
+    const tmpPath = this.assertWithin(`${fullPath}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+    try {
+      await fs.writeFile(tmpPath, buffer);
+      await fs.rename(tmpPath, this.assertWithin(fullPath));
+    } catch (err) {
+      await fs.rm(tmpPath, { force: true });
+      throw err;
+    }
+  }
+
+  async read(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async exists(key) {
+    try {
+      await fs.access(this.resolve(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async delete(key) {
+    const fullPath = this.resolve(key);
+    if (existsSync(fullPath)) {
+      await fs.unlink(fullPath);
+    }
+  }
+
+  /**
+   * List keys under a directory prefix (recursive)
+   */
+  async list(prefix) {
+    const dir = this.resolve(prefix);
+    if (!existsSync(dir)) return [];
+
+    const entries = await fs.readdir(dir, { recursive: true, withFileTypes: true });
+    return entries
+      .filter(entry => entry.isFile())
+      .map(entry => path.relative(this.root, path.join(entry.parentPath || entry.path, entry.name)));
+  }
+
+  url(key) {
+    return `/content/images/${key}`;
+  }
+}
+
+module.exports = LocalBackend;
@@ -0,0 +1,153 @@
+'use strict';
+
+const path = require('path');
+
+/**
+ * S3-compatible persistence for the optimized storage adapter
+ *
+ * Works with AWS S3, Cloudflare R2, Backblaze B2, MinIO and friends.
+ * Keys mirror the local layout (2026/01/photo.webp) under an optional
+ * prefix, and URLs point at the CDN in front of the bucket.
+ *
+ * Requires @aws-sdk/client-s3 (only loaded when this backend is used).
+ */
+function loadSdk() {
+  try {
+    return require('@aws-sdk/client-s3');
+  } catch (err) {
+    throw new Error('The s3 storage backend requires @aws-sdk/client-s3 (npm install @aws-sdk/client-s3)');
+  }
+}
+
+class S3Backend {
+  constructor(config = {}) {
+    if (!config.bucket) {
+      throw new Error('The s3 storage backend requires a bucket');
+    }
+
+    this.sdk = loadSdk();
+    this.local = false;
+    this.bucket = config.bucket;
+
+    // Optional key prefix inside the bucket, e.g. "content/images/"
+    const prefix = (config.prefix || '').replace(/^\/+|\/+$/g, '');
+    this.prefix = prefix ? `${prefix}/` : '';
+
+    // Public base URL for stored objects (CDN or bucket website endpoint)
+    const defaultUrl = config.endpoint
+      ? `${config.endpoint.replace(/\/+$/, '')}/${this.bucket}`
+      : `https://${this.bucket}.s3.${config.region || 'us-east-1'}.amazonaws.com`;
+    this.cdnUrl = (config.cdnUrl || defaultUrl).replace(/\/+$/, '');
+
+    // Hashed filenames never change, so objects can be cached forever
+    this.cacheControl = config.cacheControl || 'public, max-age=31536000, immutable';
+
+    // Credentials fall back to the SDK's default chain (env vars, profiles)
+    this.client = config.client || new this.sdk.S3Client({
+      region: config.region || 'auto',
+      endpoint: config.endpoint,
+      forcePathStyle: config.forcePathStyle !== undefined ? config.forcePathStyle : !!config.endpoint,
+      credentials: config.accessKeyId
+        ? { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey }
+        : undefined
+    });
+  }
+
+  /**
+   * Map a storage key to an object key, rejecting traversal
+   */
+  resolve(key) {
+    if (typeof key !== 'string' || /[\0\\]/.test(key)) {
+      throw new Error(`Invalid storage path: ${key}`);
+    }
+
+    const normalized = path.posix.normalize(key.replace(/^\/+/, ''));
+    if (normalized === '.' || normalized === '..' || normalized.startsWith('../')) {
+      throw new Error(`Path is outside storage: ${key}`);
+    }
+    return `${this.prefix}${normalized}`;
+  }
+
+  static isNotFound(err) {
+    return err.name === 'NotFound' || err.name === 'NoSuchKey' ||
+      (err.$metadata && err.$metadata.httpStatusCode === 404);
+  }
+
+  /**
+   * options.cacheControl overrides the default for objects that change
+   * (e.g. the placeholder manifest)
+   */
+  async write(key, buffer, contentType, options = {}) {
+    await this.client.send(new this.sdk.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.resolve(key),
+      Body: buffer,
+      ContentType: contentType,
+      CacheControl: options.cacheControl || this.cacheControl
+    }));
+  }
+
+  async read(key) {
+    const response = await this.client.send(new this.sdk.GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.resolve(key)
+    }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  async exists(key) {
+    let objectKey;
+    try {
+      objectKey = this.resolve(key);
+    } catch {
+      return false;
+    }
+
+    try {
+      await this.client.send(new this.sdk.HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: objectKey
+      }));
+      return true;
+    } catch (err) {
+      if (S3Backend.isNotFound(err)) return false;
+      throw err;
+    }
+  }
+
+  async delete(key) {
+    await this.client.send(new this.sdk.DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.resolve(key)
+    }));
+  }
+
+  /**
+   * List keys under a directory prefix (recursive, follows pagination)
+   */
+  async list(prefix) {
+    const objectPrefix = this.resolve(prefix).replace(/\/?$/, '/');
+    const keys = [];
+    let ContinuationToken;
+
+    do {
+      const response = await this.client.send(new this.sdk.ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: objectPrefix,
+        ContinuationToken
+      }));
+      for (const object of response.Contents || []) {
+        keys.push(object.Key.slice(this.prefix.length));
+      }
+      ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+
+    return keys;
+  }
+
+  url(key) {
+    return `${this.cdnUrl}/${encodeURI(this.resolve(key))}`;
+  }
+}
+
+module.exports = S3Backend;
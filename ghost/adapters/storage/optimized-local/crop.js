@@ -0,0 +1,134 @@
+'use strict';
+
+const path = require('path');
+const sharp = require('sharp');
+
+/**
+ * Art-directed crops
+ *
+ * Shared by the storage adapter (size/wNNNhNNN/ URLs) and
+ * scripts/optimize-images.js (a context's `crops`). A crop is the largest
+ * region of the image with the requested aspect ratio. It is centred on the
+ * image's focal point when it has one, otherwise sharp places it: 'attention'
+ * keeps the most salient region (faces, skin, saturated detail), 'entropy'
+ * the busiest one, 'centre' the middle.
+ *
+ * A focal point is a sidecar next to the image, photo.focal.json for
+ * photo.jpg, holding fractions of the width and height from the top left:
+ *
+ *   { "x": 0.5, "y": 0.3 }
+ */
+
+const FOCAL_SUFFIX = '.focal.json';
+const STRATEGIES = ['attention', 'entropy', 'centre'];
+
+/**
+ * Parse an aspect ratio: '16:9', '16x9' or [16, 9] -> { width: 16, height: 9 }
+ * An already parsed ratio is returned checked.
+ */
+function parseAspect(aspect) {
+  const [width, height] = Array.isArray(aspect) ? aspect
+    : typeof aspect === 'object' && aspect ? [aspect.width, aspect.height]
+      : String(aspect).split(/[:x]/).map(Number);
+  if (!(width > 0) || !(height > 0)) {
+    throw new Error(`Invalid aspect ratio: ${aspect}`);
+  }
+  return { width, height };
+}
+
+/**
+ * File-name form of an aspect ratio: '16:9' -> '16x9'
+ */
+function aspectSlug(aspect) {
+  const { width, height } = parseAspect(aspect);
+  return `${width}x${height}`;
+}
+
+/**
+ * Check a crop strategy name, so a typo fails loudly instead of cropping centred
+ */
+function resolveStrategy(strategy = 'attention') {
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown crop strategy: ${strategy} (expected ${STRATEGIES.join(', ')})`);
+  }
+  return strategy;
+}
+
+/**
+ * Sidecar path for an image: 2026/01/photo.jpg -> 2026/01/photo.focal.json
+ */
+function focalPointPath(imagePath) {
+  return path.join(path.dirname(imagePath), path.basename(imagePath, path.extname(imagePath)) + FOCAL_SUFFIX);
+}
+
+/**
+ * Parse sidecar contents; throws unless x and y are numbers from 0 to 1
+ */
+function parseFocalPoint(data) {
+  const focal = JSON.parse(data.toString('utf8'));
+  const valid = value => typeof value === 'number' && value >= 0 && value <= 1;
+  if (!focal || !valid(focal.x) || !valid(focal.y)) {
+    throw new Error('Focal point must be { "x": 0-1, "y": 0-1 }');
+  }
+  return { x: focal.x, y: focal.y };
+}
+
+/**
+ * Largest region of a width x height image with the aspect ratio, centred on
+ * the focal point as far as the image's edges allow
+ */
+function cropRegion(width, height, aspect, focal = { x: 0.5, y: 0.5 }) {
+  const ratio = aspect.width / aspect.height;
+  const regionWidth = Math.min(width, Math.round(height * ratio));
+  const regionHeight = Math.min(height, Math.round(regionWidth / ratio));
+  const place = (centre, size, max) => Math.min(Math.max(Math.round(centre - size / 2), 0), max - size);
+
+  return {
+    left: place(focal.x * width, regionWidth, width),
+    top: place(focal.y * height, regionHeight, height),
+    width: regionWidth,
+    height: regionHeight
+  };
+}
+
+/**
+ * Output size of a crop: `width` (or the whole region when omitted), never
+ * wider than the region so nothing is enlarged
+ */
+function cropSize(imageSize, aspect, width) {
+  const region = cropRegion(imageSize.width, imageSize.height, aspect);
+  const cropWidth = Math.min(width || region.width, region.width);
+  return { width: cropWidth, height: Math.round(cropWidth * aspect.height / aspect.width) };
+}
+
+/**
+ * Add a crop to a sharp pipeline
+ * imageSize is the image as displayed (after EXIF rotation, which the
+ * pipeline must already apply). options: { aspect, width, focal, strategy }
+ */
+function applyCrop(pipeline, imageSize, { aspect, width, focal, strategy }) {
+  const size = cropSize(imageSize, aspect, width);
+
+  if (focal) {
+    return pipeline
+      .extract(cropRegion(imageSize.width, imageSize.height, aspect, focal))
+      .resize(size.width, size.height, { fit: 'cover' });
+  }
+
+  const resolved = resolveStrategy(strategy);
+  const position = resolved === 'centre' ? 'centre' : sharp.strategy[resolved];
+  return pipeline.resize(size.width, size.height, { fit: 'cover', position });
+}
+
+module.exports = {
+  FOCAL_SUFFIX,
+  STRATEGIES,
+  parseAspect,
+  aspectSlug,
+  resolveStrategy,
+  focalPointPath,
+  parseFocalPoint,
+  cropRegion,
+  cropSize,
+  applyCrop
+};
@@ -2,16 +2,70 @@
 
 const path = require('path');
 const fs = require('fs').promises;
-const { existsSync, createReadStream, mkdirSync } = require('fs');
+const { existsSync, createReadStream, readFileSync } = require('fs');
 const sharp = require('sharp');
 const crypto = require('crypto');
 const StorageBase = require('ghost-storage-base');
+const {
+  resolvePolicy,
+  getKeptExif,
+  applyMetadataPolicy,
+  sanitizeOriginal
+} = require('./metadata-policy');
+const LocalBackend = require('./backends/local');
+const S3Backend = require('./backends/s3');
+const JobQueue = require('./job-queue');
+const { VIDEO_FORMATS, transcodeAnimation, extractPoster } = require('./media');
+const { MANIFEST_NAME, createPlaceholder, serializeManifest } = require('./placeholder');
+const {
+  FOCAL_SUFFIX,
+  parseAspect,
+  resolveStrategy,
+  focalPointPath,
+  parseFocalPoint,
+  applyCrop
+} = require('./crop');
+
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.json': 'application/json'
+};
+
+function contentTypeFor(fileName) {
+  return MIME_TYPES[path.extname(fileName).toLowerCase()];
+}
+
+/**
+ * Parse an Accept header into a Map of media type -> quality (0-1)
+ * Entries without a q parameter count as 1
+ */
+function parseAccept(header) {
+  const accepted = new Map();
+  for (const entry of (header || '').split(',')) {
+    const [type, ...params] = entry.split(';').map(part => part.trim());
+    if (!type) continue;
+    const q = params.find(param => param.startsWith('q='));
+    const quality = q ? parseFloat(q.slice(2)) : 1;
+    accepted.set(type.toLowerCase(), Number.isNaN(quality) ? 1 : Math.min(Math.max(quality, 0), 1));
+  }
+  return accepted;
+}
 
 /**
  * Ghost storage adapter with Sharp-based image optimization
  *
- * Generates optimized WebP versions and responsive sizes on upload.
- * Keeps original for fallback.
+ * Generates optimized WebP versions and responsive sizes on upload, in a
+ * background queue so save() returns as soon as the original is stored.
+ * Keeps original for fallback. Persistence is delegated to a backend:
+ * local disk by default, or an S3-compatible bucket.
  */
 class OptimizedLocalStorage extends StorageBase {
   constructor(config = {}) {
@@ -23,19 +77,188 @@ class OptimizedLocalStorage extends StorageBase {
     // Responsive sizes to generate
     this.sizes = config.sizes || [600, 1000, 1600, 2000];
 
+    // Widths serve() may generate on demand for size/wNNN/ URLs. Limited to
+    // an allow-list so arbitrary widths can't be used to fill the disk.
+    // Defaults cover the theme's image_sizes (150/300/600/1000/2000).
+    this.allowedSizes = config.allowedSizes || [...new Set([150, 300, 600, 1000, 2000, ...this.sizes])];
+
+    // Cropped sizes serve() may generate on demand for size/wNNNhNNN/ URLs
+    // (img_url with a theme image size that sets a height). The default
+    // covers the theme's "reel" size (600x400) for carousel thumbnails.
+    this.crops = (config.crops || ['600x400']).map(crop => parseAspect(crop));
+
+    // Where crops are centred when an image has no focal point sidecar
+    // (<base>.focal.json): 'attention', 'entropy' or 'centre'
+    this.cropStrategy = resolveStrategy(config.cropStrategy || 'attention');
+
+    // Cache-Control max-age (seconds) for files without a hashed filename
+    this.maxAge = config.maxAge !== undefined ? config.maxAge : 3600;
+
+    // In-flight on-demand resizes, so concurrent requests share one job
+    this.pendingResizes = new Map();
+
     // WebP quality (0-100, 80-85 is good balance)
     this.quality = config.quality || 82;
 
+    // Per-format output settings. AVIF compresses harder than WebP, so a
+    // lower quality number gives comparable visual results.
+    // Set `formats.avif` to false to skip AVIF generation entirely.
+    const formats = config.formats || {};
+    this.formats = {
+      webp: { quality: this.quality, ...formats.webp }
+    };
+    if (formats.avif !== false) {
+      this.formats.avif = { quality: 60, ...formats.avif };
+    }
+
+    // Content negotiation order for serve(), best compression first
+    this.formatPreference = ['avif', 'webp'].filter(format => this.formats[format]);
+
+    // sharp can't encode animated AVIF, so animations only get WebP
+    this.animatedFormats = this.formatPreference.filter(format => format !== 'avif');
+
+    // Animated GIFs are also transcoded for <video>, and video uploads get a
+    // poster frame. Both need the ffmpeg binary; without it they're skipped.
+    const video = config.video || {};
+    this.ffmpegPath = video.ffmpegPath || 'ffmpeg';
+    this.videoFormats = (video.formats || VIDEO_FORMATS).filter(format => VIDEO_FORMATS.includes(format));
+    this.videoPosters = video.posters !== false;
+    this.videoExtensions = ['.mp4', '.webm'];
+
     // Whether to keep original file
     this.keepOriginal = config.keepOriginal !== false;
 
+    // Privacy policy applied to the original and every derivative:
+    // auto-orient, strip EXIF/GPS, optionally keep ICC profile and copyright
+    this.metadataPolicy = resolvePolicy(config.metadata);
+
+    // Quality used when an original has to be re-encoded to apply the policy
+    this.originalQuality = config.originalQuality || 90;
+
+    // Reuse the stored URL when identical content is uploaded again.
+    // The content-hash index lives next to the images so it survives restarts.
+    this.deduplicate = config.deduplicate !== false;
+    this.indexPath = config.indexPath || path.join(this.storagePath, '.dedup-index.json');
+    this.index = null;
+    this.indexWrite = Promise.resolve();
+
+    // Blurred preview + dominant colour per image, kept in placeholders.json
+    // at the storage root for the theme to show while images load
+    this.placeholders = config.placeholders !== false;
+    this.manifest = null;
+    this.manifestWrite = Promise.resolve();
+
     // Image extensions we can optimize
     this.optimizableExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.tiff', '.webp'];
 
-    // Ensure storage directory exists
-    if (!existsSync(this.storagePath)) {
-      mkdirSync(this.storagePath, { recursive: true });
+    // Local disk under storagePath. Always present: it holds the dedup
+    // index, and it is where serve() streams from for the default backend.
+    this.local = new LocalBackend({ storagePath: this.storagePath });
+    this.storageRoot = this.local.root;
+
+    // Where originals and derivatives are persisted
+    this.backend = this.createBackend(config);
+
+    // Derivatives are generated in the background after save() returns.
+    // The job list is persisted next to the images so a restart resumes it.
+    // Set `queue` to false to generate them inline instead.
+    if (config.queue !== false) {
+      const queueConfig = config.queue || {};
+      this.queue = new JobQueue({
+        persistPath: queueConfig.path || path.join(this.storagePath, '.jobs.json'),
+        concurrency: queueConfig.concurrency || 1,
+        maxAttempts: queueConfig.maxAttempts || 3,
+        retryDelay: queueConfig.retryDelay,
+        handler: job => this.runDerivativeJob(job)
+      });
+      this.queue.start();
+    } else {
+      this.queue = null;
+    }
+  }
+
+  /**
+   * Pick the persistence backend: "local" (default), "s3", or an object
+   * implementing write/read/exists/delete/list/resolve/url
+   */
+  createBackend(config) {
+    if (!config.backend || config.backend === 'local') {
+      return this.local;
+    }
+    if (config.backend === 's3') {
+      return new S3Backend(config.s3);
+    }
+    if (typeof config.backend === 'object') {
+      return config.backend;
+    }
+    throw new Error(`Unknown storage backend: ${config.backend}`);
+  }
+
+  /**
+   * Resolve a storage-relative path to an absolute path inside storagePath
+   * Throws for anything that escapes the root (.., absolute paths,
+   * backslashes, NUL bytes, symlinks pointing outside)
+   */
+  resolveStoragePath(relativePath) {
+    return this.local.resolve(relativePath);
+  }
+
+  /**
+   * Ensure an absolute path (after following symlinks) is inside storagePath
+   */
+  assertWithinStorage(fullPath) {
+    return this.local.assertWithin(fullPath);
+  }
+
+  /**
+   * Like resolveStoragePath(), but returns null instead of throwing
+   */
+  safeStoragePath(relativePath) {
+    try {
+      return this.resolveStoragePath(relativePath);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a key is valid and stays inside the backend's root
+   */
+  isValidKey(key) {
+    try {
+      this.backend.resolve(key);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Map an image URL to its location in storage (required by ghost-storage-base)
+   * Accepts absolute URLs and paths, with or without a subdirectory prefix.
+   * Returns the path on disk, or the object key for remote backends.
+   */
+  urlToPath(url) {
+    // Remote backends hand out CDN URLs
+    if (this.backend.cdnUrl && url.startsWith(`${this.backend.cdnUrl}/`)) {
+      const objectKey = decodeURI(url.slice(this.backend.cdnUrl.length + 1));
+      return this.backend.resolve(objectKey.slice(this.backend.prefix.length));
+    }
+
+    let pathname = url;
+    try {
+      pathname = new URL(url).pathname;
+    } catch {
+      // Not an absolute URL - treat as a path
     }
+
+    const prefix = '/content/images/';
+    const index = pathname.indexOf(prefix);
+    if (index === -1) {
+      throw new Error(`URL is not a stored image: ${url}`);
+    }
+
+    return this.backend.resolve(decodeURIComponent(pathname.slice(index + prefix.length)));
   }
 
   /**
@@ -46,6 +269,13 @@ class OptimizedLocalStorage extends StorageBase {
     return this.optimizableExtensions.includes(ext);
   }
 
+  /**
+   * Check if file is a video that gets a poster frame
+   */
+  isVideo(filePath) {
+    return this.videoExtensions.includes(path.extname(filePath).toLowerCase());
+  }
+
   /**
    * Generate a unique filename to avoid collisions
    */
@@ -69,33 +299,183 @@ class OptimizedLocalStorage extends StorageBase {
   }
 
   /**
-   * Save uploaded file with optimization
+   * Load the content-hash index from disk (once)
+   * Maps sha256 -> { url, dir, name, refs }
+   */
+  loadIndex() {
+    if (this.index) return this.index;
+
+    try {
+      this.index = JSON.parse(readFileSync(this.indexPath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('Error reading dedup index, starting empty:', err.message);
+      }
+      this.index = {};
+    }
+    return this.index;
+  }
+
+  /**
+   * Persist the index atomically (write temp file, then rename)
+   * Writes are chained so concurrent saves can't interleave
+   */
+  persistIndex() {
+    const data = JSON.stringify(this.index, null, 2);
+    this.indexWrite = this.indexWrite
+      .catch(() => {})
+      .then(async () => {
+        const tmpPath = `${this.indexPath}.tmp`;
+        await fs.writeFile(tmpPath, data);
+        await fs.rename(tmpPath, this.indexPath);
+      });
+    return this.indexWrite;
+  }
+
+  /**
+   * Find the index entry for a stored file (any of its variants)
+   */
+  findIndexEntry(fileName, dir) {
+    const index = this.loadIndex();
+    const base = path.basename(fileName, path.extname(fileName));
+
+    for (const [hash, entry] of Object.entries(index)) {
+      if (entry.dir === dir && path.basename(entry.name, path.extname(entry.name)) === base) {
+        return { hash, entry };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Load the placeholder manifest through the backend (once)
+   * Maps storage key without extension -> { width, height, color, preview }
+   */
+  loadManifest() {
+    if (!this.manifest) {
+      this.manifest = this.backend.read(MANIFEST_NAME)
+        .then(data => JSON.parse(data.toString('utf8')))
+        .catch(async err => {
+          if (err instanceof SyntaxError || await this.backend.exists(MANIFEST_NAME)) {
+            console.error('Error reading placeholder manifest, starting empty:', err.message);
+          }
+          return {};
+        });
+    }
+    return this.manifest;
+  }
+
+  /**
+   * Set (or with null, remove) a manifest entry and persist the manifest
+   * Writes are chained so concurrent jobs can't interleave
+   */
+  async updateManifest(key, entry) {
+    const manifest = await this.loadManifest();
+    if (entry) {
+      manifest[key] = entry;
+    } else if (manifest[key]) {
+      delete manifest[key];
+    } else {
+      return;
+    }
+
+    const data = Buffer.from(serializeManifest(manifest));
+    this.manifestWrite = this.manifestWrite
+      .catch(() => {})
+      .then(() => this.backend.write(MANIFEST_NAME, data, 'application/json', { cacheControl: 'no-cache' }));
+    return this.manifestWrite;
+  }
+
+  /**
+   * Add an image's placeholder to the manifest. Failures only cost the
+   * placeholder, so they're logged rather than failing the upload.
+   */
+  async recordPlaceholder(buffer, key) {
+    try {
+      await this.updateManifest(key, await createPlaceholder(buffer));
+    } catch (err) {
+      console.error('Error generating placeholder:', err.message);
+    }
+  }
+
+  /**
+   * Save uploaded file, reusing the existing URL for duplicate content
    */
   async save(file, targetDir) {
+    if (!this.deduplicate) {
+      return this.store(file, targetDir);
+    }
+
+    const buffer = await fs.readFile(file.path);
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const index = this.loadIndex();
+    const existing = index[hash];
+
+    // Identical content already stored - add a reference instead of a copy.
+    // Any variant counts: derivatives may still be queued.
+    const existingKey = existing && path.join(existing.dir, existing.name);
+    if (existing && (await this.backend.exists(existingKey) || await this.findResizeSource(existingKey))) {
+      existing.refs++;
+      await this.persistIndex();
+      return existing.url;
+    }
+
+    const url = await this.store(file, targetDir, buffer);
+    const dir = this.getTargetDir(targetDir);
+    index[hash] = { url, dir, name: path.basename(url), refs: 1 };
+    await this.persistIndex();
+    return url;
+  }
+
+  /**
+   * Write the original and its optimized versions
+   */
+  async store(file, targetDir, buffer) {
     const dir = this.getTargetDir(targetDir);
     const uniqueName = this.getUniqueFileName(file.name);
-    const fullDir = path.join(this.storagePath, dir);
-    const fullPath = path.join(fullDir, uniqueName);
+    const key = path.join(dir, uniqueName);
 
-    // Ensure directory exists
-    await fs.mkdir(fullDir, { recursive: true });
+    // Refuse target directories outside storage before doing any work
+    this.backend.resolve(key);
 
     // Read the uploaded file
-    const buffer = await fs.readFile(file.path);
+    if (!buffer) {
+      buffer = await fs.readFile(file.path);
+    }
+
+    // Apply the metadata policy before anything is written
+    if (this.isOptimizable(file.name)) {
+      try {
+        buffer = await sanitizeOriginal(buffer, this.metadataPolicy, this.originalQuality);
+      } catch (err) {
+        console.error('Error applying metadata policy:', err.message);
+      }
+    }
 
     // Always save original
     if (this.keepOriginal) {
-      await fs.writeFile(fullPath, buffer);
+      await this.backend.write(key, buffer, contentTypeFor(uniqueName));
     }
 
-    // Generate optimized versions if it's an image
-    if (this.isOptimizable(file.name)) {
+    // Generate optimized versions if it's an image, or a poster for videos
+    const optimizable = this.isOptimizable(file.name);
+    if (optimizable || (this.videoPosters && this.isVideo(file.name))) {
+      // Return WebP URL for optimized images; videos keep their own URL
+      const ext = path.extname(uniqueName);
+      const base = path.basename(uniqueName, ext);
+      const url = optimizable ? this.backend.url(path.join(dir, `${base}.webp`)) : this.backend.url(key);
+
+      // The queued job reads the stored original, so it can only be
+      // deferred when the original is kept. serve() falls back to the
+      // original until the WebP exists.
+      if (this.queue && this.keepOriginal) {
+        await this.queue.add(this.jobId(key), { key });
+        return url;
+      }
+
       try {
-        await this.generateOptimizedVersions(buffer, fullDir, uniqueName);
-        // Return WebP URL for optimized images
-        const ext = path.extname(uniqueName);
-        const base = path.basename(uniqueName, ext);
-        return `/content/images/${dir}/${base}.webp`;
+        await this.generateDerivatives(buffer, dir, uniqueName);
+        return url;
       } catch (err) {
         console.error('Error optimizing image:', err.message);
         // Fall through to return original URL if optimization fails
@@ -103,122 +483,682 @@ class OptimizedLocalStorage extends StorageBase {
     }
 
     // Return original URL for non-optimizable files or if optimization failed
-    return `/content/images/${dir}/${uniqueName}`;
+    return this.backend.url(key);
+  }
+
+  /**
+   * Queue id for an image's derivatives: its storage key without extension,
+   * so photo.jpg, photo.webp and photo.avif all map to the same job
+   */
+  jobId(key) {
+    return path.join(path.dirname(key), path.basename(key, path.extname(key)));
+  }
+
+  /**
+   * Whether derivatives for this image are still queued or being generated
+   */
+  isPending(key) {
+    return !!this.queue && this.queue.has(this.jobId(key));
   }
 
   /**
-   * Generate WebP and responsive sizes
+   * Queue handler: generate every derivative from the stored original
+   */
+  async runDerivativeJob({ key }) {
+    // Deleted before the job got to run
+    if (!await this.backend.exists(key)) return;
+
+    const buffer = await this.backend.read(key);
+    await this.generateDerivatives(buffer, path.dirname(key), path.basename(key));
+  }
+
+  /**
+   * Generate everything derived from an upload: optimized image versions,
+   * or the poster frame (and its optimized versions) for a video
+   */
+  async generateDerivatives(buffer, dir, fileName) {
+    if (this.isVideo(fileName)) {
+      return this.generatePoster(buffer, dir, fileName);
+    }
+    return this.generateOptimizedVersions(buffer, dir, fileName);
+  }
+
+  /**
+   * Run an ffmpeg task; a missing ffmpeg binary is logged and skipped
+   * Resolves to null when skipped
+   */
+  async runFfmpegTask(task) {
+    try {
+      return await task();
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      console.error(`ffmpeg not found (${this.ffmpegPath}), skipping video processing`);
+      return null;
+    }
+  }
+
+  /**
+   * Extract a poster frame from a video and store it as <base>.jpg,
+   * with the usual WebP/AVIF versions and responsive sizes
+   */
+  async generatePoster(buffer, dir, fileName) {
+    const ext = path.extname(fileName);
+    const base = path.basename(fileName, ext);
+
+    const frame = await this.runFfmpegTask(() => extractPoster(this.ffmpegPath, buffer, ext.toLowerCase()));
+    if (!frame) return;
+
+    const poster = await sharp(frame).jpeg({ quality: this.originalQuality }).toBuffer();
+    await this.backend.write(path.join(dir, `${base}.jpg`), poster, 'image/jpeg');
+    await this.generateOptimizedVersions(poster, dir, `${base}.jpg`);
+  }
+
+  /**
+   * Transcode an animated image to every configured video format
+   */
+  async generateVideoVersions(buffer, dir, base) {
+    for (const format of this.videoFormats) {
+      const video = await this.runFfmpegTask(() => transcodeAnimation(this.ffmpegPath, buffer, format));
+      if (!video) return;
+      await this.backend.write(path.join(dir, `${base}.${format}`), video, `video/${format}`);
+    }
+  }
+
+  /**
+   * Start a sharp pipeline with the metadata policy applied
+   * keptExif comes from getKeptExif() for the source image
+   */
+  pipeline(buffer, keptExif, animated = false) {
+    return applyMetadataPolicy(sharp(buffer, { animated }), this.metadataPolicy, keptExif);
+  }
+
+  /**
+   * Whether sharp metadata describes an animation (multi-frame GIF/WebP)
+   */
+  isAnimated(metadata) {
+    return metadata.pages > 1 && ['gif', 'webp'].includes(metadata.format);
+  }
+
+  /**
+   * Encode a sharp pipeline in the given output format
+   */
+  encode(pipeline, format) {
+    return pipeline[format]({ quality: this.formats[format].quality });
+  }
+
+  /**
+   * Encode and persist one derivative through the backend
+   */
+  async writeDerivative(pipeline, format, key) {
+    const buffer = await this.encode(pipeline, format).toBuffer();
+    await this.backend.write(key, buffer, `image/${format}`);
+  }
+
+  /**
+   * Generate WebP/AVIF versions and responsive sizes
    */
   async generateOptimizedVersions(buffer, dir, filename) {
     const ext = path.extname(filename);
     const base = path.basename(filename, ext);
 
     // Get image metadata to avoid enlarging
-    const metadata = await sharp(buffer).metadata();
+    const metadata = await sharp(buffer, { animated: true }).metadata();
+    const keptExif = getKeptExif(metadata, this.metadataPolicy);
+    const animated = this.isAnimated(metadata);
+    const formats = animated ? this.animatedFormats : this.formatPreference;
 
-    // Generate full-size WebP
-    const webpPath = path.join(dir, `${base}.webp`);
-    await sharp(buffer)
-      .webp({ quality: this.quality })
-      .toFile(webpPath);
+    // Generate full-size versions in every configured format
+    for (const format of formats) {
+      await this.writeDerivative(this.pipeline(buffer, keptExif, animated), format, path.join(dir, `${base}.${format}`));
+    }
 
     // Generate responsive sizes
-    const sizesDir = path.join(dir, 'size');
-    await fs.mkdir(sizesDir, { recursive: true });
-
     for (const width of this.sizes) {
       // Skip sizes larger than original
       if (width >= metadata.width) continue;
 
-      const sizeDir = path.join(sizesDir, `w${width}`);
-      await fs.mkdir(sizeDir, { recursive: true });
+      await this.generateSize(buffer, dir, base, width, keptExif, animated);
+    }
+
+    // Animated GIFs also become MP4/WebM for <video autoplay muted loop>
+    if (animated) {
+      await this.generateVideoVersions(buffer, dir, base);
+    }
+
+    if (this.placeholders) {
+      await this.recordPlaceholder(buffer, path.join(dir, base));
+    }
+  }
+
+  /**
+   * Generate every configured format at one width under size/wNNN/
+   */
+  async generateSize(buffer, dir, base, width, keptExif, animated = false) {
+    const sizeDir = path.join(dir, 'size', `w${width}`);
+
+    for (const format of animated ? this.animatedFormats : this.formatPreference) {
+      const resized = this.pipeline(buffer, keptExif, animated).resize(width, null, { withoutEnlargement: true });
+      await this.writeDerivative(resized, format, path.join(sizeDir, `${base}.${format}`));
+    }
+
+    return sizeDir;
+  }
+
+  /**
+   * Parse a responsive size request
+   *
+   * Accepts both Ghost's img_url layout (size/w300/2026/01/photo.webp) and
+   * the adapter's own layout (2026/01/size/w300/photo.webp). A height
+   * (size/w600h400/) asks for a crop to exactly that size. Returns the width,
+   * the height (crops only), the full-size image path and the adapter-layout
+   * cache path, or null when the path is not a size request.
+   */
+  parseSizedPath(filePath) {
+    let match = filePath.match(/^size\/(w(\d+)(?:h(\d+))?)\/(.+)$/);
+    if (match) {
+      // A file Ghost's own resizer left at the literal path wins
+      const literalPath = this.backend.local && this.safeStoragePath(filePath);
+      if (literalPath && existsSync(literalPath)) return null;
+
+      const sourcePath = match[4];
+      return {
+        width: parseInt(match[2], 10),
+        height: match[3] ? parseInt(match[3], 10) : null,
+        sourcePath,
+        cachedPath: path.join(path.dirname(sourcePath), 'size', match[1], path.basename(sourcePath))
+      };
+    }
+
+    match = filePath.match(/^(.+)\/size\/w(\d+)(?:h(\d+))?\/([^/]+)$/);
+    if (match) {
+      return {
+        width: parseInt(match[2], 10),
+        height: match[3] ? parseInt(match[3], 10) : null,
+        sourcePath: path.join(match[1], match[4]),
+        cachedPath: filePath
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether serve() may generate a size: allow-listed widths, and crops
+   * whose exact width and height are configured
+   */
+  isAllowedSize(sized) {
+    if (sized.height) {
+      return this.crops.some(crop => crop.width === sized.width && crop.height === sized.height);
+    }
+    return this.allowedSizes.includes(sized.width);
+  }
+
+  /**
+   * Find the best full-size file to resize from
+   * Prefers the untouched original over derived WebP/AVIF versions
+   */
+  async findResizeSource(sourcePath) {
+    const ext = path.extname(sourcePath);
+    const base = path.basename(sourcePath, ext);
+    const dir = path.dirname(sourcePath);
+    const candidates = [...this.optimizableExtensions.filter(e => e !== '.webp'), '.webp', '.avif'];
+
+    for (const candidate of candidates) {
+      for (const variant of [candidate, candidate.toUpperCase()]) {
+        const candidateKey = path.join(dir, `${base}${variant}`);
+        if (await this.backend.exists(candidateKey)) {
+          return candidateKey;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Generate a missing size/wNNN/ or size/wNNNhNNN/ variant on demand and
+   * cache it in storage
+   * Resolves to false when the size isn't allowed or there is no source
+   */
+  async ensureSizedVariant(sized) {
+    const cacheKey = sized.cachedPath;
+    this.backend.resolve(cacheKey);
+    if (await this.backend.exists(cacheKey)) return true;
+    if (!this.isAllowedSize(sized)) return false;
+
+    if (!this.pendingResizes.has(cacheKey)) {
+      const job = this.generateSizedVariant(sized)
+        .finally(() => this.pendingResizes.delete(cacheKey));
+      this.pendingResizes.set(cacheKey, job);
+    }
+
+    return this.pendingResizes.get(cacheKey);
+  }
+
+  async generateSizedVariant(sized) {
+    const sourceKey = await this.findResizeSource(sized.sourcePath);
+    if (!sourceKey) return false;
+
+    const buffer = await this.backend.read(sourceKey);
+    const ext = path.extname(sized.cachedPath);
+    const base = path.basename(sized.cachedPath, ext);
+    const dir = path.dirname(sized.sourcePath);
 
-      // Generate WebP at this size
-      const sizePath = path.join(sizeDir, `${base}.webp`);
-      await sharp(buffer)
-        .resize(width, null, { withoutEnlargement: true })
-        .webp({ quality: this.quality })
-        .toFile(sizePath);
+    const metadata = await sharp(buffer, { animated: true }).metadata();
+    const keptExif = getKeptExif(metadata, this.metadataPolicy);
+    const animated = this.isAnimated(metadata);
+
+    let sizeDir;
+    let resize;
+    if (sized.height) {
+      // The requested size is the aspect ratio; a smaller source gets a
+      // smaller crop of the same shape rather than being enlarged
+      const crop = {
+        aspect: { width: sized.width, height: sized.height },
+        width: sized.width,
+        focal: await this.readFocalPoint(sized.sourcePath),
+        strategy: this.cropStrategy
+      };
+      resize = () => this.cropPipeline(buffer, metadata, keptExif, crop);
+      sizeDir = await this.generateCrop(buffer, dir, base, crop, metadata, keptExif);
+    } else {
+      resize = () => this.pipeline(buffer, keptExif, animated).resize(sized.width, null, { withoutEnlargement: true });
+      sizeDir = await this.generateSize(buffer, dir, base, sized.width, keptExif, animated);
+    }
+
+    // Requests in the original format (size/w300/.../photo.jpg) also need
+    // that exact file for browsers without WebP/AVIF support
+    const format = ext.slice(1).toLowerCase();
+    if (!this.formatPreference.includes(format)) {
+      const resized = await resize()
+        .toFormat(format === 'jpg' ? 'jpeg' : format)
+        .toBuffer();
+      await this.backend.write(path.join(sizeDir, `${base}${ext}`), resized, contentTypeFor(ext));
+    }
+
+    return true;
+  }
+
+  /**
+   * Focal point for an image from its <base>.focal.json sidecar, or null
+   * A malformed sidecar is logged and ignored, so the crop falls back to cropStrategy.
+   */
+  async readFocalPoint(sourcePath) {
+    const sidecarKey = focalPointPath(sourcePath);
+    try {
+      if (!await this.backend.exists(sidecarKey)) return null;
+      return parseFocalPoint(await this.backend.read(sidecarKey));
+    } catch (err) {
+      console.error(`Ignoring focal point ${sidecarKey}:`, err.message);
+      return null;
     }
   }
 
+  /**
+   * Start a sharp pipeline cropped to crop.aspect at crop.width
+   * Animations are cropped from their first frame.
+   */
+  cropPipeline(buffer, metadata, keptExif, crop) {
+    // EXIF orientations 5-8 swap width and height once rotated
+    const swap = this.metadataPolicy.autoOrient && metadata.orientation >= 5;
+    const imageSize = swap
+      ? { width: metadata.height, height: metadata.width }
+      : { width: metadata.width, height: metadata.pageHeight || metadata.height };
+    return applyCrop(this.pipeline(buffer, keptExif), imageSize, crop);
+  }
+
+  /**
+   * Generate every configured format of a crop under size/wNNNhNNN/
+   * crop: { aspect, width, focal, strategy } (see crop.js)
+   */
+  async generateCrop(buffer, dir, base, crop, metadata, keptExif) {
+    const sizeDir = path.join(dir, 'size', `w${crop.aspect.width}h${crop.aspect.height}`);
+
+    for (const format of this.formatPreference) {
+      await this.writeDerivative(this.cropPipeline(buffer, metadata, keptExif, crop), format, path.join(sizeDir, `${base}.${format}`));
+    }
+
+    return sizeDir;
+  }
+
   /**
    * Check if a file exists
    */
   async exists(fileName, targetDir) {
     const dir = this.getTargetDir(targetDir);
-    const filePath = path.join(this.storagePath, dir, fileName);
+    return this.backend.exists(path.join(dir, fileName));
+  }
 
-    try {
-      await fs.access(filePath);
-      return true;
-    } catch {
-      return false;
+  /**
+   * Whether responses for this extension depend on the Accept header
+   */
+  isNegotiable(ext) {
+    return this.optimizableExtensions.includes(ext) || ext === '.avif';
+  }
+
+  /**
+   * Pick the best pre-generated variant the browser accepts
+   * Returns { path, format } or null when the original should be served
+   */
+  negotiateFormat(req, dir, base, ext) {
+    if (!this.isNegotiable(ext)) {
+      return null;
     }
+
+    // q=0 means "not acceptable"; higher q wins, ties keep formatPreference
+    const accepted = parseAccept(req.headers.accept);
+    const quality = format => accepted.get(`image/${format}`) || 0;
+    const ranked = this.formatPreference
+      .filter(format => quality(format) > 0)
+      .sort((a, b) => quality(b) - quality(a));
+    // Only an explicit entry for the requested type can outrank a variant
+    const ownQuality = accepted.get(MIME_TYPES[ext]) || 0;
+
+    for (const format of ranked) {
+      // Requested file is already in this format (or preferred) - serve it as-is
+      if (ext === `.${format}` || quality(format) < ownQuality) return null;
+
+      const variantPath = this.safeStoragePath(path.join(dir, `${base}.${format}`));
+      if (variantPath && existsSync(variantPath)) {
+        return { path: variantPath, format };
+      }
+    }
+
+    return null;
   }
 
   /**
    * Get a readable stream for serving files
-   * Automatically serves WebP when browser supports it
+   * Automatically serves AVIF or WebP when browser supports it
    */
   serve() {
     return (req, res, next) => {
       // URL-decode and remove leading slash
-      let filePath = decodeURIComponent(req.path);
+      let filePath;
+      try {
+        filePath = decodeURIComponent(req.path);
+      } catch {
+        return next(); // Malformed percent-encoding
+      }
       if (filePath.startsWith('/')) {
         filePath = filePath.slice(1);
       }
 
-      const ext = path.extname(filePath).toLowerCase();
-      const base = path.basename(filePath, ext);
-      const dir = path.dirname(filePath);
-
-      // Check if browser supports WebP
-      const acceptsWebP = req.headers.accept && req.headers.accept.includes('image/webp');
-
-      // For images that can be optimized, try to serve WebP if browser supports it
-      if (acceptsWebP && this.optimizableExtensions.includes(ext) && ext !== '.webp') {
-        const webpPath = path.join(this.storagePath, dir, `${base}.webp`);
-        if (existsSync(webpPath)) {
-          res.setHeader('Content-Type', 'image/webp');
-          res.setHeader('Vary', 'Accept'); // Important for caching
-          const stream = createReadStream(webpPath);
-          return stream.pipe(res);
-        }
+      // Never expose dotfiles such as the dedup index
+      if (path.basename(filePath).startsWith('.')) {
+        return next();
+      }
+
+      // Reject traversal (including encoded separators) before touching disk
+      if (!this.isValidKey(filePath)) {
+        return next();
+      }
+
+      const sized = this.parseSizedPath(filePath);
+      if (sized && (!this.isValidKey(sized.sourcePath) || !this.isValidKey(sized.cachedPath))) {
+        return next();
       }
 
-      // Serve original file
-      const fullPath = path.join(this.storagePath, filePath);
-
-      if (existsSync(fullPath)) {
-        const mimeTypes = {
-          '.jpg': 'image/jpeg',
-          '.jpeg': 'image/jpeg',
-          '.png': 'image/png',
-          '.gif': 'image/gif',
-          '.webp': 'image/webp',
-          '.svg': 'image/svg+xml'
-        };
-        if (mimeTypes[ext]) {
-          res.setHeader('Content-Type', mimeTypes[ext]);
+      // Remote backends: old /content/images/ links redirect to the CDN
+      if (!this.backend.local) {
+        return this.redirectToBackend(sized, filePath, res, next);
+      }
+
+      if (!sized) {
+        return this.serveFile(filePath, req, res, next);
+      }
+
+      // Derivatives still queued - send the original rather than resizing twice
+      if (this.isPending(sized.sourcePath)) {
+        return this.serveOriginal(sized.sourcePath, req, res, next);
+      }
+
+      // Responsive size - generate it first if it was never created
+      this.ensureSizedVariant(sized)
+        .catch(err => {
+          console.error('Error resizing image:', err.message);
+        })
+        .then(() => this.serveFile(sized.cachedPath, req, res, next));
+    };
+  }
+
+  /**
+   * Redirect to a remote backend's URL, generating missing sizes first
+   * Derivatives that are still queued get a temporary redirect to the original
+   */
+  redirectToBackend(sized, filePath, res, next) {
+    const key = sized ? sized.cachedPath : filePath;
+    const sourcePath = sized ? sized.sourcePath : filePath;
+    const ready = sized && !this.isPending(sourcePath)
+      ? this.ensureSizedVariant(sized)
+      : this.backend.exists(key);
+
+    ready
+      .then(async found => {
+        if (found) {
+          return this.redirect(res, 301, this.backend.url(key));
         }
 
-        const stream = createReadStream(fullPath);
-        stream.pipe(res);
-      } else {
+        const derived = sized || this.formatPreference.includes(path.extname(key).slice(1));
+        const originalKey = derived && this.isPending(sourcePath) && await this.findOriginal(sourcePath);
+        if (!originalKey) return next();
+        this.redirect(res, 302, this.backend.url(originalKey));
+      })
+      .catch(err => {
+        console.error('Error resolving remote image:', err.message);
         next();
+      });
+  }
+
+  redirect(res, status, location) {
+    res.statusCode = status;
+    res.setHeader('Location', location);
+    res.end();
+  }
+
+  /**
+   * Find the uploaded original for a derivative path
+   */
+  async findOriginal(filePath) {
+    const sourceKey = await this.findResizeSource(filePath);
+    // Uploads are never AVIF, so an .avif match is a derivative
+    return sourceKey && path.extname(sourceKey).toLowerCase() !== '.avif' ? sourceKey : null;
+  }
+
+  /**
+   * Send the original upload in place of a derivative that doesn't exist yet
+   * Marked no-cache so browsers pick up the real variant once it's generated
+   */
+  serveOriginal(filePath, req, res, next) {
+    this.findOriginal(filePath)
+      .then(sourceKey => {
+        const fullPath = sourceKey && this.safeStoragePath(sourceKey);
+        if (!fullPath) return next();
+        this.sendFile(req, res, next, fullPath, contentTypeFor(sourceKey), true, false);
+      })
+      .catch(next);
+  }
+
+  /**
+   * Stream a stored file, preferring negotiated AVIF/WebP siblings
+   */
+  serveFile(filePath, req, res, next) {
+    const ext = path.extname(filePath).toLowerCase();
+    const base = path.basename(filePath, ext);
+    const dir = path.dirname(filePath);
+    const negotiable = this.isNegotiable(ext);
+
+    // For images that can be optimized, serve AVIF/WebP if browser supports it
+    const variant = this.negotiateFormat(req, dir, base, ext);
+    if (variant) {
+      return this.sendFile(req, res, next, variant.path, `image/${variant.format}`, true);
+    }
+
+    // Serve original file
+    const fullPath = this.safeStoragePath(filePath);
+
+    if (fullPath && existsSync(fullPath)) {
+      // The placeholder manifest changes with every upload, and while the
+      // derivatives are queued this negotiated response will soon be AVIF/WebP
+      const cacheable = filePath !== MANIFEST_NAME && !(negotiable && this.isPending(filePath));
+      this.sendFile(req, res, next, fullPath, MIME_TYPES[ext], negotiable, cacheable);
+    } else if (this.formatPreference.includes(ext.slice(1))) {
+      // WebP/AVIF not generated yet (still queued, or failed) - send the original
+      this.serveOriginal(filePath, req, res, next);
+    } else {
+      next();
+    }
+  }
+
+  /**
+   * Filenames from getUniqueFileName() (photo-1706123456789-abc12345.jpg)
+   * never change content, so they can be cached forever
+   */
+  isImmutable(filePath) {
+    const base = path.basename(filePath, path.extname(filePath));
+    return /-\d{13}-[a-f0-9]{8}$/.test(base);
+  }
+
+  /**
+   * Send a file with validators, cache headers, conditional GET and Range support
+   */
+  sendFile(req, res, next, fullPath, contentType, negotiated, cacheable = true) {
+    // Re-check right before opening: a symlink may have been swapped in
+    try {
+      this.assertWithinStorage(fullPath);
+    } catch {
+      return next();
+    }
+
+    fs.stat(fullPath).then(stat => {
+      const etag = `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+      const lastModified = stat.mtime.toUTCString();
+
+      if (contentType) {
+        res.setHeader('Content-Type', contentType);
       }
-    };
+      if (negotiated) {
+        res.setHeader('Vary', 'Accept'); // Important for caching
+      }
+      res.setHeader('ETag', etag);
+      res.setHeader('Last-Modified', lastModified);
+      res.setHeader('Accept-Ranges', 'bytes');
+      if (!cacheable) {
+        res.setHeader('Cache-Control', 'no-cache');
+      } else {
+        res.setHeader('Cache-Control', this.isImmutable(fullPath)
+          ? 'public, max-age=31536000, immutable'
+          : `public, max-age=${this.maxAge}`);
+      }
+
+      if (this.isNotModified(req, etag, stat.mtime)) {
+        res.statusCode = 304;
+        return res.end();
+      }
+
+      const range = this.parseRange(req, stat.size, etag, stat.mtime);
+      if (range === false) {
+        res.statusCode = 416;
+        res.setHeader('Content-Range', `bytes */${stat.size}`);
+        return res.end();
+      }
+
+      let start = 0;
+      let end = stat.size - 1;
+      if (range) {
+        ({ start, end } = range);
+        res.statusCode = 206;
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+      }
+      res.setHeader('Content-Length', stat.size === 0 ? 0 : end - start + 1);
+
+      if (req.method === 'HEAD' || stat.size === 0) {
+        return res.end();
+      }
+
+      const stream = createReadStream(fullPath, { start, end });
+      stream.on('error', err => {
+        console.error('Error streaming image:', err.message);
+        if (res.headersSent) {
+          // Too late for an error response - abort so the client doesn't hang
+          res.destroy(err);
+        } else {
+          ['Content-Length', 'Content-Range', 'ETag', 'Last-Modified', 'Cache-Control'].forEach(header => res.removeHeader(header));
+          res.statusCode = 200;
+          next(err);
+        }
+      });
+      // Stop reading if the client goes away mid-transfer
+      res.on('close', () => stream.destroy());
+      stream.pipe(res);
+    }).catch(err => {
+      // File vanished between existsSync() and stat()
+      if (err.code === 'ENOENT') return next();
+      next(err);
+    });
+  }
+
+  /**
+   * Conditional GET: If-None-Match takes precedence over If-Modified-Since
+   */
+  isNotModified(req, etag, mtime) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+      return ifNoneMatch.trim() === '*' ||
+        ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+    }
+
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+    if (!Number.isNaN(ifModifiedSince)) {
+      // HTTP dates have one-second resolution
+      return Math.floor(mtime.getTime() / 1000) * 1000 <= ifModifiedSince;
+    }
+
+    return false;
+  }
+
+  /**
+   * Parse a single "bytes=" Range header
+   * Returns { start, end }, null to send the whole file, or false if unsatisfiable
+   */
+  parseRange(req, size, etag, mtime) {
+    const header = req.headers.range;
+    if (!header || req.method === 'HEAD') return null;
+
+    // If-Range: only honour the range when the representation is unchanged
+    const ifRange = req.headers['if-range'];
+    if (ifRange) {
+      const matches = ifRange.startsWith('"') || ifRange.startsWith('W/')
+        ? ifRange === etag
+        : Date.parse(ifRange) >= Math.floor(mtime.getTime() / 1000) * 1000;
+      if (!matches) return null;
+    }
+
+    // Multiple ranges aren't worth multipart responses for images
+    const match = header.match(/^bytes=(\d*)-(\d*)$/);
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start;
+    let end;
+    if (match[1] === '') {
+      // Suffix range: last N bytes
+      start = Math.max(size - parseInt(match[2], 10), 0);
+      end = size - 1;
+    } else {
+      start = parseInt(match[1], 10);
+      end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+
+    if (start >= size || start > end) return false;
+    return { start, end };
   }
 
   /**
    * Read file contents
    */
   async read(options = {}) {
-    const filePath = path.join(this.storagePath, options.path);
-
     try {
-      return await fs.readFile(filePath);
+      return await this.backend.read(options.path);
     } catch (err) {
       return Promise.reject(new Error(`Could not read file: ${options.path}`));
     }
@@ -229,30 +1169,62 @@ class OptimizedLocalStorage extends StorageBase {
    */
   async delete(fileName, targetDir) {
     const dir = this.getTargetDir(targetDir);
-    const basePath = path.join(this.storagePath, dir);
+
+    // Only plain file names - directories come from targetDir
+    if (!fileName || path.basename(fileName) !== fileName || fileName === '..') {
+      throw new Error(`Invalid file name: ${fileName}`);
+    }
+    this.backend.resolve(dir);
+
+    // Shared content: drop one reference, keep the files for other posts
+    if (this.deduplicate) {
+      const found = this.findIndexEntry(fileName, dir);
+      if (found) {
+        found.entry.refs--;
+        if (found.entry.refs > 0) {
+          await this.persistIndex();
+          return true;
+        }
+        delete this.index[found.hash];
+        await this.persistIndex();
+      }
+    }
+
+    // Stop any queued derivative job before its files are removed
+    if (this.queue) {
+      await this.queue.remove(this.jobId(path.join(dir, fileName)));
+    }
+
     const ext = path.extname(fileName);
     const base = path.basename(fileName, ext);
+    const variants = [fileName, `${base}.webp`, `${base}.avif`, `${base}${FOCAL_SUFFIX}`];
 
-    // Delete original
-    const originalPath = path.join(basePath, fileName);
-    if (existsSync(originalPath)) {
-      await fs.unlink(originalPath);
+    // Video transcodes of animated GIFs, and the poster frame of videos
+    if (ext.toLowerCase() === '.gif') {
+      variants.push(...VIDEO_FORMATS.map(format => `${base}.${format}`));
+    }
+    if (this.isVideo(fileName)) {
+      variants.push(`${base}.jpg`);
     }
 
-    // Delete WebP version
-    const webpPath = path.join(basePath, `${base}.webp`);
-    if (existsSync(webpPath)) {
-      await fs.unlink(webpPath);
+    // Delete original and WebP/AVIF versions
+    for (const variant of variants) {
+      await this.backend.delete(path.join(dir, variant));
     }
 
-    // Delete responsive sizes
-    for (const width of this.sizes) {
-      const sizePath = path.join(basePath, 'size', `w${width}`, `${base}.webp`);
-      if (existsSync(sizePath)) {
-        await fs.unlink(sizePath);
+    // Delete responsive sizes, including widths and crops generated on demand
+    const sizesDir = path.join(dir, 'size');
+    for (const key of await this.backend.list(sizesDir)) {
+      const sizeDir = path.dirname(path.relative(sizesDir, key));
+      if (/^w\d+(h\d+)?$/.test(sizeDir) && variants.includes(path.basename(key))) {
+        await this.backend.delete(key);
       }
     }
 
+    if (this.placeholders) {
+      await this.updateManifest(path.join(dir, base), null);
+    }
+
     return true;
   }
 }
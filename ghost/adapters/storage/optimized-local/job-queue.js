@@ -0,0 +1,183 @@
+'use strict';
+
+const fs = require('fs').promises;
+const { readFileSync } = require('fs');
+
+/**
+ * Persisted background job queue with bounded concurrency
+ *
+ * Used by the storage adapter to generate image derivatives after save()
+ * has returned. The pending job list is written to disk (atomically) on
+ * every change, so work queued before a restart resumes on start().
+ * Failed jobs are retried with exponential backoff up to maxAttempts,
+ * then dropped and logged.
+ */
+class JobQueue {
+  constructor(options = {}) {
+    this.persistPath = options.persistPath;
+    this.handler = options.handler;
+    this.concurrency = options.concurrency || 1;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 5000;
+
+    // id -> { id, data, attempts }: queued, running and waiting to retry
+    this.jobs = new Map();
+    // Ids ready to run, oldest first
+    this.ready = [];
+    // id -> promise of the running attempt
+    this.running = new Map();
+    // id -> pending retry timer
+    this.retries = new Map();
+
+    this.idleWaiters = [];
+    this.listWrite = Promise.resolve();
+  }
+
+  /**
+   * Load jobs left over from a previous run and start working
+   */
+  start() {
+    let saved = [];
+    try {
+      saved = JSON.parse(readFileSync(this.persistPath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('Error reading job list, starting empty:', err.message);
+      }
+    }
+
+    for (const job of saved) {
+      if (!this.jobs.has(job.id)) {
+        this.jobs.set(job.id, job);
+        this.ready.push(job.id);
+      }
+    }
+    this.pump();
+  }
+
+  /**
+   * Queue a job. Resolves once the job list is persisted, not when it runs.
+   * Adding an id that is already pending is a no-op.
+   */
+  add(id, data) {
+    if (this.jobs.has(id)) return this.listWrite;
+
+    this.jobs.set(id, { id, data, attempts: 0 });
+    this.ready.push(id);
+    const written = this.persist();
+    this.pump();
+    return written;
+  }
+
+  /**
+   * Whether a job is queued, running or waiting to retry
+   */
+  has(id) {
+    return this.jobs.has(id);
+  }
+
+  /**
+   * Drop a job. If it is running, resolves once that attempt has finished.
+   */
+  async remove(id) {
+    if (!this.jobs.has(id)) return;
+
+    this.jobs.delete(id);
+    this.ready = this.ready.filter(readyId => readyId !== id);
+    clearTimeout(this.retries.get(id));
+    this.retries.delete(id);
+
+    await this.persist();
+    await this.running.get(id);
+    this.checkIdle();
+  }
+
+  /**
+   * Resolves when no jobs are queued, running or waiting to retry
+   */
+  onIdle() {
+    if (this.isIdle()) return Promise.resolve();
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  isIdle() {
+    return this.jobs.size === 0 && this.running.size === 0;
+  }
+
+  checkIdle() {
+    if (!this.isIdle()) return;
+    const waiters = this.idleWaiters.splice(0);
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * Start ready jobs until the concurrency limit is reached
+   */
+  pump() {
+    while (this.running.size < this.concurrency && this.ready.length) {
+      const job = this.jobs.get(this.ready.shift());
+      if (!job || this.running.has(job.id)) continue;
+
+      const attempt = this.run(job).finally(() => {
+        this.running.delete(job.id);
+        this.pump();
+      });
+      this.running.set(job.id, attempt);
+    }
+    this.checkIdle();
+  }
+
+  /**
+   * Run one attempt. Never rejects.
+   */
+  async run(job) {
+    job.attempts++;
+
+    try {
+      await this.handler(job.data);
+      if (this.jobs.get(job.id) === job) {
+        this.jobs.delete(job.id);
+      }
+    } catch (err) {
+      // Removed while running - nothing to retry
+      if (this.jobs.get(job.id) !== job) return;
+
+      if (job.attempts >= this.maxAttempts) {
+        console.error(`Job ${job.id} failed after ${job.attempts} attempts:`, err.message);
+        this.jobs.delete(job.id);
+      } else {
+        const delay = this.retryDelay * 2 ** (job.attempts - 1);
+        const timer = setTimeout(() => {
+          this.retries.delete(job.id);
+          this.ready.push(job.id);
+          this.pump();
+        }, delay);
+        // Don't keep the process alive just to retry
+        timer.unref();
+        this.retries.set(job.id, timer);
+      }
+    }
+
+    await this.persist().catch(err => {
+      console.error('Error writing job list:', err.message);
+    });
+  }
+
+  /**
+   * Persist the job list atomically (write temp file, then rename)
+   * Writes are chained so they can't interleave
+   */
+  persist() {
+    const data = JSON.stringify([...this.jobs.values()], null, 2);
+    this.listWrite = this.listWrite
+      .catch(() => {})
+      .then(async () => {
+        const tmpPath = `${this.persistPath}.tmp`;
+        await fs.writeFile(tmpPath, data);
+        await fs.rename(tmpPath, this.persistPath);
+      });
+    return this.listWrite;
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,95 @@
+'use strict';
+
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+/**
+ * ffmpeg helpers for the storage adapter
+ *
+ * - transcodeAnimation: animated GIF -> MP4 (H.264) or WebM (VP9) for <video>
+ * - extractPoster:      representative frame of an MP4/WebM upload as PNG
+ *
+ * ffmpeg is an external binary (apt install ffmpeg / apk add ffmpeg), not an
+ * npm dependency. When it isn't installed the promise rejects with code ENOENT.
+ */
+
+const VIDEO_ENCODERS = {
+  mp4: ['-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-crf', '23', '-preset', 'medium', '-movflags', '+faststart'],
+  webm: ['-c:v', 'libvpx-vp9', '-pix_fmt', 'yuv420p', '-crf', '35', '-b:v', '0', '-row-mt', '1']
+};
+
+/**
+ * Run ffmpeg, rejecting with the tail of stderr on a non-zero exit
+ */
+function runFfmpeg(ffmpegPath, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(ffmpegPath, ['-hide_banner', '-loglevel', 'error', ...args], {
+      stdio: ['ignore', 'ignore', 'pipe']
+    });
+
+    let stderr = '';
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-2000);
+    });
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code === 0) return resolve();
+      reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+    });
+  });
+}
+
+/**
+ * ffmpeg works on files, so stage the input in a temp directory and
+ * return the output as a buffer (backends may not be local disk)
+ */
+async function withTempFiles(buffer, inputExt, outputExt, run) {
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ghost-media-'));
+  const inputPath = path.join(tmpDir, `input${inputExt}`);
+  const outputPath = path.join(tmpDir, `output${outputExt}`);
+
+  try {
+    await fs.writeFile(inputPath, buffer);
+    await run(inputPath, outputPath);
+    return await fs.readFile(outputPath);
+  } finally {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Transcode an animated GIF to a silent, looping-friendly video
+ */
+function transcodeAnimation(ffmpegPath, buffer, format) {
+  if (!VIDEO_ENCODERS[format]) {
+    throw new Error(`Unsupported video format: ${format}`);
+  }
+
+  return withTempFiles(buffer, '.gif', `.${format}`, (inputPath, outputPath) => runFfmpeg(ffmpegPath, [
+    '-y', '-i', inputPath, '-an',
+    // yuv420p needs even dimensions
+    '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2',
+    ...VIDEO_ENCODERS[format],
+    outputPath
+  ]));
+}
+
+/**
+ * Extract a poster frame (PNG) from a video
+ * The thumbnail filter skips black or near-duplicate opening frames
+ */
+function extractPoster(ffmpegPath, buffer, inputExt) {
+  return withTempFiles(buffer, inputExt, '.png', (inputPath, outputPath) => runFfmpeg(ffmpegPath, [
+    '-y', '-i', inputPath,
+    '-vf', 'thumbnail', '-frames:v', '1',
+    outputPath
+  ]));
+}
+
+module.exports = {
+  VIDEO_FORMATS: Object.keys(VIDEO_ENCODERS),
+  transcodeAnimation,
+  extractPoster
+};
@@ -0,0 +1,187 @@
+'use strict';
+
+const sharp = require('sharp');
+
+/**
+ * Image metadata privacy policy
+ *
+ * Shared by the storage adapter (on upload) and
+ * scripts/migrate-existing-images.js (retro-applied to existing content).
+ *
+ * - autoOrient:     bake the EXIF orientation into the pixels
+ * - strip:          drop EXIF (including GPS), XMP and IPTC
+ * - keepIccProfile: keep the embedded colour profile when stripping
+ * - keepCopyright:  keep the EXIF Copyright and Artist fields when stripping
+ */
+const DEFAULT_POLICY = {
+  autoOrient: true,
+  strip: true,
+  keepIccProfile: true,
+  keepCopyright: true
+};
+
+// EXIF tag ids
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const COPYRIGHT_TAGS = {
+  0x8298: 'Copyright',
+  0x013b: 'Artist'
+};
+
+// Tags libvips writes on its own - their presence doesn't mean the file
+// still carries camera or location data
+const STRUCTURAL_TAGS = new Set([
+  0x0112, // Orientation
+  0x011a, // XResolution
+  0x011b, // YResolution
+  0x0128, // ResolutionUnit
+  0x0213, // YCbCrPositioning
+  0x9000, // ExifVersion
+  0x9101, // ComponentsConfiguration
+  0xa000, // FlashpixVersion
+  0xa001, // ColorSpace
+  0xa002, // PixelXDimension
+  0xa003, // PixelYDimension
+  TAG_EXIF_IFD
+]);
+
+// Formats whose originals are re-encoded to apply the policy.
+// GIFs are left alone so animation survives.
+const SANITIZABLE_FORMATS = ['jpeg', 'png', 'webp', 'tiff'];
+
+function resolvePolicy(config = {}) {
+  return { ...DEFAULT_POLICY, ...config };
+}
+
+/**
+ * Parse the IFD0 and Exif sub-IFD entries out of a raw EXIF block
+ * (as returned by sharp's metadata().exif). Returns [] if unparseable.
+ */
+function readExifEntries(exif) {
+  if (!exif || exif.length < 14) return [];
+
+  // sharp prefixes the TIFF structure with "Exif\0\0"
+  const tiffStart = exif.toString('latin1', 0, 4) === 'Exif' ? 6 : 0;
+  const order = exif.toString('latin1', tiffStart, tiffStart + 2);
+  if (order !== 'II' && order !== 'MM') return [];
+
+  const little = order === 'II';
+  const u16 = offset => (little ? exif.readUInt16LE(offset) : exif.readUInt16BE(offset));
+  const u32 = offset => (little ? exif.readUInt32LE(offset) : exif.readUInt32BE(offset));
+
+  const entries = [];
+  const readIfd = (ifdOffset, ifd) => {
+    const start = tiffStart + ifdOffset;
+    if (start + 2 > exif.length) return;
+
+    const count = u16(start);
+    for (let i = 0; i < count; i++) {
+      const entry = start + 2 + i * 12;
+      if (entry + 12 > exif.length) return;
+
+      const tag = u16(entry);
+      const type = u16(entry + 2);
+      const length = u32(entry + 4);
+      let value = null;
+
+      // ASCII strings: inline when they fit in 4 bytes, otherwise an offset
+      if (type === 2) {
+        const valueStart = length <= 4 ? entry + 8 : tiffStart + u32(entry + 8);
+        if (valueStart + length <= exif.length) {
+          value = exif.toString('latin1', valueStart, valueStart + length).replace(/\0+$/, '');
+        }
+      }
+
+      entries.push({ ifd, tag, value });
+
+      if (ifd === 0 && tag === TAG_EXIF_IFD) {
+        readIfd(u32(entry + 8), 'exif');
+      }
+    }
+  };
+
+  try {
+    readIfd(u32(tiffStart + 4), 0);
+  } catch {
+    return [];
+  }
+  return entries;
+}
+
+/**
+ * EXIF fields to carry into outputs, in sharp's withExif() shape
+ * Returns null when nothing should be kept
+ */
+function getKeptExif(metadata, policy) {
+  if (!policy.strip || !policy.keepCopyright) return null;
+
+  const fields = {};
+  for (const { ifd, tag, value } of readExifEntries(metadata.exif)) {
+    if (ifd === 0 && COPYRIGHT_TAGS[tag] && value) {
+      fields[COPYRIGHT_TAGS[tag]] = value;
+    }
+  }
+  return Object.keys(fields).length ? { IFD0: fields } : null;
+}
+
+/**
+ * Apply the policy to a sharp pipeline
+ * Pass the result of getKeptExif() for the source image as keptExif
+ */
+function applyMetadataPolicy(pipeline, policy, keptExif = null) {
+  if (policy.autoOrient) {
+    pipeline = pipeline.rotate();
+  }
+  if (!policy.strip) {
+    return pipeline.keepMetadata();
+  }
+  if (policy.keepIccProfile) {
+    pipeline = pipeline.keepIccProfile();
+  }
+  if (keptExif) {
+    pipeline = pipeline.withExif(keptExif);
+  }
+  return pipeline;
+}
+
+/**
+ * Whether an image still carries anything the policy would change
+ */
+function needsSanitizing(metadata, policy) {
+  if (policy.autoOrient && metadata.orientation > 1) return true;
+  if (!policy.strip) return false;
+  if (metadata.xmp || metadata.iptc) return true;
+
+  return readExifEntries(metadata.exif).some(({ ifd, tag }) => {
+    if (STRUCTURAL_TAGS.has(tag)) return false;
+    if (ifd === 0 && COPYRIGHT_TAGS[tag]) return !policy.keepCopyright;
+    return true;
+  });
+}
+
+/**
+ * Apply the policy to an original image buffer
+ * Returns the buffer untouched when there is nothing to change, so
+ * clean uploads are stored byte-for-byte.
+ */
+async function sanitizeOriginal(buffer, policy, quality = 90) {
+  const metadata = await sharp(buffer).metadata();
+  if (!SANITIZABLE_FORMATS.includes(metadata.format) || !needsSanitizing(metadata, policy)) {
+    return buffer;
+  }
+
+  const options = ['jpeg', 'webp'].includes(metadata.format) ? { quality } : {};
+  return applyMetadataPolicy(sharp(buffer), policy, getKeptExif(metadata, policy))
+    .toFormat(metadata.format, options)
+    .toBuffer();
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  resolvePolicy,
+  readExifEntries,
+  getKeptExif,
+  applyMetadataPolicy,
+  needsSanitizing,
+  sanitizeOriginal
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+const sharp = require('sharp');
+
+/**
+ * Low-quality image placeholders (LQIP)
+ *
+ * Shared by the storage adapter (on upload) and scripts/optimize-images.js
+ * (theme images at build time). Each image gets its dimensions, dominant
+ * colour and a tiny blurred WebP as a data URI. Entries are kept in a
+ * placeholders.json manifest next to the images, keyed by path without
+ * extension (2026/01/photo-1706123456789-abc12345), which the theme's
+ * placeholders.js reads to paint something while the real image loads.
+ */
+
+const MANIFEST_NAME = 'placeholders.json';
+
+function toHex({ r, g, b }) {
+  return `#${[r, g, b].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Build the placeholder entry for an image (first frame of animations)
+ * size is the preview width in pixels; 16 keeps the data URI ~200 bytes
+ */
+async function createPlaceholder(input, size = 16) {
+  const metadata = await sharp(input).metadata();
+
+  // EXIF orientations 5-8 swap width and height once rotated
+  const swap = metadata.orientation >= 5;
+  const width = swap ? metadata.height : metadata.width;
+  const height = swap ? metadata.width : metadata.height;
+
+  const { dominant } = await sharp(input).stats();
+
+  const preview = await sharp(input)
+    .rotate()
+    .resize(size, size, { fit: 'inside' })
+    .blur(1)
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  return {
+    width,
+    height,
+    color: toHex(dominant),
+    preview: `data:image/webp;base64,${preview.toString('base64')}`
+  };
+}
+
+/**
+ * Serialize a manifest with stable key order, so rebuilds diff cleanly
+ */
+function serializeManifest(manifest) {
+  const sorted = {};
+  for (const key of Object.keys(manifest).sort()) {
+    sorted[key] = manifest[key];
+  }
+  return JSON.stringify(sorted, null, 2);
+}
+
+module.exports = {
+  MANIFEST_NAME,
+  createPlaceholder,
+  serializeManifest
+};
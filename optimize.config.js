@@ -2,6 +2,9 @@
  * Image optimization configuration
  * Used by scripts/optimize-images.js for build-time optimization
  */
+const KB = 1024;
+const MB = 1024 * KB;
+
 module.exports = {
   // Source directory for theme images
   sourceDir: 'themes/chris-theme/assets/images',
@@ -14,34 +17,80 @@ module.exports = {
   },
 
   // Context-specific settings
-  // Each context defines sizes and quality for different use cases
+  // Each context defines sizes and quality for different use cases.
+  // `crops` adds art-directed variants per aspect ratio (width:height) at each
+  // size, with a partial per crop: {{> "responsive/projects/steelkey-product--16x10"}}
   contexts: {
     // Hero/banner images - large, high quality
     hero: {
       pattern: '**/hero-*',
       sizes: [640, 1280, 1920, 2560],
-      quality: { webp: 85, original: 90 }
+      quality: { webp: 85, original: 90 },
+      budget: 700 * KB
     },
 
     // Card/thumbnail images - medium sizes
     cards: {
       pattern: '**/card-*',
       sizes: [400, 800, 1200],
-      quality: { webp: 80, original: 85 }
+      crops: ['1:1', '4:5', '16:9'],
+      quality: { webp: 80, original: 85 },
+      budget: 250 * KB
     },
 
     // Project/portfolio images
     projects: {
-      pattern: '**/project-*',
+      pattern: '{**/project-*,projects/**}',
       sizes: [400, 800, 1200, 1600],
-      quality: { webp: 82, original: 87 }
+      // .project-card__thumbnail is 16:10
+      crops: ['16:10'],
+      quality: { webp: 82, original: 87 },
+      budget: 400 * KB
     },
 
     // Default for uncategorized images
     default: {
       pattern: '**/*',
       sizes: [640, 1280, 1920],
-      quality: { webp: 82, original: 85 }
+      quality: { webp: 82, original: 85 },
+      budget: 1.25 * MB
+    }
+  },
+
+  // Where crops are centred when an image has no focal point sidecar
+  // (photo.focal.json next to photo.jpg: { "x": 0.5, "y": 0.3 }, fractions
+  // from the top left): 'attention' keeps faces and salient detail, 'entropy'
+  // the busiest region, 'centre' the middle. A context can set its own.
+  cropStrategy: 'attention',
+
+  // Depth maps for the theme's depth effects: <image><suffix>.png next to the
+  // colour image. Each is checked to have the colour image's aspect ratio
+  // (within aspectTolerance), downscaled to maxWidth as a single-channel PNG
+  // and listed in depth-maps.json by colour image.
+  depthMaps: {
+    suffix: '_depth_anything_2_greyscale',
+    maxWidth: 1024,
+    aspectTolerance: 0.01
+  },
+
+  // Weight budgets in bytes, checked after every run and by `npm test`
+  // (scripts/lib/budgets.js). A context's `budget` limits each WebP it generates.
+  budgets: {
+    themeDir: 'themes/chris-theme',
+
+    // Any media file under <themeDir>/assets, unless a `files` pattern matches first
+    maxBytes: 1.5 * MB,
+    files: {
+      'video/*.{mp4,webm}': 3.5 * MB,
+      'images/**/*.gif': 4 * MB,
+      // Originals are only the fallback for browsers without WebP
+      'images/**/*.{jpg,jpeg,png}': 4 * MB
+    },
+    ignore: ['video/archive/**'],
+
+    // Media a page's template, layout and partials reference ({{asset}})
+    pages: {
+      'index.hbs': 16 * MB
     }
   },
 
@@ -50,16 +99,37 @@ module.exports = {
     '**/.*',           // Hidden files
     '**/*.webp',       // Already optimized
     '**/optimized/**', // Output directory
-    '**/*-optimized.*' // Already processed
+    '**/*-optimized.*', // Already processed
+    'nav/**'           // Section icons, used as SVG masks (partials/scene-nav.hbs)
   ],
 
+  // Write placeholders.json (dominant colour + tiny blurred preview per
+  // image) to sourceDir for the theme's loading placeholders
+  placeholders: true,
+
+  // Write responsive.json (variants with dimensions and byte sizes per image)
+  // to sourceDir, and render a partial per image into partialsDir for
+  // {{> "responsive/speaker/awards-ceremony" alt="..."}} (see partials/picture.hbs)
+  responsive: {
+    partialsDir: 'themes/chris-theme/partials/responsive'
+  },
+
   // Output structure
   // true = flat (image-640.webp), false = nested (size/w640/image.webp)
   flatOutput: true,
 
-  // Skip processing if output newer than source
+  // Skip images whose source and context settings are unchanged since the
+  // last run (content and settings hashes recorded in cacheFile)
   incrementalBuild: true,
 
+  // Build cache, relative to the repo root. Git-ignored: a fresh checkout's
+  // first run rebuilds it (and rewrites the committed outputs).
+  cacheFile: '.optimize-cache.json',
+
+  // Images in flight at once (default: CPU count; --concurrency overrides).
+  // An async limit in one process - sharp's encodes overlap, JS work doesn't
+  // concurrency: 4,
+
   // Report savings after optimization
   reportSavings: true
 };
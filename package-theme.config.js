@@ -0,0 +1,32 @@
+/**
+ * Theme packaging configuration
+ * Used by scripts/package-theme.js (npm run package)
+ */
+module.exports = {
+  // Theme to package, and where the zip goes
+  themeDir: 'themes/chris-theme',
+  output: 'themes/chris-theme.zip',
+
+  // The packaged copy is assembled here first (gitignored)
+  stagingDir: 'dist',
+
+  // Dev-only files left out of the zip (globs relative to themeDir)
+  exclude: [
+    '**/.DS_Store',
+    '**/node_modules/**',
+    '**/*.tmp',
+    // Earlier renders of the looping video, kept for reference
+    'assets/video/archive/**',
+    // Build inputs only scripts/optimize-images.js reads
+    'assets/images/**/*.focal.json',
+    'assets/images/responsive.json'
+  ],
+
+  // Assets renamed to content-hashed filenames (style.3f9a1c0b2e.css) so they
+  // can be cached forever. Only files a template loads through {{asset}} are
+  // renamed; the references are rewritten from assets/asset-map.json.
+  fingerprint: [
+    'assets/css/**/*.css',
+    'assets/js/**/*.js'
+  ]
+};
@@ -10,11 +10,28 @@ def configure_storage(config_file, storage_path):
 
     config['storage'] = {
         'active': 'optimized-local',
+        'media': 'optimized-local',
         'optimized-local': {
             'storagePath': storage_path,
             'sizes': [600, 1000, 1600, 2000],
+            'allowedSizes': [150, 300, 600, 1000, 1600, 2000],
             'quality': 82,
-            'keepOriginal': True
+            'formats': {
+                'webp': {'quality': 82},
+                'avif': {'quality': 60}
+            },
+            'keepOriginal': True,
+            'deduplicate': True,
+            'metadata': {
+                'autoOrient': True,
+                'strip': True,
+                'keepIccProfile': True,
+                'keepCopyright': True
+            },
+            'video': {
+                'formats': ['mp4', 'webm'],
+                'posters': True
+            }
         }
     }
 
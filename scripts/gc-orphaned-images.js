@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+/**
+ * Orphaned image garbage collector for Ghost content
+ *
+ * Finds images in content/images that nothing in the Ghost database references
+ * anymore (posts, pages, revisions, settings, newsletters, emails, tags, users,
+ * snippets), together with their derivatives: .webp/.avif versions, size/wNNN/
+ * variants and crops, focal points, GIF transcodes and video posters. Orphans
+ * are reported, or moved to a quarantine directory outside content/images so
+ * they can be restored.
+ *
+ * Usage:
+ *   node scripts/gc-orphaned-images.js [options]
+ *
+ * Options:
+ *   --dry-run           Report what would be quarantined without moving anything
+ *   --quarantine        Move orphans to the quarantine directory (default: report only)
+ *   --quarantine-path   Where to move orphans (default: <content-path>/../images-quarantine/<timestamp>)
+ *   --content-path      Override content/images path (default: /var/www/ghost/content/images)
+ *   --min-age           Ignore files modified in the last N hours (default: 24),
+ *                       so uploads in a post that hasn't been saved yet survive
+ *   --force             Run even if the database references no images at all
+ *   --verbose           Show detailed output
+ *   --ghost-config      Ghost config to read the database from
+ *                       (default: config.production.json or config.development.json
+ *                       two levels above --content-path)
+ *   --db-client         mysql or sqlite (default: from the Ghost config)
+ *   --db-file           SQLite database file (e.g. content/data/ghost.db)
+ *   --db-host           MySQL host (default: 127.0.0.1)
+ *   --db-user           MySQL user
+ *   --db-password       MySQL password
+ *   --db-name           MySQL database name (default: ghost_prod)
+ *
+ * Examples:
+ *   # Report orphans (database from /var/www/ghost/config.production.json)
+ *   node scripts/gc-orphaned-images.js
+ *
+ *   # Preview quarantine against the local Docker SQLite database
+ *   # (docker compose cp ghost:/var/lib/ghost/content ./ghost-data)
+ *   node scripts/gc-orphaned-images.js --dry-run --quarantine \
+ *     --content-path ./ghost-data/images --db-file ./ghost-data/data/ghost.db
+ *
+ *   # Quarantine orphans
+ *   node scripts/gc-orphaned-images.js --quarantine
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { glob } = require('glob');
+const { databaseOptions, connect, collectImageReferences } = require('./lib/ghost-db');
+const { MANIFEST_NAME } = require('../ghost/adapters/storage/optimized-local/placeholder');
+
+// Configuration
+const DEFAULT_CONTENT_PATH = '/var/www/ghost/content/images';
+const DEFAULT_MIN_AGE_HOURS = 24;
+
+// Parse CLI arguments
+const args = process.argv.slice(2);
+const options = {
+  dryRun: args.includes('--dry-run'),
+  quarantine: args.includes('--quarantine'),
+  force: args.includes('--force'),
+  verbose: args.includes('--verbose'),
+  contentPath: getArgValue('--content-path') || DEFAULT_CONTENT_PATH,
+  quarantinePath: getArgValue('--quarantine-path'),
+  minAgeHours: Number(getArgValue('--min-age') || DEFAULT_MIN_AGE_HOURS),
+  ghostConfig: getArgValue('--ghost-config'),
+  dbClient: getArgValue('--db-client'),
+  dbFile: getArgValue('--db-file'),
+  dbHost: getArgValue('--db-host'),
+  dbUser: getArgValue('--db-user'),
+  dbPassword: getArgValue('--db-password'),
+  dbName: getArgValue('--db-name')
+};
+
+function getArgValue(flag) {
+  const index = args.indexOf(flag);
+  if (index !== -1 && args[index + 1] && !args[index + 1].startsWith('--')) {
+    return args[index + 1];
+  }
+  return null;
+}
+
+// Stats tracking
+const stats = {
+  files: 0,
+  referenced: 0,
+  orphans: 0,
+  orphanFiles: 0,
+  orphanBytes: 0,
+  recent: 0,
+  moved: 0,
+  errors: 0
+};
+
+function log(message, level = 'info') {
+  if (level === 'verbose' && !options.verbose) return;
+  const prefix = {
+    info: '\x1b[36mℹ\x1b[0m',
+    success: '\x1b[32m✓\x1b[0m',
+    warning: '\x1b[33m⚠\x1b[0m',
+    error: '\x1b[31m✗\x1b[0m',
+    verbose: '\x1b[90m·\x1b[0m',
+    progress: '\x1b[35m→\x1b[0m'
+  }[level] || '';
+  console.log(`${prefix} ${message}`);
+}
+
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+}
+
+/**
+ * Reduce an image path to the key its original and all derivatives share
+ *   2026/01/photo.jpg                     -> 2026/01/photo
+ *   2026/01/size/w600/photo.avif          -> 2026/01/photo  (storage adapter)
+ *   size/w600/format/webp/2026/01/photo.jpg -> 2026/01/photo (Ghost's own sizes)
+ *   2026/01/photo_o.jpg                   -> 2026/01/photo  (Ghost's unoptimized original)
+ *   2026/01/photo.focal.json              -> 2026/01/photo  (focal point for crops)
+ */
+function imageKey(imagePath) {
+  return imagePath
+    .replace(/\\/g, '/')
+    .replace(/(^|\/)size\/w\d+(?:h\d+)?\/(?:format\/\w+\/)?/, '$1')
+    .replace(/(\.focal)?\.[^/.]+$/, '')
+    .replace(/_o$/, '');
+}
+
+/**
+ * Group every file under content/images by image key
+ * Dotfiles (dedup index, job list) and the placeholder manifest are never candidates
+ */
+async function scanContent() {
+  const files = await glob('**/*', {
+    cwd: options.contentPath,
+    ignore: [MANIFEST_NAME],
+    nodir: true,
+    dot: false
+  });
+
+  const groups = new Map();
+  for (const file of files.sort()) {
+    const key = imageKey(file);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(file);
+  }
+
+  stats.files = files.length;
+  return groups;
+}
+
+async function loadReferences() {
+  const { options: dbOptions, configPath } = databaseOptions({
+    client: options.dbClient,
+    filename: options.dbFile,
+    host: options.dbHost,
+    user: options.dbUser,
+    password: options.dbPassword,
+    database: options.dbName
+  }, { configPath: options.ghostConfig, contentPath: options.contentPath });
+
+  if (configPath) {
+    log(`Ghost config: ${configPath}`, 'verbose');
+  }
+  const db = await connect({ ...dbOptions, readOnly: true });
+  log(`Database: ${db.label} (${db.client})`, 'info');
+
+  try {
+    const paths = await collectImageReferences(db, (table, column) => {
+      log(`  Skipped ${table}.${column} (not in this Ghost version)`, 'verbose');
+    });
+    return new Set([...paths].map(imageKey));
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * Move a file, falling back to copy + unlink across filesystems
+ */
+function moveFile(from, to) {
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  try {
+    fs.renameSync(from, to);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    fs.copyFileSync(from, to);
+    fs.unlinkSync(from);
+  }
+}
+
+function quarantine(orphans, quarantinePath) {
+  for (const [key, files] of orphans) {
+    try {
+      for (const file of files) {
+        moveFile(path.join(options.contentPath, file), path.join(quarantinePath, file));
+        stats.moved++;
+      }
+    } catch (err) {
+      log(`  Error quarantining ${key}: ${err.message}`, 'error');
+      stats.errors++;
+    }
+  }
+}
+
+async function main() {
+  console.log('\n\x1b[1mGhost Orphaned Image GC\x1b[0m');
+  console.log('─'.repeat(50));
+
+  if (options.dryRun) {
+    log('Dry run mode - no changes will be made', 'warning');
+  }
+
+  log(`Content path: ${options.contentPath}`, 'info');
+
+  if (!fs.existsSync(options.contentPath)) {
+    log(`Content path not found: ${options.contentPath}`, 'error');
+    log('Use --content-path to specify a different path', 'info');
+    process.exit(1);
+  }
+
+  const quarantinePath = options.quarantinePath || path.join(
+    path.dirname(path.resolve(options.contentPath)),
+    'images-quarantine',
+    new Date().toISOString().replace(/[:.]/g, '-')
+  );
+
+  // Quarantining into content/images would keep the files public
+  const relative = path.relative(path.resolve(options.contentPath), path.resolve(quarantinePath));
+  if (options.quarantine && (!relative || !relative.startsWith('..'))) {
+    log('Quarantine path must be outside the content path', 'error');
+    process.exit(1);
+  }
+
+  let references;
+  try {
+    references = await loadReferences();
+  } catch (err) {
+    log(err.message, 'error');
+    process.exit(1);
+  }
+
+  // An empty result usually means the wrong database - everything would be an orphan
+  if (references.size === 0 && !options.force) {
+    log('The database references no images - wrong database? Use --force to continue', 'error');
+    process.exit(1);
+  }
+  log(`Referenced images: ${references.size}`, 'info');
+
+  const groups = await scanContent();
+  const cutoff = Date.now() - options.minAgeHours * 60 * 60 * 1000;
+  const orphans = new Map();
+
+  for (const [key, files] of groups) {
+    if (references.has(key)) {
+      stats.referenced++;
+      continue;
+    }
+
+    const fileStats = files.map(file => fs.statSync(path.join(options.contentPath, file)));
+    if (fileStats.some(stat => stat.mtimeMs > cutoff)) {
+      log(`Skipped (recent): ${key}`, 'verbose');
+      stats.recent++;
+      continue;
+    }
+
+    const bytes = fileStats.reduce((total, stat) => total + stat.size, 0);
+    stats.orphans++;
+    stats.orphanFiles += files.length;
+    stats.orphanBytes += bytes;
+    orphans.set(key, files);
+
+    log(`Orphan: ${key} (${files.length} file(s), ${formatBytes(bytes)})`, 'progress');
+    files.forEach(file => log(`  ${file}`, 'verbose'));
+  }
+
+  console.log('─'.repeat(50));
+  log(`Scanned: ${stats.files} file(s) in ${groups.size} image(s)`, 'info');
+  log(`In use: ${stats.referenced} image(s)`, 'info');
+  if (stats.recent > 0) {
+    log(`Too recent to judge: ${stats.recent} image(s) (newer than ${options.minAgeHours}h)`, 'info');
+  }
+  log(`Orphaned: ${stats.orphans} image(s), ${stats.orphanFiles} file(s), ${formatBytes(stats.orphanBytes)}`,
+    stats.orphans > 0 ? 'warning' : 'success');
+
+  if (options.quarantine && orphans.size > 0) {
+    if (options.dryRun) {
+      log(`Would move ${stats.orphanFiles} file(s) to ${quarantinePath}`, 'info');
+    } else {
+      quarantine(orphans, quarantinePath);
+      log(`Moved ${stats.moved} file(s) to ${quarantinePath}`, 'success');
+      log('Restore with: cp -a <quarantine-path>/. <content-path>/', 'info');
+    }
+  } else if (orphans.size > 0) {
+    log('Run with --quarantine to move them out of content/images', 'info');
+  }
+
+  console.log();
+
+  if (stats.errors > 0) {
+    log(`Errors: ${stats.errors}`, 'error');
+    process.exit(1);
+  }
+}
+
+main().catch(err => {
+  log(`Fatal error: ${err.message}`, 'error');
+  process.exit(1);
+});
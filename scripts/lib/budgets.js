@@ -0,0 +1,175 @@
+/**
+ * Asset weight budgets for scripts/optimize-images.js
+ *
+ * Budgets are byte limits set in optimize.config.js:
+ *
+ *   budgets.maxBytes / budgets.files  each media file in the theme's assets
+ *                                     (the first matching `files` pattern, else maxBytes)
+ *   contexts.<name>.budget            each WebP that context generates
+ *   budgets.pages                     the media a page template pulls in through
+ *                                     {{asset}}, its layout and its partials
+ *
+ * checkBudgets() returns every check with its result; the caller reports them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { globSync } = require('glob');
+const { minimatch } = require('minimatch');
+
+const MEDIA_FILE = /\.(jpe?g|png|gif|webp|avif|svg|mp4|webm)$/i;
+
+// {{asset "images/a.jpg"}}, (asset 'video/b.mp4')
+const ASSET_REF = /\basset\s+["']([^"']+)["']/g;
+// {{> "responsive/speaker/a" ...}}, {{> navigation}}
+const PARTIAL_REF = /\{\{>\s*["']?([\w/.@-]+)["']?/g;
+// {{!< default}}
+const LAYOUT_REF = /\{\{!<\s*([\w/.-]+)\s*\}\}/;
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+function fileSize(filePath) {
+  return fs.existsSync(filePath) ? fs.statSync(filePath).size : null;
+}
+
+/**
+ * One media file per check, against the first matching limit
+ */
+function checkFiles(budgets, assetsDir) {
+  const patterns = Object.entries(budgets.files || {});
+  const files = globSync('**/*', { cwd: assetsDir, nodir: true, ignore: budgets.ignore || [] })
+    .map(toPosix)
+    .filter(file => MEDIA_FILE.test(file))
+    .sort();
+
+  const checks = [];
+  for (const file of files) {
+    const match = patterns.find(([pattern]) => minimatch(file, pattern));
+    const limit = match ? match[1] : budgets.maxBytes;
+    if (!limit) continue;
+
+    checks.push({
+      kind: 'file',
+      name: file,
+      rule: match ? match[0] : 'maxBytes',
+      bytes: fs.statSync(path.join(assetsDir, file)).size,
+      limit
+    });
+  }
+  return checks;
+}
+
+/**
+ * Each generated WebP against its context's budget
+ * contextFor(sourcePath) returns the optimize context ({ name, budget })
+ */
+function checkContexts(responsive, contextFor, assetPrefix) {
+  const checks = [];
+  for (const entry of Object.values(responsive)) {
+    const context = contextFor(entry.path);
+    if (!context.budget) continue;
+
+    const crops = Object.values(entry.crops || {});
+    for (const variant of [...entry.variants, ...crops.flatMap(crop => crop.variants)]) {
+      checks.push({
+        kind: 'context',
+        name: path.posix.join(assetPrefix, variant.path),
+        rule: context.name,
+        bytes: variant.bytes,
+        limit: context.budget
+      });
+    }
+  }
+  return checks;
+}
+
+/**
+ * Media a template references, with its layout and partials
+ * Returns Map of asset key -> bytes. Files that differ only by extension
+ * (video.webm / video.mp4, image.jpg / image.webp) are alternatives the
+ * browser picks one of, so they share a key and the largest counts. A
+ * generated responsive partial (or crop partial, name--16x10) counts as its
+ * largest variant.
+ */
+function templateAssets(themeDir, templatePath, context, assets = new Map(), seen = new Set()) {
+  const fullPath = path.resolve(themeDir, templatePath);
+  if (seen.has(fullPath) || !fs.existsSync(fullPath)) return assets;
+  seen.add(fullPath);
+
+  const add = (key, bytes) => {
+    if (bytes !== null) assets.set(key, Math.max(assets.get(key) || 0, bytes));
+  };
+
+  const relToPartials = context.partialsDir ? path.relative(context.partialsDir, fullPath) : '..';
+  if (!relToPartials.startsWith('..')) {
+    const [key, slug] = toPosix(relToPartials).replace(/\.hbs$/, '').split('--');
+    const entry = context.responsive[key];
+    const variants = entry && (slug ? entry.crops && entry.crops[slug] && entry.crops[slug].variants : entry.variants);
+    if (variants) {
+      add(`responsive:${entry.path}${slug ? `--${slug}` : ''}`, Math.max(...variants.map(variant => variant.bytes)));
+      return assets;
+    }
+  }
+
+  const source = fs.readFileSync(fullPath, 'utf8');
+
+  for (const match of source.matchAll(ASSET_REF)) {
+    if (!MEDIA_FILE.test(match[1])) continue;
+    add(match[1].replace(/\.[^/.]+$/, ''), fileSize(path.join(themeDir, 'assets', match[1])));
+  }
+
+  const layout = source.match(LAYOUT_REF);
+  if (layout) {
+    templateAssets(themeDir, `${layout[1]}.hbs`, context, assets, seen);
+  }
+  for (const match of source.matchAll(PARTIAL_REF)) {
+    templateAssets(themeDir, path.join('partials', `${match[1]}.hbs`), context, assets, seen);
+  }
+
+  return assets;
+}
+
+function checkPages(budgets, themeDir, context) {
+  return Object.entries(budgets.pages || {}).map(([template, limit]) => {
+    const assets = templateAssets(themeDir, template, context);
+    return {
+      kind: 'page',
+      name: template,
+      rule: 'pages',
+      bytes: [...assets.values()].reduce((sum, bytes) => sum + bytes, 0),
+      limit,
+      assets: assets.size
+    };
+  });
+}
+
+/**
+ * Run every configured budget
+ * options: { budgets, themeDir, sourceDir, responsive, partialsDir, contextFor }
+ * Returns { checks, violations }.
+ */
+function checkBudgets(options) {
+  const { budgets, themeDir } = options;
+  const assetsDir = path.join(themeDir, 'assets');
+  const assetPrefix = toPosix(path.relative(assetsDir, options.sourceDir));
+
+  const checks = [
+    ...checkFiles(budgets, assetsDir),
+    ...checkContexts(options.responsive, options.contextFor, assetPrefix),
+    ...checkPages(budgets, themeDir, {
+      responsive: options.responsive,
+      partialsDir: options.partialsDir ? path.resolve(options.partialsDir) : null
+    })
+  ];
+
+  return {
+    checks,
+    violations: checks.filter(check => check.bytes > check.limit)
+  };
+}
+
+module.exports = {
+  checkBudgets
+};
@@ -0,0 +1,262 @@
+/**
+ * Ghost database access for the image maintenance scripts
+ *
+ * Ghost runs on MySQL in production and SQLite in local development
+ * (docker-compose.yml). connect() returns the same small interface for both,
+ * so scripts can issue one set of queries:
+ *
+ *   const db = await connect({ client: 'sqlite', filename: 'ghost.db' });
+ *   const rows = await db.query('SELECT feature_image FROM posts WHERE id = ?', [id]);
+ *   await db.close();
+ *
+ * Drivers are optional dependencies, loaded only for the client in use.
+ * loadGhostConfig() reads the connection from Ghost's own config, so the
+ * scripts can run with just --ghost-config.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Every column that can hold an image URL, by table
+ * Pages live in posts (type = 'page'); settings values are scanned whole.
+ */
+const IMAGE_COLUMNS = {
+  posts: ['feature_image', 'html', 'mobiledoc', 'lexical'],
+  posts_meta: ['og_image', 'twitter_image'],
+  post_revisions: ['feature_image', 'lexical'],
+  settings: ['value'],
+  custom_theme_settings: ['value'],
+  newsletters: ['header_image'],
+  emails: ['html'],
+  tags: ['feature_image', 'og_image', 'twitter_image'],
+  users: ['profile_image', 'cover_image'],
+  snippets: ['mobiledoc', 'lexical']
+};
+
+// /content/images/2026/01/photo.jpg, including __GHOST_URL__ and absolute forms
+const IMAGE_URL = /\/content\/images\/([^"'\s)<>?#\\]+)/g;
+
+// Missing tables/columns differ between Ghost versions; callers skip them
+const MISSING_ERRORS = ['ER_NO_SUCH_TABLE', 'ER_BAD_FIELD_ERROR'];
+
+function isMissingError(err) {
+  return MISSING_ERRORS.includes(err.code) || /no such (table|column)/.test(err.message);
+}
+
+/**
+ * Pick the client from CLI options: a database file means SQLite
+ */
+function resolveClient(options) {
+  if (options.client) {
+    const client = options.client.toLowerCase();
+    if (client === 'sqlite3') return 'sqlite';
+    return client;
+  }
+  return options.filename ? 'sqlite' : 'mysql';
+}
+
+/**
+ * Database options from a Ghost config file (config.production.json etc.)
+ * with Ghost's database__* environment overrides applied on top, as used by
+ * the Docker image. Returns null if neither is present.
+ */
+function loadGhostConfig(configPath, env = process.env) {
+  let database = {};
+  if (configPath && fs.existsSync(configPath)) {
+    database = JSON.parse(fs.readFileSync(configPath, 'utf8')).database || {};
+  }
+  const connection = { ...database.connection };
+
+  const prefix = 'database__connection__';
+  for (const [name, value] of Object.entries(env)) {
+    if (name.startsWith(prefix)) connection[name.slice(prefix.length)] = value;
+  }
+  const client = env.database__client || database.client;
+  if (!client) return null;
+
+  // Ghost resolves a relative SQLite filename against its install directory
+  let filename = connection.filename;
+  if (filename && !path.isAbsolute(filename) && configPath) {
+    filename = path.resolve(path.dirname(configPath), filename);
+  }
+
+  return {
+    client: resolveClient({ client }),
+    filename,
+    host: connection.host,
+    port: connection.port ? Number(connection.port) : undefined,
+    user: connection.user,
+    password: connection.password,
+    database: connection.database
+  };
+}
+
+/**
+ * Ghost's config next to its content directory:
+ * /var/www/ghost/content/images -> /var/www/ghost/config.production.json
+ */
+function findGhostConfig(contentPath) {
+  const ghostRoot = path.resolve(contentPath, '..', '..');
+  return ['config.production.json', 'config.development.json']
+    .map(name => path.join(ghostRoot, name))
+    .find(configPath => fs.existsSync(configPath)) || null;
+}
+
+/**
+ * Connection options from CLI flags layered over the Ghost config (flags win)
+ * Returns the options plus the config file that was used, if any.
+ */
+function databaseOptions(flags, { configPath, contentPath } = {}) {
+  const usedConfig = configPath || (contentPath ? findGhostConfig(contentPath) : null);
+  const options = { ...loadGhostConfig(usedConfig) };
+
+  for (const [name, value] of Object.entries(flags)) {
+    if (value !== null && value !== undefined) options[name] = value;
+  }
+  // --db-file on its own means SQLite, whatever the config says
+  if (flags.filename && !flags.client) options.client = 'sqlite';
+
+  return { options, configPath: usedConfig };
+}
+
+async function connectMysql(options) {
+  if (!options.user || !options.password) {
+    throw new Error('MySQL needs --db-user and --db-password');
+  }
+
+  let mysql;
+  try {
+    mysql = require('mysql2/promise');
+  } catch (err) {
+    throw new Error('mysql2 package required for MySQL (npm install mysql2)');
+  }
+
+  const conn = await mysql.createConnection({
+    host: options.host || '127.0.0.1',
+    port: options.port || 3306,
+    user: options.user,
+    password: options.password,
+    database: options.database || 'ghost_prod'
+  });
+
+  return {
+    client: 'mysql',
+    label: `${options.database || 'ghost_prod'}@${options.host || '127.0.0.1'}`,
+    async query(sql, params = []) {
+      const [result] = await conn.execute(sql, params);
+      // SELECT returns rows; UPDATE/DELETE return { affectedRows }
+      return Array.isArray(result) ? result : { affectedRows: result.affectedRows };
+    },
+    close: () => conn.end()
+  };
+}
+
+async function connectSqlite(options) {
+  if (!options.filename) {
+    throw new Error('SQLite needs --db-file');
+  }
+  if (!fs.existsSync(options.filename)) {
+    throw new Error(`Database file not found: ${options.filename}`);
+  }
+
+  let sqlite3;
+  try {
+    sqlite3 = require('sqlite3');
+  } catch (err) {
+    throw new Error('sqlite3 package required for SQLite (npm install sqlite3)');
+  }
+
+  const mode = options.readOnly ? sqlite3.OPEN_READONLY : sqlite3.OPEN_READWRITE;
+  const db = await new Promise((resolve, reject) => {
+    const handle = new sqlite3.Database(options.filename, mode, err => (err ? reject(err) : resolve(handle)));
+  });
+
+  return {
+    client: 'sqlite',
+    label: options.filename,
+    query(sql, params = []) {
+      // MySQL quotes identifiers with backticks; SQLite accepts them too
+      if (/^\s*select/i.test(sql)) {
+        return new Promise((resolve, reject) => {
+          db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+        });
+      }
+      return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+          if (err) return reject(err);
+          resolve({ affectedRows: this.changes });
+        });
+      });
+    },
+    close: () => new Promise(resolve => db.close(() => resolve()))
+  };
+}
+
+/**
+ * Open a connection
+ * options: { client, filename, host, port, user, password, database, readOnly }
+ */
+function connect(options = {}) {
+  const client = resolveClient(options);
+  if (client === 'mysql') return connectMysql(options);
+  if (client === 'sqlite') return connectSqlite(options);
+  throw new Error(`Unsupported database client: ${options.client} (use mysql or sqlite)`);
+}
+
+/**
+ * Paths under content/images referenced anywhere in a string
+ * '<img src="__GHOST_URL__/content/images/2026/01/a.jpg">' -> ['2026/01/a.jpg']
+ */
+function extractImagePaths(text) {
+  if (typeof text !== 'string' || !text.includes('/content/images/')) return [];
+
+  const paths = [];
+  for (const match of text.matchAll(IMAGE_URL)) {
+    let imagePath = match[1];
+    try {
+      imagePath = decodeURIComponent(imagePath);
+    } catch (err) {
+      // Leave malformed escapes as they are
+    }
+    paths.push(imagePath);
+  }
+  return paths;
+}
+
+/**
+ * Collect every content/images path referenced in IMAGE_COLUMNS
+ * onSkip(table, column, err) is called for tables/columns this Ghost version lacks
+ */
+async function collectImageReferences(db, onSkip = () => {}) {
+  const references = new Set();
+
+  for (const [table, columns] of Object.entries(IMAGE_COLUMNS)) {
+    for (const column of columns) {
+      let rows;
+      try {
+        rows = await db.query(`SELECT \`${column}\` AS value FROM \`${table}\` WHERE \`${column}\` LIKE ?`, ['%/content/images/%']);
+      } catch (err) {
+        if (!isMissingError(err)) throw err;
+        onSkip(table, column, err);
+        continue;
+      }
+
+      for (const row of rows) {
+        extractImagePaths(row.value).forEach(imagePath => references.add(imagePath));
+      }
+    }
+  }
+
+  return references;
+}
+
+module.exports = {
+  IMAGE_COLUMNS,
+  loadGhostConfig,
+  databaseOptions,
+  connect,
+  extractImagePaths,
+  collectImageReferences,
+  isMissingError
+};
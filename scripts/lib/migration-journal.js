@@ -0,0 +1,161 @@
+/**
+ * Change journal for scripts/migrate-existing-images.js
+ *
+ * An append-only JSON Lines file recording every change a migration makes,
+ * written before the change itself so a crash never leaves an unrecorded one:
+ *
+ *   {"type":"start","options":{...}}
+ *   {"type":"file","path":"2026/01/a.webp","backup":false}  about to be created
+ *   {"type":"file","path":"2026/01/a.jpg","backup":true}    about to be overwritten
+ *   {"type":"image","path":"2026/01/a.jpg"}                 image finished
+ *   {"type":"row","table":"posts","column":"html","id":"...","before":"...","after":"..."}
+ *   {"type":"end"} / {"type":"rollback"}
+ *
+ * Files that get overwritten are copied to <journal>.files/ first.
+ * The first entry for a path wins, so a resumed run keeps the original backup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class MigrationJournal {
+  constructor(journalPath, entries = []) {
+    this.path = journalPath;
+    this.backupDir = `${journalPath}.files`;
+    this.entries = entries;
+    // path -> first file entry
+    this.files = new Map();
+    entries.forEach(entry => this.index(entry));
+  }
+
+  index(entry) {
+    if (entry.type === 'file' && !this.files.has(entry.path)) {
+      this.files.set(entry.path, entry);
+    }
+  }
+
+  /**
+   * Start a new journal
+   */
+  static create(journalPath, options) {
+    fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+    if (fs.existsSync(journalPath)) {
+      throw new Error(`Journal already exists: ${journalPath}`);
+    }
+
+    const journal = new MigrationJournal(journalPath);
+    journal.record({ type: 'start', options });
+    return journal;
+  }
+
+  /**
+   * Load an existing journal
+   * A torn last line (crash mid-append) is dropped so appends start clean.
+   */
+  static open(journalPath) {
+    if (!fs.existsSync(journalPath)) {
+      throw new Error(`Journal not found: ${journalPath}`);
+    }
+
+    const entries = [];
+    const lines = fs.readFileSync(journalPath, 'utf8').split('\n').filter(Boolean);
+    lines.forEach((line, index) => {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (err) {
+        if (index !== lines.length - 1) {
+          throw new Error(`Corrupt journal entry on line ${index + 1}: ${journalPath}`);
+        }
+        fs.writeFileSync(journalPath, lines.slice(0, index).map(kept => kept + '\n').join(''));
+      }
+    });
+
+    if (!entries.length || entries[0].type !== 'start') {
+      throw new Error(`Not a migration journal: ${journalPath}`);
+    }
+    return new MigrationJournal(journalPath, entries);
+  }
+
+  /**
+   * Most recent journal in a directory that neither finished nor was rolled back
+   */
+  static findUnfinished(dir) {
+    if (!fs.existsSync(dir)) return null;
+
+    const candidates = fs.readdirSync(dir)
+      .filter(name => name.endsWith('.jsonl'))
+      .sort()
+      .reverse();
+
+    for (const name of candidates) {
+      const journal = MigrationJournal.open(path.join(dir, name));
+      if (!journal.isClosed()) return journal;
+    }
+    return null;
+  }
+
+  get options() {
+    return this.entries[0].options;
+  }
+
+  isClosed() {
+    return this.entries.some(entry => entry.type === 'end' || entry.type === 'rollback');
+  }
+
+  /**
+   * Append an entry and flush it to disk before returning
+   */
+  record(entry) {
+    const line = JSON.stringify({ ...entry, at: new Date().toISOString() }) + '\n';
+    const fd = fs.openSync(this.path, 'a');
+    try {
+      fs.writeSync(fd, line);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    const recorded = JSON.parse(line);
+    this.entries.push(recorded);
+    this.index(recorded);
+  }
+
+  /**
+   * Record that a file under rootDir is about to be written
+   * An existing file is backed up first so rollback can restore it.
+   */
+  recordFile(rootDir, relativePath) {
+    // The first entry for a path holds its pre-migration state
+    if (this.files.has(relativePath)) return;
+
+    const fullPath = path.join(rootDir, relativePath);
+    const backup = fs.existsSync(fullPath);
+    if (backup) {
+      const backupPath = this.backupPath(relativePath);
+      fs.mkdirSync(path.dirname(backupPath), { recursive: true });
+      fs.copyFileSync(fullPath, backupPath);
+    }
+
+    this.record({ type: 'file', path: relativePath, backup });
+  }
+
+  /**
+   * Paths of images fully processed in this journal
+   */
+  finishedImages() {
+    return new Set(this.entries.filter(entry => entry.type === 'image').map(entry => entry.path));
+  }
+
+  /**
+   * Whether a file was overwritten (backed up) in this journal
+   */
+  hasBackup(relativePath) {
+    const entry = this.files.get(relativePath);
+    return Boolean(entry && entry.backup);
+  }
+
+  backupPath(relativePath) {
+    return path.join(this.backupDir, relativePath);
+  }
+}
+
+module.exports = MigrationJournal;
@@ -6,6 +6,10 @@
  * generates optimized WebP versions + responsive sizes, and optionally
  * updates the Ghost database to reference the new WebP files.
  *
+ * Every file written and every database row changed is recorded in a journal
+ * first (see scripts/lib/migration-journal.js), so an interrupted run can be
+ * resumed and a finished one rolled back.
+ *
  * Usage:
  *   node scripts/migrate-existing-images.js [options]
  *
@@ -14,11 +18,26 @@
  *   --content-path      Override content/images path (default: /var/www/ghost/content/images)
  *   --verbose           Show detailed output
  *   --skip-responsive   Skip generating responsive sizes (only create WebP)
+ *   --strip-metadata    Retro-apply the storage adapter's metadata privacy policy:
+ *                       auto-orient originals, strip GPS/EXIF (keeps ICC + copyright)
+ *                       and regenerate derivatives of every original that changed
  *   --update-database   Update Ghost database to use WebP paths
+ *   --ghost-config      Ghost config to read the database from
+ *                       (default: config.production.json or config.development.json
+ *                       two levels above --content-path)
+ *   --db-client         mysql or sqlite (default: from the Ghost config)
+ *   --db-file           SQLite database file (e.g. content/data/ghost.db)
  *   --db-host           MySQL host (default: 127.0.0.1)
- *   --db-user           MySQL user (required for --update-database)
- *   --db-password       MySQL password (required for --update-database)
+ *   --db-user           MySQL user
+ *   --db-password       MySQL password
  *   --db-name           MySQL database name (default: ghost_prod)
+ *   --journal           Journal file to write
+ *                       (default: <content-path>/../image-migrations/<timestamp>.jsonl)
+ *   --resume [journal]  Continue an interrupted run (default: the latest unfinished journal)
+ *   --rollback <journal> Restore changed rows and files, delete generated files
+ *
+ * Database flags override the Ghost config, so with a readable config
+ * --update-database needs no credentials on the command line.
  *
  * Examples:
  *   # Dry run - preview file changes
@@ -27,7 +46,12 @@
  *   # Create WebP files only (no database changes)
  *   node scripts/migrate-existing-images.js --content-path /var/www/ghost/content/images
  *
- *   # Full migration with database update
+ *   # Full migration with database update (credentials from config.production.json)
+ *   node scripts/migrate-existing-images.js \
+ *     --content-path /var/www/ghost/content/images \
+ *     --update-database
+ *
+ *   # Same, with explicit MySQL credentials
  *   node scripts/migrate-existing-images.js \
  *     --content-path /var/www/ghost/content/images \
  *     --update-database \
@@ -35,19 +59,51 @@
  *     --db-password "yourpassword" \
  *     --db-name ghost_prod
  *
+ *   # Rehearse against the local Docker SQLite database
+ *   # (docker compose cp ghost:/var/lib/ghost/content ./ghost-data)
+ *   node scripts/migrate-existing-images.js \
+ *     --content-path ./ghost-data/images \
+ *     --update-database \
+ *     --db-file ./ghost-data/data/ghost.db
+ *
+ *   # Strip GPS/EXIF from existing originals and fix sideways derivatives
+ *   node scripts/migrate-existing-images.js --strip-metadata
+ *
  *   # Dry run with database preview
- *   node scripts/migrate-existing-images.js --dry-run --update-database --db-user ghost --db-password pass
+ *   node scripts/migrate-existing-images.js --dry-run --update-database
+ *
+ *   # Continue after a crash, or undo a run
+ *   node scripts/migrate-existing-images.js --resume
+ *   node scripts/migrate-existing-images.js --rollback /var/www/ghost/content/image-migrations/2026-01-20T10-00-00-000Z.jsonl
  */
 
 const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs');
 const { glob } = require('glob');
+const {
+  resolvePolicy,
+  getKeptExif,
+  applyMetadataPolicy,
+  needsSanitizing,
+  sanitizeOriginal
+} = require('../ghost/adapters/storage/optimized-local/metadata-policy');
+const { IMAGE_COLUMNS, databaseOptions, connect, isMissingError } = require('./lib/ghost-db');
+const MigrationJournal = require('./lib/migration-journal');
 
 // Configuration
 const DEFAULT_CONTENT_PATH = '/var/www/ghost/content/images';
 const SIZES = [600, 1000, 1600, 2000];
 const QUALITY = 82;
+const ORIGINAL_QUALITY = 90;
+const METADATA_POLICY = resolvePolicy();
+
+// Columns rewritten to WebP paths: every image-bearing column except sent
+// emails (kept as delivered) and settings, where only these keys are safe -
+// icon/logo stay PNG for browser compatibility
+const REWRITE_SETTINGS = ['cover_image', 'og_image', 'twitter_image'];
+const REWRITE_COLUMNS = Object.entries(IMAGE_COLUMNS)
+  .filter(([table]) => !['emails', 'settings'].includes(table));
 
 // Parse CLI arguments
 const args = process.argv.slice(2);
@@ -55,14 +111,25 @@ const options = {
   dryRun: args.includes('--dry-run'),
   verbose: args.includes('--verbose'),
   skipResponsive: args.includes('--skip-responsive'),
+  stripMetadata: args.includes('--strip-metadata'),
   updateDatabase: args.includes('--update-database'),
   contentPath: getArgValue('--content-path') || DEFAULT_CONTENT_PATH,
-  dbHost: getArgValue('--db-host') || '127.0.0.1',
+  ghostConfig: getArgValue('--ghost-config'),
+  dbClient: getArgValue('--db-client'),
+  dbFile: getArgValue('--db-file'),
+  dbHost: getArgValue('--db-host'),
   dbUser: getArgValue('--db-user'),
   dbPassword: getArgValue('--db-password'),
-  dbName: getArgValue('--db-name') || 'ghost_prod'
+  dbName: getArgValue('--db-name'),
+  journal: getArgValue('--journal'),
+  resume: args.includes('--resume'),
+  resumeJournal: getArgValue('--resume'),
+  rollback: getArgValue('--rollback')
 };
 
+// Options a resumed run takes from its journal rather than the command line
+const JOURNALED_OPTIONS = ['contentPath', 'skipResponsive', 'stripMetadata', 'updateDatabase'];
+
 function getArgValue(flag) {
   const index = args.indexOf(flag);
   if (index !== -1 && args[index + 1] && !args[index + 1].startsWith('--')) {
@@ -78,6 +145,7 @@ const stats = {
   skipped: 0,
   errors: 0,
   dbUpdates: 0,
+  sanitized: 0,
   totalSourceBytes: 0,
   totalOutputBytes: 0
 };
@@ -85,6 +153,9 @@ const stats = {
 // Track created WebP files for database update
 const createdWebpFiles = new Map(); // originalPath -> webpPath
 
+// Change journal for this run (null in dry-run mode)
+let journal = null;
+
 function log(message, level = 'info') {
   if (level === 'verbose' && !options.verbose) return;
   const prefix = {
@@ -123,6 +194,41 @@ function webpExists(contentPath, relativePath) {
   return fs.existsSync(fullPath);
 }
 
+/**
+ * Write a file through the journal: record it (backing up an existing file)
+ * first, then write to a temp file and rename so a crash can't leave a partial file
+ */
+async function writeJournaled(targetPath, write) {
+  journal.recordFile(options.contentPath, path.relative(options.contentPath, targetPath));
+
+  const tmpPath = `${targetPath}.tmp`;
+  await write(tmpPath);
+  fs.renameSync(tmpPath, targetPath);
+}
+
+/**
+ * Rewrite an original in place with the metadata privacy policy applied
+ * Returns true if the original changed (or would change in dry-run mode)
+ */
+async function applyMetadataPolicyToOriginal(imagePath, metadata) {
+  if (!needsSanitizing(metadata, METADATA_POLICY)) {
+    return false;
+  }
+
+  if (options.dryRun) {
+    log('  Would strip metadata and auto-orient original', 'verbose');
+    stats.sanitized++;
+    return true;
+  }
+
+  const buffer = await sanitizeOriginal(fs.readFileSync(imagePath), METADATA_POLICY, ORIGINAL_QUALITY);
+  await writeJournaled(imagePath, tmpPath => fs.writeFileSync(tmpPath, buffer));
+
+  log('  Stripped metadata and auto-oriented original', 'verbose');
+  stats.sanitized++;
+  return true;
+}
+
 async function processImage(imagePath) {
   const dir = path.dirname(imagePath);
   const ext = path.extname(imagePath);
@@ -132,6 +238,15 @@ async function processImage(imagePath) {
 
   // Track relative path for database update
   const relativePath = path.relative(options.contentPath, imagePath);
+  const errorsBefore = stats.errors;
+
+  // Finished before an interruption - only the database update still needs it
+  if (journal && journal.finishedImages().has(relativePath)) {
+    log(`Skipped: ${relativePath} (done before resume)`, 'verbose');
+    stats.skipped++;
+    createdWebpFiles.set(relativePath, toWebpPath(relativePath));
+    return;
+  }
 
   log(`Processing: ${relativePath}`, 'progress');
 
@@ -145,14 +260,32 @@ async function processImage(imagePath) {
     return;
   }
 
+  // Derivatives of a rewritten original are stale (sideways or carrying GPS).
+  // An original rewritten before an interruption no longer needs sanitizing,
+  // but its derivatives may not have been regenerated yet.
+  let regenerate = Boolean(journal && journal.hasBackup(relativePath));
+  if (options.stripMetadata) {
+    try {
+      const sanitized = await applyMetadataPolicyToOriginal(imagePath, metadata);
+      regenerate = regenerate || sanitized;
+      if (sanitized && !options.dryRun) {
+        metadata = await sharp(imagePath).metadata();
+      }
+    } catch (err) {
+      log(`  Error applying metadata policy: ${err.message}`, 'error');
+      stats.errors++;
+    }
+  }
+  const keptExif = getKeptExif(metadata, METADATA_POLICY);
+
   // Generate full-size WebP
   const webpPath = path.join(dir, `${base}.webp`);
-  if (!fs.existsSync(webpPath)) {
+  if (regenerate || !fs.existsSync(webpPath)) {
     if (!options.dryRun) {
       try {
-        await sharp(imagePath)
+        await writeJournaled(webpPath, tmpPath => applyMetadataPolicy(sharp(imagePath), METADATA_POLICY, keptExif)
           .webp({ quality: QUALITY })
-          .toFile(webpPath);
+          .toFile(tmpPath));
 
         const outSize = fs.statSync(webpPath).size;
         stats.totalOutputBytes += outSize;
@@ -189,7 +322,7 @@ async function processImage(imagePath) {
       const sizeDir = path.join(dir, 'size', `w${width}`);
       const sizePath = path.join(sizeDir, `${base}.webp`);
 
-      if (!fs.existsSync(sizePath)) {
+      if (regenerate || !fs.existsSync(sizePath)) {
         if (!options.dryRun) {
           try {
             // Ensure directory exists
@@ -197,10 +330,10 @@ async function processImage(imagePath) {
               fs.mkdirSync(sizeDir, { recursive: true });
             }
 
-            await sharp(imagePath)
+            await writeJournaled(sizePath, tmpPath => applyMetadataPolicy(sharp(imagePath), METADATA_POLICY, keptExif)
               .resize(width, null, { withoutEnlargement: true })
               .webp({ quality: QUALITY })
-              .toFile(sizePath);
+              .toFile(tmpPath));
 
             const outSize = fs.statSync(sizePath).size;
             stats.totalOutputBytes += outSize;
@@ -220,37 +353,91 @@ async function processImage(imagePath) {
       }
     }
   }
+
+  if (journal && !options.dryRun && stats.errors === errorsBefore) {
+    journal.record({ type: 'image', path: relativePath });
+  }
 }
 
 /**
- * Update Ghost database to use WebP paths
- * Uses safe, individual updates instead of regex replace
+ * Connection options: --db-* flags over the Ghost config
  */
-async function updateDatabase() {
-  if (!options.dbUser || !options.dbPassword) {
-    log('Database credentials required for --update-database', 'error');
-    log('Use --db-user and --db-password flags', 'info');
-    process.exit(1);
+function resolveDatabase() {
+  return databaseOptions({
+    client: options.dbClient,
+    filename: options.dbFile,
+    host: options.dbHost,
+    user: options.dbUser,
+    password: options.dbPassword,
+    database: options.dbName
+  }, { configPath: options.ghostConfig, contentPath: options.contentPath });
+}
+
+/**
+ * Connect, or exit with a hint about the connection flags
+ */
+async function openDatabase() {
+  const { options: dbOptions, configPath } = resolveDatabase();
+  if (configPath) {
+    log(`Ghost config: ${configPath}`, 'verbose');
   }
 
-  let mysql;
+  let db;
   try {
-    mysql = require('mysql2/promise');
+    db = await connect(dbOptions);
   } catch (err) {
-    log('mysql2 package required for database updates', 'error');
-    log('Run: npm install mysql2', 'info');
+    log(err.message, 'error');
+    log('Use --ghost-config, or --db-file (SQLite) / --db-user and --db-password (MySQL)', 'info');
     process.exit(1);
   }
+  log(`Database: ${db.label} (${db.client})`, 'info');
+  return db;
+}
+
+/**
+ * Apply every replacement to the rows of one column, journaling each row
+ * before it is updated. Counts rows that would change in dry-run mode.
+ * Returns the number of rows, or null if this Ghost version lacks the column
+ */
+async function rewriteColumn(db, table, column, replacements, where = '', whereParams = []) {
+  let rows;
+  try {
+    rows = await db.query(
+      `SELECT \`id\`, \`${column}\` AS value FROM \`${table}\` WHERE \`${column}\` LIKE ?${where}`,
+      ['%/content/images/%', ...whereParams]
+    );
+  } catch (err) {
+    if (isMissingError(err)) return null;
+    throw err;
+  }
 
+  let changed = 0;
+  for (const row of rows) {
+    // Same semantics as SQL REPLACE(): exact, case-sensitive, every occurrence
+    const after = replacements.reduce((value, { original, webp }) => value.split(original).join(webp), row.value);
+    if (after === row.value) continue;
+
+    changed++;
+    if (options.dryRun) continue;
+
+    journal.record({ type: 'row', table, column, id: row.id, before: row.value, after });
+    await db.query(
+      `UPDATE \`${table}\` SET \`${column}\` = ? WHERE \`id\` = ? AND \`${column}\` = ?`,
+      [after, row.id, row.value]
+    );
+  }
+  return changed;
+}
+
+/**
+ * Update Ghost database to use WebP paths
+ * Uses safe, row-by-row updates instead of regex replace
+ */
+async function updateDatabase() {
   console.log('─'.repeat(50));
   log('Updating Ghost database...', 'info');
 
-  const conn = await mysql.createConnection({
-    host: options.dbHost,
-    user: options.dbUser,
-    password: options.dbPassword,
-    database: options.dbName
-  });
+  const db = await openDatabase();
 
   try {
     // Build list of path replacements we can safely make
@@ -274,75 +461,159 @@ async function updateDatabase() {
 
     log(`Found ${replacements.length} paths to update`, 'info');
 
-    // Update posts table - feature_image
-    for (const { original, webp } of replacements) {
-      const [result] = await conn.execute(
-        'UPDATE posts SET feature_image = REPLACE(feature_image, ?, ?) WHERE feature_image LIKE ?',
-        [original, webp, `%${original}%`]
-      );
-      if (result.affectedRows > 0) {
-        log(`  Updated feature_image: ${original} -> ${webp} (${result.affectedRows} rows)`, 'verbose');
-        stats.dbUpdates += result.affectedRows;
+    const placeholders = REWRITE_SETTINGS.map(() => '?').join(', ');
+    const targets = [
+      ...REWRITE_COLUMNS.flatMap(([table, columns]) => columns.map(column => ({ table, column }))),
+      { table: 'settings', column: 'value', where: ` AND \`key\` IN (${placeholders})`, whereParams: REWRITE_SETTINGS }
+    ];
+
+    // Do this carefully, one column and one row at a time
+    if (replacements.length > 0) {
+      for (const { table, column, where, whereParams } of targets) {
+        const rows = await rewriteColumn(db, table, column, replacements, where, whereParams);
+        if (rows === null) {
+          log(`  Skipped ${table}.${column} (not in this Ghost version)`, 'verbose');
+        } else if (rows > 0) {
+          log(`  ${options.dryRun ? 'Would update' : 'Updated'} ${table}.${column}: ${rows} row(s)`, 'verbose');
+          stats.dbUpdates += rows;
+        }
       }
     }
 
-    // Update posts table - html content
-    // Do this carefully, one path at a time
-    for (const { original, webp } of replacements) {
-      if (!options.dryRun) {
-        const [result] = await conn.execute(
-          'UPDATE posts SET html = REPLACE(html, ?, ?) WHERE html LIKE ?',
-          [original, webp, `%${original}%`]
-        );
-        if (result.affectedRows > 0) {
-          log(`  Updated html: ${path.basename(original)} (${result.affectedRows} rows)`, 'verbose');
-          stats.dbUpdates += result.affectedRows;
-        }
-      }
+    if (options.dryRun) {
+      log(`Would update ${replacements.length} image paths in database (${stats.dbUpdates} rows)`, 'info');
+    } else {
+      log(`Database updates complete: ${stats.dbUpdates} row(s) changed`, 'success');
     }
 
-    // Update posts table - mobiledoc content
-    for (const { original, webp } of replacements) {
-      if (!options.dryRun) {
-        const [result] = await conn.execute(
-          'UPDATE posts SET mobiledoc = REPLACE(mobiledoc, ?, ?) WHERE mobiledoc LIKE ?',
-          [original, webp, `%${original}%`]
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * Undo a journaled run, newest change first: rows get their previous value
+ * back, overwritten files are restored and generated files deleted.
+ * A row edited since the migration is left alone and reported.
+ */
+async function rollback(journalPath) {
+  const runJournal = MigrationJournal.open(journalPath);
+  if (runJournal.entries.some(entry => entry.type === 'rollback')) {
+    log(`Journal already rolled back: ${journalPath}`, 'error');
+    process.exit(1);
+  }
+
+  options.contentPath = runJournal.options.contentPath;
+  const entries = [...runJournal.entries].reverse();
+  const rows = entries.filter(entry => entry.type === 'row');
+  const files = entries.filter(entry => entry.type === 'file');
+
+  log(`Rolling back: ${journalPath}`, 'info');
+  log(`Content path: ${options.contentPath}`, 'info');
+  log(`${rows.length} row change(s), ${files.length} file(s)`, 'info');
+  console.log('─'.repeat(50));
+
+  if (rows.length > 0) {
+    const db = await openDatabase();
+    try {
+      for (const row of rows) {
+        const label = `${row.table}.${row.column} (id ${row.id})`;
+        if (options.dryRun) {
+          log(`  Would restore ${label}`, 'verbose');
+          continue;
+        }
+
+        const result = await db.query(
+          `UPDATE \`${row.table}\` SET \`${row.column}\` = ? WHERE \`id\` = ? AND \`${row.column}\` = ?`,
+          [row.before, row.id, row.after]
         );
         if (result.affectedRows > 0) {
-          log(`  Updated mobiledoc: ${path.basename(original)} (${result.affectedRows} rows)`, 'verbose');
-          stats.dbUpdates += result.affectedRows;
+          log(`  Restored ${label}`, 'verbose');
+          stats.dbUpdates++;
+          continue;
         }
-      }
-    }
 
-    // Update settings table - cover_image, og_image, twitter_image
-    // But NOT icon/favicon (keep as PNG for browser compatibility)
-    for (const { original, webp } of replacements) {
-      if (!options.dryRun) {
-        const [result] = await conn.execute(
-          `UPDATE settings SET value = REPLACE(value, ?, ?)
-           WHERE \`key\` IN ('cover_image', 'og_image', 'twitter_image')
-           AND value LIKE ?`,
-          [original, webp, `%${original}%`]
+        // Journaled but never applied (crash), or edited since
+        const [current] = await db.query(
+          `SELECT \`${row.column}\` AS value FROM \`${row.table}\` WHERE \`id\` = ?`, [row.id]
         );
-        if (result.affectedRows > 0) {
-          log(`  Updated settings: ${path.basename(original)}`, 'verbose');
-          stats.dbUpdates += result.affectedRows;
+        if (current && current.value !== row.before) {
+          log(`  Not restoring ${label}: changed since the migration`, 'warning');
+          stats.errors++;
         }
       }
+    } finally {
+      await db.close();
     }
+  }
 
+  for (const file of files) {
+    const fullPath = path.join(options.contentPath, file.path);
     if (options.dryRun) {
-      log(`Would update ${replacements.length} image paths in database`, 'info');
-    } else {
-      log(`Database updates complete: ${stats.dbUpdates} total changes`, 'success');
+      log(`  Would ${file.backup ? 'restore' : 'delete'} ${file.path}`, 'verbose');
+      continue;
     }
 
-  } finally {
-    await conn.end();
+    try {
+      if (file.backup) {
+        const tmpPath = `${fullPath}.tmp`;
+        fs.copyFileSync(runJournal.backupPath(file.path), tmpPath);
+        fs.renameSync(tmpPath, fullPath);
+        log(`  Restored ${file.path}`, 'verbose');
+      } else {
+        fs.rmSync(fullPath, { force: true });
+        log(`  Deleted ${file.path}`, 'verbose');
+      }
+      stats.processed++;
+    } catch (err) {
+      log(`  Error rolling back ${file.path}: ${err.message}`, 'error');
+      stats.errors++;
+    }
+  }
+
+  console.log('─'.repeat(50));
+  if (options.dryRun) {
+    log(`Would restore ${rows.length} row(s) and roll back ${files.length} file(s)`, 'info');
+  } else if (stats.errors > 0) {
+    // Left open so the rollback can be retried after fixing the cause
+    log(`Rollback incomplete: ${stats.errors} error(s)`, 'error');
+  } else {
+    runJournal.record({ type: 'rollback' });
+    log(`Rolled back ${stats.dbUpdates} row(s) and ${stats.processed} file(s)`, 'success');
   }
 }
 
+/**
+ * Open the journal for this run: a new one, or the interrupted one for --resume
+ */
+function openJournal() {
+  const journalDir = path.join(path.dirname(path.resolve(options.contentPath)), 'image-migrations');
+
+  if (options.resume) {
+    const resumed = options.resumeJournal
+      ? MigrationJournal.open(options.resumeJournal)
+      : MigrationJournal.findUnfinished(journalDir);
+    if (!resumed) {
+      throw new Error(`No unfinished journal in ${journalDir} (pass its path to --resume)`);
+    }
+    if (resumed.isClosed()) {
+      throw new Error(`Journal already finished or rolled back: ${resumed.path}`);
+    }
+
+    JOURNALED_OPTIONS.forEach(name => { options[name] = resumed.options[name]; });
+    log(`Resuming: ${resumed.path}`, 'info');
+    return resumed;
+  }
+
+  const journalPath = options.journal ||
+    path.join(journalDir, `${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`);
+  const runOptions = {};
+  JOURNALED_OPTIONS.forEach(name => { runOptions[name] = options[name]; });
+  runOptions.contentPath = path.resolve(options.contentPath);
+
+  return MigrationJournal.create(journalPath, runOptions);
+}
+
 async function main() {
   console.log('\n\x1b[1mGhost Image Migration\x1b[0m');
   console.log('─'.repeat(50));
@@ -351,11 +622,28 @@ async function main() {
     log('Dry run mode - no changes will be made', 'warning');
   }
 
+  if (options.rollback) {
+    await rollback(options.rollback);
+    console.log();
+    if (stats.errors > 0) process.exit(1);
+    return;
+  }
+
+  if (!options.dryRun || options.resume) {
+    try {
+      journal = openJournal();
+    } catch (err) {
+      log(err.message, 'error');
+      process.exit(1);
+    }
+    log(`Journal: ${journal.path}`, 'info');
+  }
+
   log(`Content path: ${options.contentPath}`, 'info');
   log(`Sizes: ${SIZES.join(', ')}`, 'info');
   log(`Quality: ${QUALITY}`, 'info');
-  if (options.updateDatabase) {
-    log(`Database: ${options.dbName}@${options.dbHost}`, 'info');
+  if (options.stripMetadata) {
+    log('Metadata policy: auto-orient, strip GPS/EXIF, keep ICC + copyright', 'info');
   }
 
   // Check if content path exists
@@ -389,6 +677,7 @@ async function main() {
 
   if (sourceFiles.length === 0) {
     log('No source images found to migrate', 'info');
+    if (journal && !options.dryRun) journal.record({ type: 'end' });
     return;
   }
 
@@ -425,6 +714,9 @@ async function main() {
   if (stats.skipped > 0) {
     log(`Skipped: ${stats.skipped} file(s) (already exist)`, 'info');
   }
+  if (stats.sanitized > 0) {
+    log(`${options.dryRun ? 'Would strip metadata from' : 'Stripped metadata from'}: ${stats.sanitized} original(s)`, 'success');
+  }
   if (stats.errors > 0) {
     log(`Errors: ${stats.errors}`, 'error');
   }
@@ -442,6 +734,11 @@ async function main() {
 
   if (options.dryRun) {
     log('Run without --dry-run to apply changes', 'info');
+  } else if (stats.errors > 0) {
+    log('Fix the errors and continue with --resume', 'info');
+  } else {
+    journal.record({ type: 'end' });
+    log(`Undo with: --rollback ${journal.path}`, 'info');
   }
 
   // Exit with error code if there were errors
@@ -1,46 +1,125 @@
 #!/usr/bin/env node
 /**
  * Theme image build-time optimization script
- * Generates WebP and responsive sizes for all theme images using Sharp
+ * Generates WebP and responsive sizes for all theme images using Sharp,
+ * plus a placeholders.json manifest (dominant colour + blurred preview)
+ * and a responsive.json manifest (variants, dimensions and byte sizes),
+ * from which it renders one theme partial per image for <picture> markup
+ *
+ * Contexts with `crops` also get art-directed variants at each aspect ratio
+ * (photo-16x10-800.webp), centred on the focal point in photo.focal.json
+ * next to photo.jpg, or placed by sharp's attention/entropy strategy. Each
+ * crop gets its own partial (responsive/photo--16x10).
+ *
+ * Depth maps (photo_depth_anything_2_greyscale.png next to photo.jpg) are
+ * checked against their colour image, downscaled to single-channel PNGs and
+ * listed in depth-maps.json, which the theme's depth effects read.
+ *
+ * Up to --concurrency images are in flight at once. This is an async limit
+ * in one process, not worker threads: it overlaps sharp's encodes (which run
+ * on libvips' own threadpool), while hashing, file reads and manifest writes
+ * stay on the main thread. A cache
+ * (.optimize-cache.json) records a hash of each source file and of the
+ * settings its context applies, so an image is rebuilt exactly when either
+ * changes. Outputs of deleted sources (or of sizes dropped from the config)
+ * are removed.
  *
  * Usage:
  *   node scripts/optimize-images.js [options]
  *
  * Options:
- *   --dry-run     Show what would be done without making changes
- *   --force       Regenerate all images even if up to date
- *   --verbose     Show detailed output
+ *   --dry-run       Show what would be done without making changes
+ *   --force         Regenerate all images even if up to date
+ *   --verbose       Show detailed output
+ *   --concurrency   Images processed at once (default: config, then CPU count)
+ *   --report        Write the savings report as JSON to this file
+ *   --json          Print the savings report as JSON on stdout (logs go to stderr)
+ *   --watch         Keep running and rebuild images as they are added, changed or
+ *                   deleted (and every affected image when optimize.config.js changes)
+ *   --check         Only check the weight budgets against the files on disk
+ *
+ * When `budgets` are configured, every run checks them afterwards and exits
+ * non-zero if an asset, context or page is over budget (see scripts/lib/budgets.js).
  */
 
 const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs');
-const { glob } = require('glob');
+const os = require('os');
+const crypto = require('crypto');
+const { glob, globSync } = require('glob');
 const { minimatch } = require('minimatch');
+const {
+  MANIFEST_NAME,
+  createPlaceholder,
+  serializeManifest
+} = require('../ghost/adapters/storage/optimized-local/placeholder');
+const {
+  FOCAL_SUFFIX,
+  parseAspect,
+  aspectSlug,
+  resolveStrategy,
+  focalPointPath,
+  parseFocalPoint,
+  cropSize,
+  applyCrop
+} = require('../ghost/adapters/storage/optimized-local/crop');
+const { checkBudgets } = require('./lib/budgets');
 
-// Load configuration
+// Load configuration (reloaded in --watch mode when the file changes)
 const configPath = path.join(process.cwd(), 'optimize.config.js');
-const config = fs.existsSync(configPath)
-  ? require(configPath)
-  : getDefaultConfig();
+let config = loadConfig();
 
 // Parse CLI arguments
 const args = process.argv.slice(2);
 const options = {
   dryRun: args.includes('--dry-run'),
   force: args.includes('--force'),
-  verbose: args.includes('--verbose')
+  verbose: args.includes('--verbose'),
+  json: args.includes('--json'),
+  watch: args.includes('--watch'),
+  check: args.includes('--check'),
+  concurrency: Number(getArgValue('--concurrency') || config.concurrency || os.cpus().length),
+  reportFile: getArgValue('--report')
 };
 
-// Stats tracking
+function getArgValue(flag) {
+  const index = args.indexOf(flag);
+  if (index !== -1 && args[index + 1] && !args[index + 1].startsWith('--')) {
+    return args[index + 1];
+  }
+  return null;
+}
+
+// Stats tracking (per source image)
 const stats = {
-  processed: 0,
-  skipped: 0,
+  built: 0,
+  cached: 0,
+  pruned: 0,
   errors: 0,
-  totalSourceBytes: 0,
-  totalOutputBytes: 0
+  overBudget: 0
 };
 
+// Bump when the way outputs are encoded changes, so every image rebuilds
+// (2: EXIF orientation applied to every WebP, not just crops)
+const CACHE_VERSION = 2;
+
+// Per-image results for the JSON report
+const report = [];
+
+const RESPONSIVE_MANIFEST = 'responsive.json';
+const DEPTH_MANIFEST = 'depth-maps.json';
+const SOURCE_PATTERNS = ['**/*.jpg', '**/*.jpeg', '**/*.png'];
+
+// Quiet period before --watch rebuilds, so a copy of many files is one run
+const WATCH_DEBOUNCE_MS = 300;
+
+function loadConfig() {
+  if (!fs.existsSync(configPath)) return getDefaultConfig();
+  delete require.cache[require.resolve(configPath)];
+  return require(configPath);
+}
+
 function getDefaultConfig() {
   return {
     sourceDir: 'themes/chris-theme/assets/images',
@@ -53,6 +132,11 @@ function getDefaultConfig() {
       }
     },
     ignore: ['**/.*', '**/*.webp'],
+    placeholders: true,
+    responsive: { partialsDir: 'themes/chris-theme/partials/responsive' },
+    depthMaps: { suffix: '_depth_anything_2_greyscale', maxWidth: 1024, aspectTolerance: 0.01 },
+    cropStrategy: 'attention',
+    cacheFile: '.optimize-cache.json',
     flatOutput: true,
     incrementalBuild: true,
     reportSavings: true
@@ -68,7 +152,12 @@ function log(message, level = 'info') {
     error: '\x1b[31m✗\x1b[0m',
     verbose: '\x1b[90m·\x1b[0m'
   }[level] || '';
-  console.log(`${prefix} ${message}`);
+  print(`${prefix} ${message}`);
+}
+
+// With --json, stdout carries only the report
+function print(...lines) {
+  (options.json ? console.error : console.log)(...lines);
 }
 
 function formatBytes(bytes) {
@@ -89,175 +178,886 @@ function getContextForFile(filename) {
   return { name: 'default', ...config.contexts.default };
 }
 
-function getOutputPath(sourcePath, size, format) {
+/**
+ * Where an output goes; crops (aspect '16:10') add their ratio to the name
+ */
+function getOutputPath(sourcePath, size, format, aspect = null) {
   const dir = path.dirname(sourcePath);
   const ext = path.extname(sourcePath);
-  const name = path.basename(sourcePath, ext);
+  const name = path.basename(sourcePath, ext) + (aspect ? `-${aspectSlug(aspect)}` : '');
 
   if (config.flatOutput) {
-    // image.jpg -> image-1280.webp
+    // image.jpg -> image-1280.webp (crop: image-16x10-1280.webp)
     const suffix = size ? `-${size}` : '';
     const newExt = format === 'webp' ? '.webp' : ext;
     return path.join(dir, `${name}${suffix}${newExt}`);
   } else {
-    // image.jpg -> size/w1280/image.webp
+    // image.jpg -> size/w1280/image.webp (crop: size/w1280/image-16x10.webp)
     const sizeDir = size ? path.join(dir, 'size', `w${size}`) : dir;
     const newExt = format === 'webp' ? '.webp' : ext;
     return path.join(sizeDir, `${name}${newExt}`);
   }
 }
 
-function shouldSkip(sourcePath, outputPath) {
-  if (options.force) return false;
-  if (!config.incrementalBuild) return false;
-  if (!fs.existsSync(outputPath)) return false;
+/**
+ * Manifest key for a source image: path relative to sourceDir, no extension,
+ * always with forward slashes
+ */
+function manifestKey(relPath) {
+  return relPath.slice(0, -path.extname(relPath).length).split(path.sep).join('/');
+}
+
+/**
+ * Dimensions as displayed (EXIF orientations 5-8 swap width and height)
+ */
+async function displaySize(filePath) {
+  const { width, height, orientation, format } = await sharp(filePath).metadata();
+  return orientation >= 5
+    ? { width: height, height: width, format }
+    : { width, height, format };
+}
+
+/**
+ * Manifest entry for one file: path relative to sourceDir, format, size, bytes
+ */
+async function describeFile(filePath) {
+  const { width, height, format } = await displaySize(filePath);
+  return {
+    path: path.relative(config.sourceDir, filePath).split(path.sep).join('/'),
+    format,
+    width,
+    height,
+    bytes: fs.statSync(filePath).size
+  };
+}
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+function webpQuality(context) {
+  return context.quality?.webp || config.formats.webp.quality;
+}
+
+/**
+ * Hash of everything in the config that affects an image's outputs.
+ * quality.original is left out: originals are never re-encoded.
+ * focal is the image's focal point, so editing the sidecar rebuilds its crops.
+ */
+function settingsHash(context, focal) {
+  const settings = {
+    version: CACHE_VERSION,
+    sizes: context.sizes,
+    webp: webpQuality(context),
+    flatOutput: Boolean(config.flatOutput),
+    placeholders: config.placeholders !== false
+  };
+  // Only contexts with crops hash them, so adding the option rebuilds nothing else
+  if (context.crops && context.crops.length > 0) {
+    settings.crops = context.crops.map(aspectSlug);
+    settings.strategy = cropStrategy(context);
+    settings.focal = focal;
+  }
+  return crypto.createHash('sha256').update(JSON.stringify(settings)).digest('hex');
+}
+
+/**
+ * Cache from the last run: { version, images: { 'speaker/a.jpg': entry } }
+ * entry: { source, settings, context, image, outputs, crops, placeholder }
+ * crops (contexts with crops only): { '16x10': outputs }
+ */
+function loadCache() {
+  const cachePath = config.cacheFile && path.resolve(config.cacheFile);
+  if (!cachePath || !fs.existsSync(cachePath)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(cachePath, 'utf8')).images || {};
+  } catch (err) {
+    log(`Ignoring unreadable cache ${config.cacheFile}: ${err.message}`, 'warning');
+    return {};
+  }
+}
+
+function writeCache(images) {
+  if (!config.cacheFile) return;
+  const cache = { version: CACHE_VERSION, images: JSON.parse(serializeManifest(images)) };
+  fs.writeFileSync(path.resolve(config.cacheFile), JSON.stringify(cache, null, 2) + '\n');
+}
+
+function isUpToDate(entry, sourceHash, settings) {
+  if (options.force || !config.incrementalBuild || !entry) return false;
+  if (entry.source !== sourceHash || entry.settings !== settings) return false;
+  if (config.placeholders !== false && !entry.depthOf && !entry.placeholder) return false;
+  return allOutputs(entry).every(output => fs.existsSync(path.join(config.sourceDir, output.path)));
+}
+
+/**
+ * Every output of a cache entry, crops included
+ */
+function allOutputs(entry) {
+  return [...entry.outputs, ...Object.values(entry.crops || {}).flat()];
+}
+
+function cropStrategy(context) {
+  return resolveStrategy(context.cropStrategy || config.cropStrategy || 'attention');
+}
+
+/**
+ * Focal point from the image's sidecar (photo.focal.json), or null
+ * A malformed sidecar fails the image rather than silently cropping elsewhere.
+ */
+function readFocalPoint(sourcePath) {
+  const sidecarPath = focalPointPath(sourcePath);
+  if (!fs.existsSync(sidecarPath)) return null;
+  try {
+    return parseFocalPoint(fs.readFileSync(sidecarPath));
+  } catch (err) {
+    throw new Error(`${path.basename(sidecarPath)}: ${err.message}`);
+  }
+}
+
+/**
+ * Encode one WebP output (full size when width is null)
+ * crop: { imageSize, aspect, focal, strategy } to crop before resizing
+ */
+async function writeWebp(sourcePath, outputPath, width, context, crop = null) {
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
 
-  const sourceStat = fs.statSync(sourcePath);
-  const outputStat = fs.statSync(outputPath);
-  return outputStat.mtime > sourceStat.mtime;
+  // Write then rename, so Ghost never serves a half-written file
+  const tmpPath = `${outputPath}.tmp`;
+  // WebP output drops the EXIF orientation, so bake it in first: widths,
+  // crops and withoutEnlargement then all work in display coordinates
+  let pipeline = sharp(sourcePath).rotate();
+  if (crop) {
+    pipeline = applyCrop(pipeline, crop.imageSize, { ...crop, width });
+  } else if (width) {
+    pipeline = pipeline.resize(width, null, { withoutEnlargement: true });
+  }
+  await pipeline.webp({ quality: webpQuality(context) }).toFile(tmpPath);
+  fs.renameSync(tmpPath, outputPath);
+
+  log(`  Created: ${path.basename(outputPath)} (${formatBytes(fs.statSync(outputPath).size)})`, 'verbose');
+  return describeFile(outputPath);
 }
 
-async function processImage(sourcePath) {
-  const relPath = path.relative(config.sourceDir, sourcePath);
+function isDepthMap(relPath) {
+  return Boolean(config.depthMaps) && manifestKey(relPath).endsWith(config.depthMaps.suffix);
+}
+
+/**
+ * A downscaled depth map written by processDepthMap() (..._greyscale-1024.png),
+ * which is a PNG like the sources but must never be processed as one
+ */
+function isDepthMapOutput(relPath) {
+  if (!config.depthMaps) return false;
+  const key = manifestKey(relPath);
+  return /-\d+$/.test(key) && key.replace(/-\d+$/, '').endsWith(config.depthMaps.suffix);
+}
+
+/**
+ * The source image with this path minus extension, relative to sourceDir
+ */
+function findImage(base) {
+  return ['.jpg', '.jpeg', '.png']
+    .map(ext => base + ext)
+    .find(candidate => fs.existsSync(path.join(config.sourceDir, candidate))) || null;
+}
+
+/**
+ * The colour image a depth map belongs to, relative to sourceDir
+ *   speaker/awards-ceremony_depth_anything_2_greyscale.png -> speaker/awards-ceremony.jpg
+ */
+function colourImageFor(relPath) {
+  return findImage(manifestKey(relPath).slice(0, -config.depthMaps.suffix.length));
+}
+
+/**
+ * The image a focal point sidecar belongs to
+ *   projects/steelkey-product.focal.json -> projects/steelkey-product.jpg
+ */
+function imageForFocalPoint(relPath) {
+  return relPath.endsWith(FOCAL_SUFFIX) ? findImage(relPath.slice(0, -FOCAL_SUFFIX.length)) : null;
+}
+
+/**
+ * The depth map of a colour image, if it has one
+ */
+function depthMapFor(relPath) {
+  if (!config.depthMaps || isDepthMap(relPath)) return null;
+  const candidate = `${manifestKey(relPath)}${config.depthMaps.suffix}.png`;
+  return fs.existsSync(path.join(config.sourceDir, candidate)) ? candidate : null;
+}
+
+/**
+ * Validate a depth map against its colour image and write it downscaled to
+ * maxWidth as a single-channel PNG. Throws if the colour image is missing or
+ * the aspect ratios differ, since the displacement would then be misaligned.
+ */
+async function processDepthMap(sourcePath, relPath, previous) {
+  const { maxWidth, aspectTolerance } = config.depthMaps;
+  const colourPath = colourImageFor(relPath);
+  if (!colourPath) {
+    throw new Error(`depth map has no colour image (${manifestKey(relPath).slice(0, -config.depthMaps.suffix.length)}.jpg/.jpeg/.png)`);
+  }
+
+  const depth = await displaySize(sourcePath);
+  const colour = await displaySize(path.join(config.sourceDir, colourPath));
+  const depthRatio = depth.width / depth.height;
+  const colourRatio = colour.width / colour.height;
+  if (Math.abs(depthRatio - colourRatio) / colourRatio > aspectTolerance) {
+    throw new Error(`depth map is ${depth.width}x${depth.height} (${depthRatio.toFixed(3)}), ` +
+      `${colourPath} is ${colour.width}x${colour.height} (${colourRatio.toFixed(3)}) - aspect ratios must match`);
+  }
+
+  const width = Math.min(maxWidth, depth.width);
+  const sourceHash = hashFile(sourcePath);
+  // Re-validate when the colour image's dimensions change
+  const settings = crypto.createHash('sha256')
+    .update(JSON.stringify({ version: CACHE_VERSION, width, colour: [colour.width, colour.height], flatOutput: Boolean(config.flatOutput) }))
+    .digest('hex');
+
+  if (isUpToDate(previous, sourceHash, settings)) {
+    stats.cached++;
+    log(`Up to date: ${relPath}`, 'verbose');
+    return { ...previous, cached: true };
+  }
+
+  log(`Processing: ${relPath} (depth map of ${colourPath})`, 'verbose');
+  const outputPath = getOutputPath(sourcePath, width, 'png');
+
+  if (options.dryRun) {
+    log(`  Would create: ${path.basename(outputPath)}`, 'verbose');
+    stats.built++;
+    return {
+      context: 'depth-map',
+      outputs: [{ path: toPosix(path.relative(config.sourceDir, outputPath)) }],
+      pending: true
+    };
+  }
+
+  const tmpPath = `${outputPath}.tmp`;
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  await sharp(sourcePath)
+    .resize(width, null, { withoutEnlargement: true })
+    .toColourspace('b-w')
+    .png({ compressionLevel: 9, adaptiveFiltering: true })
+    .toFile(tmpPath);
+  fs.renameSync(tmpPath, outputPath);
+  log(`  Created: ${path.basename(outputPath)} (${formatBytes(fs.statSync(outputPath).size)})`, 'verbose');
+
+  stats.built++;
+  return {
+    source: sourceHash,
+    settings,
+    context: 'depth-map',
+    depthOf: colourPath,
+    image: await describeFile(sourcePath),
+    outputs: [await describeFile(outputPath)],
+    placeholder: null
+  };
+}
+
+/**
+ * Build (or reuse) the outputs of one source image
+ * Returns its new cache entry (in dry-run mode, just the would-be output paths).
+ */
+async function processImage(sourcePath, previous) {
+  const relPath = toPosix(path.relative(config.sourceDir, sourcePath));
+  if (isDepthMap(relPath)) {
+    return processDepthMap(sourcePath, relPath, previous);
+  }
+
   const context = getContextForFile(relPath);
-  const sourceSize = fs.statSync(sourcePath).size;
-  stats.totalSourceBytes += sourceSize;
+  const sourceHash = hashFile(sourcePath);
+  const aspects = (context.crops || []).map(parseAspect);
+  const focal = aspects.length > 0 ? readFocalPoint(sourcePath) : null;
+  const settings = settingsHash(context, focal);
+
+  if (isUpToDate(previous, sourceHash, settings)) {
+    stats.cached++;
+    log(`Up to date: ${relPath}`, 'verbose');
+    return { ...previous, cached: true };
+  }
 
   log(`Processing: ${relPath} (${context.name} context)`, 'verbose');
 
-  const sourceExt = path.extname(sourcePath).toLowerCase();
-  const isJpeg = ['.jpg', '.jpeg'].includes(sourceExt);
-  const isPng = sourceExt === '.png';
+  const source = await displaySize(sourcePath);
+  // The full-size WebP already covers widths at or above the source's
+  const widths = context.sizes.filter(width => width < source.width);
+  context.sizes
+    .filter(width => !widths.includes(width))
+    .forEach(width => log(`  Skipped: ${width}w (source is ${source.width}px wide)`, 'verbose'));
 
-  // Generate WebP version at original size
-  const webpPath = getOutputPath(sourcePath, null, 'webp');
-  if (!shouldSkip(sourcePath, webpPath)) {
-    if (!options.dryRun) {
-      const dir = path.dirname(webpPath);
-      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-
-      await sharp(sourcePath)
-        .webp({ quality: context.quality?.webp || config.formats.webp.quality })
-        .toFile(webpPath);
-
-      const outSize = fs.statSync(webpPath).size;
-      stats.totalOutputBytes += outSize;
-      log(`  Created: ${path.basename(webpPath)} (${formatBytes(outSize)})`, 'verbose');
-    } else {
-      log(`  Would create: ${path.basename(webpPath)}`, 'verbose');
+  // Per aspect ratio: the whole crop region, and each size narrower than it
+  const crops = aspects.map(aspect => {
+    const full = cropSize(source, aspect);
+    return { aspect, slug: aspectSlug(aspect), widths: context.sizes.filter(width => width < full.width) };
+  });
+
+  if (options.dryRun) {
+    const outputs = [
+      ...[...widths, null].map(width => getOutputPath(sourcePath, width, 'webp')),
+      ...crops.flatMap(crop => [...crop.widths, null].map(width => getOutputPath(sourcePath, width, 'webp', crop.aspect)))
+    ];
+    outputs.forEach(outputPath => log(`  Would create: ${path.basename(outputPath)}`, 'verbose'));
+    stats.built++;
+    // Just the paths, so pruning can tell which existing outputs stay
+    return {
+      context: context.name,
+      outputs: outputs.map(outputPath => ({ path: toPosix(path.relative(config.sourceDir, outputPath)) })),
+      pending: true
+    };
+  }
+
+  const outputs = [];
+  for (const width of [null, ...widths]) {
+    outputs.push(await writeWebp(sourcePath, getOutputPath(sourcePath, width, 'webp'), width, context));
+  }
+
+  const cropOutputs = {};
+  for (const crop of crops) {
+    const cropOptions = { imageSize: source, aspect: crop.aspect, focal, strategy: cropStrategy(context) };
+    cropOutputs[crop.slug] = [];
+    for (const width of [null, ...crop.widths]) {
+      const outputPath = getOutputPath(sourcePath, width, 'webp', crop.aspect);
+      cropOutputs[crop.slug].push(await writeWebp(sourcePath, outputPath, width, context, cropOptions));
     }
-    stats.processed++;
-  } else {
-    stats.skipped++;
-    log(`  Skipped: ${path.basename(webpPath)} (up to date)`, 'verbose');
-  }
-
-  // Generate responsive sizes
-  for (const width of context.sizes) {
-    // WebP at this size
-    const sizedWebpPath = getOutputPath(sourcePath, width, 'webp');
-    if (!shouldSkip(sourcePath, sizedWebpPath)) {
-      if (!options.dryRun) {
-        const dir = path.dirname(sizedWebpPath);
-        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-
-        await sharp(sourcePath)
-          .resize(width, null, { withoutEnlargement: true })
-          .webp({ quality: context.quality?.webp || config.formats.webp.quality })
-          .toFile(sizedWebpPath);
-
-        const outSize = fs.statSync(sizedWebpPath).size;
-        stats.totalOutputBytes += outSize;
-        log(`  Created: ${path.basename(sizedWebpPath)} (${formatBytes(outSize)})`, 'verbose');
+    cropOutputs[crop.slug].sort((a, b) => a.width - b.width);
+    log(`  Cropped: ${crop.slug} (${focal ? `focal point ${focal.x}, ${focal.y}` : cropStrategy(context)})`, 'verbose');
+  }
+
+  stats.built++;
+  return {
+    source: sourceHash,
+    settings,
+    context: context.name,
+    image: await describeFile(sourcePath),
+    outputs: outputs.sort((a, b) => a.width - b.width),
+    ...(crops.length > 0 && { crops: cropOutputs }),
+    // Placeholder for the theme to show while the image loads
+    placeholder: config.placeholders !== false ? await createPlaceholder(sourcePath) : null
+  };
+}
+
+/**
+ * Await task(item) for every item, with at most `limit` pending at a time
+ * Concurrency, not parallelism: only the part of a task that waits (sharp
+ * encoding off-thread, file I/O) overlaps with the others.
+ */
+async function forEachLimit(items, limit, task) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length) {
+      await task(items[next++]);
+    }
+  });
+  await Promise.all(lanes);
+}
+
+/**
+ * Delete outputs the last run recorded that this run no longer produces:
+ * those of deleted sources, and sizes or crops dropped from a context
+ */
+function pruneOutputs(previous, current) {
+  const kept = new Set();
+  for (const entry of Object.values(current)) {
+    allOutputs(entry).forEach(output => kept.add(output.path));
+  }
+
+  const pruned = [];
+  for (const [relPath, entry] of Object.entries(previous)) {
+    for (const output of allOutputs(entry)) {
+      // Never delete a source, even if an old output shared its name
+      if (kept.has(output.path) || output.path === relPath) continue;
+      const outputPath = path.join(config.sourceDir, output.path);
+      if (!fs.existsSync(outputPath)) continue;
+
+      if (options.dryRun) {
+        log(`  Would remove: ${output.path}`, 'verbose');
       } else {
-        log(`  Would create: ${path.basename(sizedWebpPath)}`, 'verbose');
+        fs.unlinkSync(outputPath);
+        log(`  Removed: ${output.path}`, 'verbose');
       }
-      stats.processed++;
-    } else {
-      stats.skipped++;
+      pruned.push(output.path);
     }
   }
+
+  stats.pruned = pruned.length;
+  return pruned;
 }
 
-async function main() {
-  console.log('\n\x1b[1mTheme Image Optimization\x1b[0m');
-  console.log('─'.repeat(40));
+/**
+ * Savings report: per image, source bytes against its full-size WebP
+ */
+function buildReport(pruned, budgets) {
+  const images = report.sort((a, b) => a.path.localeCompare(b.path));
+  const totals = images.reduce((sum, image) => {
+    sum.sourceBytes += image.sourceBytes;
+    sum.webpBytes += image.webpBytes || 0;
+    sum.outputBytes += image.outputBytes || 0;
+    return sum;
+  }, { sourceBytes: 0, webpBytes: 0, outputBytes: 0 });
+  const measured = images.filter(image => image.webpBytes !== undefined);
+  const measuredSource = measured.reduce((sum, image) => sum + image.sourceBytes, 0);
 
-  if (options.dryRun) {
-    log('Dry run mode - no files will be modified', 'warning');
+  totals.savedBytes = measuredSource - totals.webpBytes;
+  totals.savedPercent = measuredSource > 0
+    ? Number(((totals.savedBytes / measuredSource) * 100).toFixed(1))
+    : 0;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    dryRun: options.dryRun,
+    images,
+    pruned,
+    budgets,
+    totals: { images: images.length, ...stats, ...totals }
+  };
+}
+
+/**
+ * Check the configured budgets against what is on disk now
+ * Returns null when no budgets are configured.
+ */
+function runBudgets() {
+  if (!config.budgets) return null;
+
+  const manifestPath = path.join(config.sourceDir, RESPONSIVE_MANIFEST);
+  const result = checkBudgets({
+    budgets: config.budgets,
+    themeDir: config.budgets.themeDir,
+    sourceDir: config.sourceDir,
+    responsive: fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : {},
+    partialsDir: config.responsive && config.responsive.partialsDir,
+    contextFor: getContextForFile
+  });
+
+  stats.overBudget = result.violations.length;
+  return result;
+}
+
+function printBudgets(result) {
+  if (!result) return;
+
+  for (const check of result.checks) {
+    const over = check.bytes > check.limit;
+    const label = check.kind === 'page' ? `${check.name} (${check.assets} asset(s))` : check.name;
+    log(`  ${over ? 'Over budget' : 'Within budget'}: ${label} ${formatBytes(check.bytes)} of ${formatBytes(check.limit)} (${check.kind}: ${check.rule})`,
+      over ? 'error' : 'verbose');
   }
 
-  // Check if source directory exists
-  if (!fs.existsSync(config.sourceDir)) {
-    log(`Source directory not found: ${config.sourceDir}`, 'warning');
-    log('Creating directory...', 'info');
-    if (!options.dryRun) {
-      fs.mkdirSync(config.sourceDir, { recursive: true });
+  if (result.violations.length > 0) {
+    log(`Budgets: ${result.violations.length} of ${result.checks.length} check(s) over budget`, 'error');
+  } else {
+    log(`Budgets: ${result.checks.length} check(s) within budget`, 'success');
+  }
+}
+
+/**
+ * Theme partial for one manifest entry, or one of its crops (with the
+ * entry's path as the fallback src). It only passes the image's data to
+ * partials/picture.hbs, which renders the markup.
+ */
+function renderPartial(entry, assetPrefix) {
+  const asset = file => `(asset "${path.posix.join(assetPrefix, file)}")`;
+  // (asset "images/a-640.webp") " 640w, " (asset "images/a.webp") " 1600w"
+  const srcset = entry.variants
+    .map((variant, i) => `${asset(variant.path)} " ${variant.width}w${i < entry.variants.length - 1 ? ', ' : ''}"`)
+    .join(' ');
+
+  return [
+    '{{!-- Generated by scripts/optimize-images.js from responsive.json - do not edit --}}',
+    `{{> "picture" src=${asset(entry.path)} webp=(concat ${srcset}) width="${entry.width}" height="${entry.height}"}}`,
+    ''
+  ].join('\n');
+}
+
+/**
+ * Write responsive.json and regenerate the partials from it
+ * Partials of images that no longer exist are removed.
+ */
+function writeResponsive(responsive) {
+  const manifestPath = path.join(config.sourceDir, RESPONSIVE_MANIFEST);
+  fs.writeFileSync(manifestPath, serializeManifest(responsive) + '\n');
+  log(`Responsive: ${Object.keys(responsive).length} image(s) -> ${path.relative(process.cwd(), manifestPath)}`, 'verbose');
+
+  const partialsDir = config.responsive.partialsDir;
+  if (!partialsDir) return;
+
+  // partialsDir is <theme>/partials/<name>; asset paths are relative to <theme>/assets
+  const themeDir = path.resolve(partialsDir, '..', '..');
+  const assetPrefix = path.relative(path.join(themeDir, 'assets'), config.sourceDir).split(path.sep).join('/');
+
+  // responsive/projects/steelkey-product, responsive/projects/steelkey-product--16x10
+  const partials = [];
+  for (const [key, entry] of Object.entries(responsive)) {
+    partials.push([key, entry]);
+    for (const [slug, crop] of Object.entries(entry.crops || {})) {
+      // The <img> fallback must be framed like the crop its width/height describe
+      partials.push([`${key}--${slug}`, { ...crop, path: crop.variants[crop.variants.length - 1].path }]);
     }
-    log('No images to process. Add images to get started.', 'info');
-    return;
   }
 
-  // Find source images
-  const patterns = ['**/*.jpg', '**/*.jpeg', '**/*.png'];
-  const ignorePatterns = config.ignore || [];
+  // Only rewrite partials that changed, so a running Ghost never sees one missing
+  const wanted = new Set();
+  for (const [name, entry] of partials) {
+    const partialPath = path.resolve(partialsDir, `${name}.hbs`);
+    const content = renderPartial(entry, assetPrefix);
+    wanted.add(partialPath);
+    if (fs.existsSync(partialPath) && fs.readFileSync(partialPath, 'utf8') === content) continue;
+
+    fs.mkdirSync(path.dirname(partialPath), { recursive: true });
+    fs.writeFileSync(partialPath, content);
+  }
+
+  const stale = globSync('**/*.hbs', { cwd: partialsDir, absolute: true })
+    .filter(partialPath => !wanted.has(path.resolve(partialPath)));
+  for (const partialPath of stale) {
+    fs.unlinkSync(partialPath);
+    // Drop directories left empty (speaker/ once its last image is gone)
+    let dir = path.dirname(partialPath);
+    while (dir !== path.resolve(partialsDir) && fs.readdirSync(dir).length === 0) {
+      fs.rmdirSync(dir);
+      dir = path.dirname(dir);
+    }
+  }
+  log(`Partials: ${wanted.size} -> ${path.relative(process.cwd(), partialsDir)}`, 'verbose');
+}
+
+/**
+ * Placeholder and responsive manifests for every image in the cache entries
+ * Keyed by path relative to sourceDir without extension.
+ */
+function writeManifests(current) {
+  const placeholders = {};
+  const responsive = {};
+  const depthMaps = {};
+  for (const [relPath, entry] of Object.entries(current)) {
+    if (entry.depthOf) {
+      // Keyed by the colour image, which is what the theme looks up
+      depthMaps[manifestKey(entry.depthOf)] = { ...entry.outputs[0], source: relPath };
+      continue;
+    }
+
+    const key = manifestKey(relPath);
+    if (entry.placeholder) placeholders[key] = entry.placeholder;
+    responsive[key] = { ...entry.image, variants: entry.outputs };
+    if (entry.crops) {
+      // Each crop is described by its largest variant
+      responsive[key].crops = {};
+      for (const [slug, variants] of Object.entries(entry.crops)) {
+        const { width, height } = variants[variants.length - 1];
+        responsive[key].crops[slug] = { width, height, variants };
+      }
+    }
+  }
+
+  // Write the placeholder manifest next to the images
+  if (config.placeholders !== false) {
+    const manifestPath = path.join(config.sourceDir, MANIFEST_NAME);
+    fs.writeFileSync(manifestPath, serializeManifest(placeholders) + '\n');
+    log(`Placeholders: ${Object.keys(placeholders).length} image(s) -> ${path.relative(process.cwd(), manifestPath)}`, 'verbose');
+  }
+
+  // Write the responsive manifest and the partials rendered from it
+  if (config.responsive) {
+    writeResponsive(responsive);
+  }
+
+  // Depth maps for hero-depth.js and inline-depth.js
+  if (config.depthMaps) {
+    const manifestPath = path.join(config.sourceDir, DEPTH_MANIFEST);
+    fs.writeFileSync(manifestPath, serializeManifest(depthMaps) + '\n');
+    log(`Depth maps: ${Object.keys(depthMaps).length} image(s) -> ${path.relative(process.cwd(), manifestPath)}`, 'verbose');
+  }
+}
 
-  let sourceFiles = [];
-  for (const pattern of patterns) {
+/**
+ * "2.1 MB -> 340 KB WebP (84.2% smaller)"
+ */
+function describeSavings(sourceBytes, webpBytes) {
+  const percent = ((1 - webpBytes / sourceBytes) * 100).toFixed(1);
+  const change = percent >= 0 ? `${percent}% smaller` : `${-percent}% larger`;
+  return `${formatBytes(sourceBytes)} -> ${formatBytes(webpBytes)} WebP (${change})`;
+}
+
+/**
+ * Source images under sourceDir
+ */
+async function findSourceFiles() {
+  const sourceFiles = new Set();
+  for (const pattern of SOURCE_PATTERNS) {
     const matches = await glob(pattern, {
       cwd: config.sourceDir,
-      ignore: ignorePatterns,
+      ignore: config.ignore || [],
       nodir: true
     });
-    sourceFiles.push(...matches.map(f => path.join(config.sourceDir, f)));
+    matches
+      .filter(f => !isDepthMapOutput(toPosix(f)))
+      .forEach(f => sourceFiles.add(path.join(config.sourceDir, f)));
   }
+  return [...sourceFiles].sort();
+}
 
-  // Deduplicate
-  sourceFiles = [...new Set(sourceFiles)];
-
-  if (sourceFiles.length === 0) {
-    log('No source images found', 'info');
-    log(`Add jpg/png images to: ${config.sourceDir}`, 'info');
-    return;
-  }
+/**
+ * Whether a path relative to sourceDir is a source image findSourceFiles() would pick up
+ */
+function isSourceFile(relPath) {
+  return SOURCE_PATTERNS.some(pattern => minimatch(relPath, pattern)) &&
+    !(config.ignore || []).some(pattern => minimatch(relPath, pattern)) &&
+    !isDepthMapOutput(relPath);
+}
 
-  log(`Found ${sourceFiles.length} source image(s)`, 'info');
+/**
+ * Process sourceFiles, prune stale outputs, and write the manifests and cache
+ * current starts with the entries of images that aren't being processed
+ * (--watch passes every unchanged image); whatever previous lists that current
+ * doesn't afterwards is pruned.
+ */
+async function optimize(sourceFiles, previous, current = {}) {
+  Object.assign(stats, { built: 0, cached: 0, pruned: 0, errors: 0, overBudget: 0 });
+  report.length = 0;
 
-  // Process each image
-  for (const file of sourceFiles) {
+  await forEachLimit(sourceFiles, options.concurrency, async file => {
+    const relPath = toPosix(path.relative(config.sourceDir, file));
+    const sourceBytes = fs.statSync(file).size;
     try {
-      await processImage(file);
+      const { cached, pending, ...entry } = await processImage(file, previous[relPath]);
+      current[relPath] = entry;
+      if (pending) {
+        report.push({
+          path: relPath,
+          context: entry.context,
+          status: 'pending',
+          sourceBytes,
+          outputs: entry.outputs.map(output => output.path)
+        });
+        return;
+      }
+
+      if (entry.depthOf) {
+        const [depth] = entry.outputs;
+        if (!cached) {
+          log(`${relPath}: depth map ${formatBytes(sourceBytes)} -> ${formatBytes(depth.bytes)} (${depth.width}px, single-channel)`,
+            options.watch ? 'success' : 'verbose');
+        }
+        report.push({
+          path: relPath,
+          context: entry.context,
+          status: cached ? 'cached' : 'built',
+          sourceBytes,
+          outputBytes: depth.bytes,
+          outputs: [depth.path]
+        });
+        return;
+      }
+
+      const webp = entry.outputs[entry.outputs.length - 1];
+      if (!cached) {
+        log(`${relPath}: ${describeSavings(sourceBytes, webp.bytes)}`, options.watch ? 'success' : 'verbose');
+      }
+      const outputs = allOutputs(entry);
+      report.push({
+        path: relPath,
+        context: entry.context,
+        status: cached ? 'cached' : 'built',
+        sourceBytes,
+        webpBytes: webp.bytes,
+        outputBytes: outputs.reduce((sum, output) => sum + output.bytes, 0),
+        outputs: outputs.map(output => output.path)
+      });
     } catch (err) {
-      log(`Error processing ${file}: ${err.message}`, 'error');
+      log(`Error processing ${relPath}: ${err.message}`, 'error');
       stats.errors++;
+      report.push({ path: relPath, status: 'error', error: err.message, sourceBytes });
+      // Keep the last good outputs so they aren't pruned
+      if (previous[relPath]) current[relPath] = previous[relPath];
     }
+  });
+
+  const pruned = pruneOutputs(previous, current);
+
+  if (!options.dryRun) {
+    writeManifests(current);
+    writeCache(current);
   }
 
-  // Report
-  console.log('─'.repeat(40));
+  const savings = buildReport(pruned, runBudgets());
+  printSummary(savings);
+  return savings;
+}
+
+function printSummary(savings) {
+  print('─'.repeat(40));
 
-  if (stats.processed > 0) {
-    log(`Processed: ${stats.processed} file(s)`, 'success');
+  if (stats.built > 0) {
+    log(`${options.dryRun ? 'Would build' : 'Built'}: ${stats.built} image(s)`, 'success');
+  }
+  if (stats.cached > 0) {
+    log(`Skipped: ${stats.cached} image(s) (already up to date)`, 'info');
   }
-  if (stats.skipped > 0) {
-    log(`Skipped: ${stats.skipped} file(s) (already up to date)`, 'info');
+  if (stats.pruned > 0) {
+    log(`${options.dryRun ? 'Would remove' : 'Removed'}: ${stats.pruned} stale output(s)`, 'info');
   }
   if (stats.errors > 0) {
     log(`Errors: ${stats.errors}`, 'error');
   }
 
-  if (config.reportSavings && stats.totalSourceBytes > 0 && stats.totalOutputBytes > 0) {
-    const savings = stats.totalSourceBytes - stats.totalOutputBytes;
-    const percent = ((savings / stats.totalSourceBytes) * 100).toFixed(1);
-    if (savings > 0) {
-      log(`Size reduction: ${formatBytes(savings)} saved (${percent}% smaller)`, 'success');
+  if (config.reportSavings && savings.totals.savedBytes > 0) {
+    log(`Size reduction: ${formatBytes(savings.totals.savedBytes)} saved (${savings.totals.savedPercent}% smaller as WebP)`, 'success');
+  }
+
+  printBudgets(savings.budgets);
+
+  if (options.reportFile) {
+    fs.writeFileSync(options.reportFile, JSON.stringify(savings, null, 2) + '\n');
+    log(`Report: ${options.reportFile}`, 'info');
+  }
+  if (options.json) {
+    console.log(JSON.stringify(savings, null, 2));
+  }
+}
+
+/**
+ * Rebuild after changes seen by --watch
+ * Only changed images are processed; a config change re-checks every image,
+ * and the settings hash limits the work to contexts whose settings changed.
+ */
+async function rebuild(changedPaths, configChanged) {
+  print();
+  const previous = loadCache();
+
+  if (configChanged) {
+    config = loadConfig();
+    log('optimize.config.js changed - checking all images', 'info');
+    return optimize(await findSourceFiles(), previous);
+  }
+
+  // A changed colour image re-validates its depth map
+  const paths = new Set(changedPaths);
+  changedPaths.map(depthMapFor).filter(Boolean).forEach(depthPath => paths.add(depthPath));
+
+  const current = { ...previous };
+  const sourceFiles = [];
+  for (const relPath of [...paths].sort()) {
+    delete current[relPath];
+    const sourcePath = path.join(config.sourceDir, relPath);
+    if (fs.existsSync(sourcePath)) {
+      log(`Changed: ${relPath}`, 'info');
+      sourceFiles.push(sourcePath);
+    } else if (previous[relPath]) {
+      log(`Deleted: ${relPath} - removing its derivatives`, 'warning');
     }
   }
+  return optimize(sourceFiles, previous, current);
+}
+
+/**
+ * Watch sourceDir and optimize.config.js, rebuilding after a quiet period
+ */
+function watch() {
+  const changed = new Set();
+  let configChanged = false;
+  let timer = null;
+  let queue = Promise.resolve();
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const paths = [...changed];
+      const reload = configChanged;
+      changed.clear();
+      configChanged = false;
+      // One rebuild at a time; changes arriving meanwhile go in the next
+      queue = queue
+        .then(() => rebuild(paths, reload))
+        .catch(err => log(`Rebuild failed: ${err.message}`, 'error'));
+    }, WATCH_DEBOUNCE_MS);
+  }
 
-  console.log();
+  // Outputs (.webp, manifests) also fire events; only sources count.
+  // A focal point sidecar stands for its image.
+  fs.watch(config.sourceDir, { recursive: true }, (event, filename) => {
+    if (!filename) return;
+    const relPath = imageForFocalPoint(toPosix(filename)) || toPosix(filename);
+    if (!isSourceFile(relPath)) return;
+    changed.add(relPath);
+    schedule();
+  });
 
-  // Exit with error code if there were errors
-  if (stats.errors > 0) {
+  // Polled: editors often replace the file, which ends an fs.watch watcher
+  if (fs.existsSync(configPath)) {
+    fs.watchFile(configPath, { interval: 500 }, (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+      configChanged = true;
+      schedule();
+    });
+  }
+
+  print();
+  log(`Watching ${config.sourceDir} (Ctrl+C to stop)`, 'info');
+}
+
+async function main() {
+  print('\n\x1b[1mTheme Image Optimization\x1b[0m');
+  print('─'.repeat(40));
+
+  if (options.dryRun) {
+    log('Dry run mode - no files will be modified', 'warning');
+  }
+
+  // Check if source directory exists
+  if (!fs.existsSync(config.sourceDir)) {
+    log(`Source directory not found: ${config.sourceDir}`, 'warning');
+    log('Creating directory...', 'info');
+    if (!options.dryRun) {
+      fs.mkdirSync(config.sourceDir, { recursive: true });
+    }
+    log('No images to process. Add images to get started.', 'info');
+    if (!options.watch || options.dryRun) return;
+  }
+
+  if (options.check) {
+    const result = runBudgets();
+    if (!result) {
+      log('No budgets configured in optimize.config.js', 'warning');
+      return;
+    }
+    printBudgets(result);
+
+    const budgetReport = JSON.stringify({ generatedAt: new Date().toISOString(), budgets: result }, null, 2);
+    if (options.reportFile) fs.writeFileSync(options.reportFile, budgetReport + '\n');
+    if (options.json) console.log(budgetReport);
+    print();
+    if (result.violations.length > 0) process.exit(1);
+    return;
+  }
+
+  // Find source images
+  const sourceFiles = await findSourceFiles();
+
+  if (sourceFiles.length === 0) {
+    log('No source images found', 'info');
+    log(`Add jpg/png images to: ${config.sourceDir}`, 'info');
+  } else {
+    log(`Found ${sourceFiles.length} source image(s), ${options.concurrency} at a time`, 'info');
+  }
+
+  // Process the images, reusing cached outputs where source and settings match
+  await optimize(sourceFiles, loadCache());
+
+  if (options.watch) {
+    watch();
+    return;
+  }
+
+  print();
+
+  // Exit with error code if there were errors or budgets were exceeded
+  if (stats.errors > 0 || stats.overBudget > 0) {
     process.exit(1);
   }
 }
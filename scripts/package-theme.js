@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+/**
+ * Theme packaging script
+ * Builds the theme zip for upload to Ghost Admin (or deployment elsewhere):
+ *
+ *   1. Refuses to package if any theme JS has a syntax error
+ *   2. Copies the theme to a staging directory, leaving out the dev-only
+ *      files listed in package-theme.config.js (`exclude`)
+ *   3. Renames fingerprinted assets to content-hashed filenames, writes the
+ *      lookup map to assets/asset-map.json and rewrites the templates'
+ *      {{asset}} references from it
+ *   4. Zips the staged theme, runs gscan on the zip and reports its size
+ *      by directory
+ *
+ * Usage:
+ *   node scripts/package-theme.js [options]
+ *
+ * Options:
+ *   --output        Zip file to write (default: config `output`)
+ *   --dry-run       Check the JS and list what would be packaged, without writing anything
+ *   --verbose       Show detailed output
+ *   --json          Print the size report as JSON on stdout (logs go to stderr)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { globSync } = require('glob');
+const { minimatch } = require('minimatch');
+
+// Load configuration
+const configPath = path.join(process.cwd(), 'package-theme.config.js');
+const config = fs.existsSync(configPath) ? require(configPath) : getDefaultConfig();
+
+// Parse CLI arguments
+const args = process.argv.slice(2);
+const options = {
+  dryRun: args.includes('--dry-run'),
+  verbose: args.includes('--verbose'),
+  json: args.includes('--json'),
+  output: getArgValue('--output') || config.output
+};
+
+function getArgValue(flag) {
+  const index = args.indexOf(flag);
+  if (index !== -1 && args[index + 1] && !args[index + 1].startsWith('--')) {
+    return args[index + 1];
+  }
+  return null;
+}
+
+// Written next to the fingerprinted assets: { 'css/style.css': 'css/style.3f9a1c0b2e.css' }
+const ASSET_MAP = 'assets/asset-map.json';
+
+// {{asset "css/style.css"}}, (asset 'js/main.js')
+const ASSET_REF = /(\basset\s+)(["'])([^"']+)\2/g;
+
+function getDefaultConfig() {
+  return {
+    themeDir: 'themes/chris-theme',
+    output: 'themes/chris-theme.zip',
+    stagingDir: 'dist',
+    exclude: ['**/.DS_Store', '**/node_modules/**'],
+    fingerprint: []
+  };
+}
+
+function log(message, level = 'info') {
+  if (level === 'verbose' && !options.verbose) return;
+  const prefix = {
+    info: '\x1b[36mℹ\x1b[0m',
+    success: '\x1b[32m✓\x1b[0m',
+    warning: '\x1b[33m⚠\x1b[0m',
+    error: '\x1b[31m✗\x1b[0m',
+    verbose: '\x1b[90m·\x1b[0m'
+  }[level] || '';
+  print(`${prefix} ${message}`);
+}
+
+// With --json, stdout carries only the report
+function print(...lines) {
+  (options.json ? console.error : console.log)(...lines);
+}
+
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+}
+
+/**
+ * Theme files to package, relative to themeDir with forward slashes
+ */
+function findThemeFiles() {
+  return globSync('**/*', { cwd: config.themeDir, nodir: true, dot: true, ignore: config.exclude || [], posix: true })
+    .sort();
+}
+
+/**
+ * Compile every theme script without running it
+ * Returns [{ file, message }] for the ones with syntax errors.
+ */
+function checkScripts(files) {
+  const errors = [];
+  for (const file of files.filter(f => f.endsWith('.js'))) {
+    const source = fs.readFileSync(path.join(config.themeDir, file), 'utf8');
+    try {
+      new vm.Script(source, { filename: file });
+    } catch (err) {
+      // First stack line is "file:line"
+      const location = err.stack.split('\n')[0];
+      errors.push({ file, message: `${location}: ${err.message}` });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Content-hashed name: assets/css/style.css -> assets/css/style.3f9a1c0b2e.css
+ */
+function fingerprintName(file, content) {
+  const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 10);
+  const ext = path.posix.extname(file);
+  return `${file.slice(0, -ext.length)}.${hash}${ext}`;
+}
+
+/**
+ * Asset paths (relative to assets/) that the templates load through {{asset}}
+ */
+function templateAssetRefs(files, root) {
+  const refs = new Set();
+  for (const file of files.filter(f => f.endsWith('.hbs'))) {
+    const source = fs.readFileSync(path.join(root, file), 'utf8');
+    for (const match of source.matchAll(ASSET_REF)) {
+      refs.add(match[3]);
+    }
+  }
+  return refs;
+}
+
+/**
+ * Rename fingerprinted assets in the staged theme and rewrite the templates
+ * Returns the asset map (paths relative to assets/, as {{asset}} takes them).
+ */
+function fingerprint(files, stagedTheme) {
+  const patterns = config.fingerprint || [];
+  const referenced = templateAssetRefs(files, stagedTheme);
+  const assetMap = {};
+
+  for (const file of files) {
+    if (!patterns.some(pattern => minimatch(file, pattern))) continue;
+
+    const assetPath = file.replace(/^assets\//, '');
+    // Anything else would still ask for the old name
+    if (!referenced.has(assetPath)) {
+      log(`  Not fingerprinted (no {{asset}} reference): ${file}`, 'verbose');
+      continue;
+    }
+
+    const from = path.join(stagedTheme, file);
+    const hashed = fingerprintName(file, fs.readFileSync(from));
+    fs.renameSync(from, path.join(stagedTheme, hashed));
+    assetMap[assetPath] = hashed.replace(/^assets\//, '');
+    log(`  Fingerprinted: ${file} -> ${path.posix.basename(hashed)}`, 'verbose');
+  }
+
+  for (const file of files.filter(f => f.endsWith('.hbs'))) {
+    const templatePath = path.join(stagedTheme, file);
+    const source = fs.readFileSync(templatePath, 'utf8');
+    const rewritten = source.replace(ASSET_REF, (match, helper, quote, assetPath) =>
+      assetMap[assetPath] ? `${helper}${quote}${assetMap[assetPath]}${quote}` : match);
+    if (rewritten !== source) {
+      fs.writeFileSync(templatePath, rewritten);
+    }
+  }
+
+  fs.writeFileSync(path.join(stagedTheme, ASSET_MAP), JSON.stringify(assetMap, null, 2) + '\n');
+  return assetMap;
+}
+
+/**
+ * Copy the packaged files into a fresh staging directory
+ */
+function stage(files, stagedTheme) {
+  fs.rmSync(stagedTheme, { recursive: true, force: true });
+  for (const file of files) {
+    const to = path.join(stagedTheme, file);
+    fs.mkdirSync(path.dirname(to), { recursive: true });
+    fs.copyFileSync(path.join(config.themeDir, file), to);
+  }
+}
+
+/**
+ * Zip the staged theme so it unpacks to <theme-name>/
+ */
+function zip(stagedTheme, output) {
+  fs.rmSync(output, { force: true });
+  execFileSync('zip', ['-r', '-q', '-X', '-D', path.resolve(output), path.basename(stagedTheme)], {
+    cwd: path.dirname(stagedTheme)
+  });
+}
+
+/**
+ * Entries of a zip: [{ file, bytes, compressedBytes }], file relative to the theme
+ */
+function listZip(output) {
+  const listing = execFileSync('zipinfo', ['-l', output], { encoding: 'utf8', maxBuffer: 16 * 1024 * 1024 });
+  const entries = [];
+  for (const line of listing.split('\n')) {
+    // -rw-r--r--  3.0 unx     1234 tx      567 defN 26-Jan-01 12:00 chris-theme/index.hbs
+    const columns = line.trim().split(/\s+/);
+    if (columns.length < 10 || !/^[-l]/.test(columns[0])) continue;
+    entries.push({
+      file: columns.slice(9).join(' ').replace(/^[^/]+\//, ''),
+      bytes: Number(columns[3]),
+      compressedBytes: Number(columns[5])
+    });
+  }
+  return entries;
+}
+
+/**
+ * Group entries by directory, two levels deep (assets/images, partials/responsive)
+ */
+function sizeByDirectory(entries) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const dir = path.posix.dirname(entry.file).split('/').slice(0, 2).join('/').replace(/^\.$/, '(root)');
+    const group = groups.get(dir) || { directory: dir, files: 0, bytes: 0, compressedBytes: 0 };
+    group.files++;
+    group.bytes += entry.bytes;
+    group.compressedBytes += entry.compressedBytes;
+    groups.set(dir, group);
+  }
+  return [...groups.values()].sort((a, b) => b.compressedBytes - a.compressedBytes);
+}
+
+function printSizes(directories, zipBytes) {
+  const width = Math.max(...directories.map(group => group.directory.length), 9);
+  print('─'.repeat(width + 36));
+  print(`${'Directory'.padEnd(width)}  ${'Files'.padStart(6)}  ${'Size'.padStart(10)}  ${'Zipped'.padStart(10)}`);
+  for (const group of directories) {
+    print(`${group.directory.padEnd(width)}  ${String(group.files).padStart(6)}  ${formatBytes(group.bytes).padStart(10)}  ${formatBytes(group.compressedBytes).padStart(10)}`);
+  }
+  print('─'.repeat(width + 36));
+  log(`Zip size: ${formatBytes(zipBytes)}`, 'success');
+}
+
+/**
+ * Run gscan on the zip; returns whether it found no errors
+ */
+function validate(output) {
+  try {
+    execFileSync('npx', ['gscan', '--zip', output], { stdio: ['ignore', options.json ? 2 : 'inherit', 'inherit'] });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+async function main() {
+  print('\n\x1b[1mTheme Packaging\x1b[0m');
+  print('─'.repeat(40));
+
+  if (options.dryRun) {
+    log('Dry run mode - nothing will be written', 'warning');
+  }
+
+  if (!fs.existsSync(config.themeDir)) {
+    log(`Theme directory not found: ${config.themeDir}`, 'error');
+    process.exit(1);
+  }
+
+  const files = findThemeFiles();
+  const excluded = globSync('**/*', { cwd: config.themeDir, nodir: true, dot: true, posix: true }).length - files.length;
+  log(`Theme: ${config.themeDir} (${files.length} file(s), ${excluded} dev-only file(s) excluded)`, 'info');
+
+  // Broken JS would ship a broken site - stop before anything is written
+  const syntaxErrors = checkScripts(files);
+  if (syntaxErrors.length > 0) {
+    syntaxErrors.forEach(error => log(error.message, 'error'));
+    log(`Refusing to package: ${syntaxErrors.length} script(s) with syntax errors`, 'error');
+    process.exit(1);
+  }
+  log(`Scripts: ${files.filter(f => f.endsWith('.js')).length} file(s) parse`, 'success');
+
+  if (options.dryRun) {
+    files.forEach(file => log(`  Would package: ${file}`, 'verbose'));
+    const bytes = files.reduce((sum, file) => sum + fs.statSync(path.join(config.themeDir, file)).size, 0);
+    log(`Would package ${files.length} file(s), ${formatBytes(bytes)} before compression`, 'info');
+    print();
+    return;
+  }
+
+  const stagedTheme = path.join(config.stagingDir, path.basename(config.themeDir));
+  stage(files, stagedTheme);
+  const assetMap = fingerprint(files, stagedTheme);
+  log(`Fingerprinted: ${Object.keys(assetMap).length} asset(s) -> ${ASSET_MAP}`, 'success');
+
+  zip(stagedTheme, options.output);
+  const entries = listZip(options.output);
+  const zipBytes = fs.statSync(options.output).size;
+  const directories = sizeByDirectory(entries);
+  printSizes(directories, zipBytes);
+
+  // A zip gscan rejects would be rejected by Ghost Admin too
+  log('Validating with gscan...', 'info');
+  if (!validate(options.output)) {
+    fs.rmSync(options.output, { force: true });
+    log('gscan reported errors - zip removed', 'error');
+    process.exit(1);
+  }
+
+  log(`Theme packaged: ${options.output}`, 'success');
+  print();
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      output: options.output,
+      bytes: zipBytes,
+      files: entries.length,
+      excluded,
+      assetMap,
+      directories
+    }, null, 2));
+  }
+}
+
+main().catch(err => {
+  log(`Fatal error: ${err.message}`, 'error');
+  process.exit(1);
+});
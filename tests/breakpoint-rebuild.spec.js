@@ -0,0 +1,119 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+/**
+ * Breakpoint manager (main.js MODULE LIFECYCLE + BREAKPOINT MANAGER)
+ *
+ * Crossing 768px destroys and re-inits every module. Afterwards the page must
+ * hold exactly what a fresh load at that width builds: one set of
+ * ScrollTriggers, PIXI canvases and rAF loops.
+ */
+
+const DESKTOP = { width: 1280, height: 800 };
+const MOBILE = { width: 375, height: 812 };
+
+// Count pending requestAnimationFrame callbacks; a loop re-requests every
+// frame, so between frames this is the number of running loops
+async function trackAnimationFrames(page) {
+  await page.addInitScript(() => {
+    // Pin a tier so the frame monitor (its own loop) doesn't run or rebuild
+    if (!localStorage.getItem('chris-theme-quality')) {
+      localStorage.setItem('chris-theme-quality', 'high');
+    }
+
+    const pending = new Set();
+    const request = window.requestAnimationFrame.bind(window);
+    const cancel = window.cancelAnimationFrame.bind(window);
+    window.requestAnimationFrame = callback => {
+      const id = request(time => {
+        pending.delete(id);
+        callback(time);
+      });
+      pending.add(id);
+      return id;
+    };
+    window.cancelAnimationFrame = id => {
+      pending.delete(id);
+      cancel(id);
+    };
+    window.__pendingFrames = () => pending.size;
+  });
+}
+
+function snapshot(page) {
+  return page.evaluate(() => ({
+    breakpoint: window.ChrisTheme.breakpoint,
+    triggers: window.ChrisTheme.ScrollTrigger.getAll().length,
+    canvases: document.querySelectorAll('canvas').length,
+    depthContainers: document.querySelectorAll('.hero__depth-canvas, .claude-codes__depth-canvas, .inline-depth-canvas').length,
+    loops: window.__pendingFrames(),
+    radius: window.ChrisTheme.projectionCarousel?.getState().radius
+  }));
+}
+
+// What a fresh load at this size builds, once the async PIXI inits settle
+async function baseline(page, viewport) {
+  await page.setViewportSize(viewport);
+  await page.goto('/');
+  await page.waitForLoadState('networkidle');
+  await page.waitForTimeout(1500);
+  return snapshot(page);
+}
+
+test.describe('Breakpoint rebuild', () => {
+  test('crossing 768px tears down and rebuilds one set of triggers, canvases and loops', async ({ page }) => {
+    await trackAnimationFrames(page);
+
+    const mobile = await baseline(page, MOBILE);
+    const desktop = await baseline(page, DESKTOP);
+    expect(mobile.breakpoint).toBe('mobile');
+    expect(desktop.breakpoint).toBe('desktop');
+    expect(desktop.triggers).toBeGreaterThan(0);
+    expect(desktop.canvases).toBeGreaterThan(0);
+
+    // Carousel radius follows the layout
+    expect(desktop.radius).toBeGreaterThan(mobile.radius);
+
+    // Desktop -> mobile -> desktop -> mobile, without reloading
+    for (const [viewport, expected] of [[MOBILE, mobile], [DESKTOP, desktop], [MOBILE, mobile]]) {
+      await page.setViewportSize(viewport);
+      // 200ms rebuild debounce, then PIXI apps initialise asynchronously
+      await expect.poll(() => snapshot(page), { timeout: 10000, intervals: [500] }).toEqual(expected);
+    }
+  });
+
+  test('the carousel keeps working after a rebuild', async ({ page }) => {
+    await page.setViewportSize(DESKTOP);
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+
+    await page.setViewportSize(MOBILE);
+    await expect.poll(() => page.evaluate(() => window.ChrisTheme.projectionCarousel.getState().radius)).toBe(280);
+    await page.setViewportSize(DESKTOP);
+    await expect.poll(() => page.evaluate(() => window.ChrisTheme.projectionCarousel.getState().radius)).toBe(550);
+
+    // One ScrollTrigger for the reel, and its listeners answer once
+    const reelTriggers = await page.evaluate(() => window.ChrisTheme.ScrollTrigger.getAll()
+      .filter(trigger => trigger.trigger && trigger.trigger.classList.contains('reel-navigator')).length);
+    expect(reelTriggers).toBe(1);
+
+    // Into the pin, then drag the wheel left: it turns forward
+    await page.evaluate(() => {
+      const trigger = window.ChrisTheme.ScrollTrigger.getAll()
+        .find(t => t.trigger && t.trigger.classList.contains('reel-navigator'));
+      window.ChrisTheme.lenis.scrollTo(trigger.start + 10, { immediate: true });
+      window.ChrisTheme.ScrollTrigger.update();
+    });
+    await page.waitForTimeout(500);
+    const carousel = () => page.evaluate(() => window.ChrisTheme.projectionCarousel.getState());
+    expect((await carousel()).isPinned).toBe(true);
+
+    const box = await page.locator('.reel-navigator__wheel').boundingBox();
+    const before = (await carousel()).wheelAngle;
+    await page.mouse.move(box.x + box.width / 2, box.y + box.height / 2);
+    await page.mouse.down();
+    await page.mouse.move(box.x + box.width / 2 - 150, box.y + box.height / 2, { steps: 5 });
+    expect((await carousel()).wheelAngle).toBeGreaterThan(before);
+    await page.mouse.up();
+  });
+});
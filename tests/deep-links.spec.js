@@ -0,0 +1,98 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+/**
+ * Scene deep links (main.js initAnchorNavigation)
+ *
+ * #scene lands a pinned scene on its revealed state, #scene@progress on a
+ * point in its timeline. The hash follows the section being read, so
+ * back/forward step between scenes.
+ */
+
+// Hash jumps run 160ms and 520ms after load; tracking settles 400ms after scrolling
+const SETTLE = 700;
+
+async function open(page, url) {
+  await page.goto(url);
+  await page.waitForLoadState('networkidle');
+  await page.waitForTimeout(SETTLE + 520);
+}
+
+function sceneProgress(page, id) {
+  return page.evaluate(sceneId => window.ChrisTheme.scenes[sceneId].timeline.scrollTrigger.progress, id);
+}
+
+function terminalOpacity(page) {
+  return page.locator('.scene--claude-codes .terminal').first()
+    .evaluate(el => parseFloat(getComputedStyle(el).opacity));
+}
+
+function currentHash(page) {
+  return page.evaluate(() => window.location.hash);
+}
+
+async function scrollTo(page, y) {
+  await page.evaluate(top => {
+    window.ChrisTheme.lenis.scrollTo(top, { immediate: true });
+    window.ChrisTheme.ScrollTrigger.update();
+  }, y);
+  await page.waitForTimeout(SETTLE);
+}
+
+test.describe('Scene deep links', () => {
+  test('#scene@progress lands on that point of the pinned timeline and survives scrolling within it', async ({ page }) => {
+    await open(page, '/#claude-codes@0.4');
+
+    expect(await sceneProgress(page, 'claude-codes')).toBeCloseTo(0.4, 1);
+    expect(await terminalOpacity(page)).toBeGreaterThan(0.5);
+    expect(await currentHash(page)).toBe('#claude-codes@0.4');
+
+    // A little further through the same scene keeps the shared link
+    const y = await page.evaluate(() => window.scrollY);
+    await scrollTo(page, y + 100);
+    expect(await currentHash(page)).toBe('#claude-codes@0.4');
+  });
+
+  test('#scene without progress lands on the revealed state', async ({ page }) => {
+    await open(page, '/#claude-codes');
+
+    const reveal = await page.evaluate(() => window.ChrisTheme.scenes['claude-codes'].reveal);
+    expect(await sceneProgress(page, 'claude-codes')).toBeCloseTo(reveal, 1);
+    expect(await terminalOpacity(page)).toBeGreaterThan(0.5);
+  });
+
+  test('scene ids resolve through data-scene and progress is clamped', async ({ page }) => {
+    // <section id="the-coder" data-scene="coder">
+    await open(page, '/#coder@0.5');
+    expect(await sceneProgress(page, 'coder')).toBeCloseTo(0.5, 1);
+
+    await open(page, '/#coder@7');
+    expect(await sceneProgress(page, 'coder')).toBeCloseTo(1, 1);
+  });
+
+  test('the hash follows the reader and back returns to the previous scene', async ({ page }) => {
+    await open(page, '/#claude-codes@0.4');
+
+    // Into the next section
+    const speakerTop = await page.evaluate(() => {
+      const speaker = document.getElementById('speaker');
+      return speaker.getBoundingClientRect().top + window.scrollY;
+    });
+    await scrollTo(page, speakerTop + 10);
+    expect(await currentHash(page)).toBe('#speaker');
+
+    // Back: the shared point in Claude Codes again
+    await page.goBack();
+    await page.waitForTimeout(SETTLE);
+    expect(await currentHash(page)).toBe('#claude-codes@0.4');
+    expect(await sceneProgress(page, 'claude-codes')).toBeCloseTo(0.4, 1);
+    expect(await terminalOpacity(page)).toBeGreaterThan(0.5);
+
+    // Forward: the speaker section
+    await page.goForward();
+    await page.waitForTimeout(SETTLE);
+    expect(await currentHash(page)).toBe('#speaker');
+    const top = await page.evaluate(() => document.getElementById('speaker').getBoundingClientRect().top);
+    expect(Math.abs(top)).toBeLessThan(120);
+  });
+});
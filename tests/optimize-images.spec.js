@@ -0,0 +1,115 @@
+/**
+ * Tests for scripts/optimize-images.js
+ *
+ * Runs the script in a temp directory with its own optimize.config.js and
+ * checks the WebPs, responsive.json and partials it writes.
+ */
+
+const { test, expect } = require('@playwright/test');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { execFileSync } = require('child_process');
+const sharp = require('sharp');
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'optimize-images.js');
+
+/**
+ * Write a config for workDir's theme/ and run the script there
+ */
+function runOptimize(workDir, contexts) {
+  const config = {
+    sourceDir: 'theme/assets/images',
+    formats: { webp: { quality: 80 } },
+    contexts,
+    ignore: ['**/.*', '**/*.webp'],
+    placeholders: true,
+    responsive: { partialsDir: 'theme/partials/responsive' },
+    cacheFile: '.optimize-cache.json',
+    flatOutput: true,
+    incrementalBuild: true
+  };
+  fs.writeFileSync(path.join(workDir, 'optimize.config.js'), `module.exports = ${JSON.stringify(config)};\n`);
+  execFileSync(process.execPath, [SCRIPT], { cwd: workDir, stdio: 'pipe' });
+}
+
+test.describe('Theme image optimization', () => {
+  let workDir;
+  let imagesDir;
+
+  test.beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-images-test-'));
+    imagesDir = path.join(workDir, 'theme/assets/images');
+    fs.mkdirSync(imagesDir, { recursive: true });
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test('EXIF orientation is applied to every WebP and described as displayed', async () => {
+    // Stored 400x300, red left half and blue right half, with orientation 6
+    // (rotate 90° clockwise): displayed 300x400, red on top
+    const blue = await sharp({
+      create: { width: 200, height: 300, channels: 3, background: { r: 0, g: 0, b: 255 } }
+    }).png().toBuffer();
+    await sharp({
+      create: { width: 400, height: 300, channels: 3, background: { r: 255, g: 0, b: 0 } }
+    })
+      .composite([{ input: blue, left: 200, top: 0 }])
+      .jpeg()
+      .withMetadata({ orientation: 6 })
+      .toFile(path.join(imagesDir, 'rotated.jpg'));
+
+    runOptimize(workDir, {
+      default: { pattern: '**/*', sizes: [200, 350] }
+    });
+
+    // Full size and the one width below the displayed 300px
+    const full = await sharp(path.join(imagesDir, 'rotated.webp')).metadata();
+    expect([full.width, full.height]).toEqual([300, 400]);
+    const small = await sharp(path.join(imagesDir, 'rotated-200.webp')).metadata();
+    expect([small.width, small.height]).toEqual([200, 267]);
+    expect(fs.existsSync(path.join(imagesDir, 'rotated-350.webp'))).toBe(false);
+
+    // Pixels are turned, not just the dimensions
+    const { data } = await sharp(path.join(imagesDir, 'rotated.webp'))
+      .extract({ left: 150, top: 20, width: 1, height: 1 })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    expect(data[0]).toBeGreaterThan(200);
+    expect(data[2]).toBeLessThan(60);
+
+    const entry = JSON.parse(fs.readFileSync(path.join(imagesDir, 'responsive.json'), 'utf8')).rotated;
+    expect([entry.width, entry.height]).toEqual([300, 400]);
+    for (const variant of entry.variants) {
+      expect(variant.height, variant.path).toBeGreaterThan(variant.width);
+    }
+
+    const partial = fs.readFileSync(path.join(workDir, 'theme/partials/responsive/rotated.hbs'), 'utf8');
+    expect(partial).toContain('" 300w"');
+    expect(partial).toContain('width="300" height="400"');
+  });
+
+  test('crops of an EXIF-rotated image keep its displayed framing', async () => {
+    await sharp({
+      create: { width: 400, height: 300, channels: 3, background: { r: 0, g: 128, b: 0 } }
+    })
+      .jpeg()
+      .withMetadata({ orientation: 6 })
+      .toFile(path.join(imagesDir, 'card-rotated.jpg'));
+
+    runOptimize(workDir, {
+      cards: { pattern: '**/card-*', sizes: [200], crops: ['1:1'] },
+      default: { pattern: '**/*', sizes: [200] }
+    });
+
+    const crop = await sharp(path.join(imagesDir, 'card-rotated-1x1.webp')).metadata();
+    expect([crop.width, crop.height]).toEqual([300, 300]);
+
+    // The crop partial's fallback is the crop, sized like it
+    const partial = fs.readFileSync(path.join(workDir, 'theme/partials/responsive/card-rotated--1x1.hbs'), 'utf8');
+    expect(partial).toContain('src=(asset "images/card-rotated-1x1.webp")');
+    expect(partial).toContain('width="300" height="300"');
+  });
+});
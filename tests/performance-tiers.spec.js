@@ -0,0 +1,64 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+/**
+ * Performance tiers (main.js PERFORMANCE TIERS)
+ */
+
+test.describe('Performance Tiers', () => {
+  test('reader override applies and persists across reloads', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+
+    await page.locator('[data-quality-select]').selectOption('low');
+
+    const settings = await page.evaluate(() => ({
+      quality: window.ChrisTheme.quality,
+      cameraFlow: window.ChrisTheme.qualitySettings.cameraFlow,
+      stored: localStorage.getItem('chris-theme-quality')
+    }));
+    expect(settings).toEqual({ quality: 'low', cameraFlow: false, stored: 'low' });
+
+    await page.reload();
+    await page.waitForLoadState('networkidle');
+    expect(await page.evaluate(() => window.ChrisTheme.quality)).toBe('low');
+    await expect(page.locator('[data-quality-select]')).toHaveValue('low');
+
+    // Back to the monitor's choice
+    await page.locator('[data-quality-select]').selectOption('auto');
+    expect(await page.evaluate(() => localStorage.getItem('chris-theme-quality'))).toBeNull();
+  });
+
+  test('inline depth images fall back to CSS parallax below high', async ({ page }) => {
+    await page.addInitScript(() => localStorage.setItem('chris-theme-quality', 'medium'));
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+
+    await page.locator('#speaker').scrollIntoViewIfNeeded();
+    await page.waitForTimeout(500);
+
+    await expect(page.locator('.inline-depth-canvas')).toHaveCount(0);
+    const visibility = await page.locator('#speaker img[data-depth]').first()
+      .evaluate(img => getComputedStyle(img).visibility);
+    expect(visibility).toBe('visible');
+  });
+
+  test('PIXI resolution is capped by the tier', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+
+    const resolutions = await page.evaluate(() => {
+      const result = {};
+      ['high', 'medium', 'low'].forEach(tier => {
+        window.ChrisTheme.setQuality(tier);
+        result[tier] = window.ChrisTheme.pixiResolution();
+      });
+      window.ChrisTheme.setQuality('auto');
+      return result;
+    });
+
+    expect(resolutions.medium).toBeLessThanOrEqual(1);
+    expect(resolutions.low).toBeLessThanOrEqual(0.75);
+    expect(resolutions.high).toBeGreaterThanOrEqual(resolutions.medium);
+  });
+});
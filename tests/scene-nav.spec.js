@@ -0,0 +1,104 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+/**
+ * Scene navigator (partials/scene-nav.hbs + assets/js/scene-nav.js)
+ */
+
+async function scrollAndUpdate(page, y) {
+  await page.evaluate((scrollY) => {
+    if (window.ChrisTheme?.lenis) {
+      window.ChrisTheme.lenis.scrollTo(scrollY, { immediate: true });
+    } else {
+      window.scrollTo(0, scrollY);
+    }
+    window.ChrisTheme?.ScrollTrigger?.update();
+  }, y);
+  // Navigator renders on the next frame
+  await page.waitForTimeout(150);
+}
+
+test.describe('Scene Navigator', () => {
+  test('is hidden over the hero and marks the section being read', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+
+    const nav = page.locator('.scene-nav');
+    await expect(nav).toHaveClass(/scene-nav--hidden/);
+    await expect(nav.locator('.scene-nav__link')).toHaveCount(8);
+
+    // Into the Claude Codes pin
+    const top = await page.evaluate(() => window.ChrisTheme.scenes['claude-codes'].timeline.scrollTrigger.start);
+    await scrollAndUpdate(page, top + 200);
+
+    await expect(nav).not.toHaveClass(/scene-nav--hidden/);
+    const current = nav.locator('.scene-nav__link[aria-current="location"]');
+    await expect(current).toHaveCount(1);
+    await expect(current).toHaveAttribute('href', '#claude-codes');
+
+    // Progress follows the pinned timeline
+    const progress = await current.evaluate(link => parseFloat(link.style.getPropertyValue('--scene-progress')));
+    expect(progress).toBeGreaterThan(0);
+    expect(progress).toBeLessThan(1);
+
+    await expect(nav.locator('[data-scene-nav-status]')).toHaveText('Now reading: Agentic Cowboy');
+  });
+
+  test('jumps to a pinned scene on its revealed state', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await scrollAndUpdate(page, 3000);
+
+    await page.locator('.scene-nav__link[href="#claude-codes"]').click();
+    await page.waitForTimeout(300);
+
+    expect(new URL(page.url()).hash).toBe('#claude-codes');
+    const { progress, reveal } = await page.evaluate(() => {
+      const scene = window.ChrisTheme.scenes['claude-codes'];
+      return { progress: scene.timeline.scrollTrigger.progress, reveal: scene.reveal };
+    });
+    expect(progress).toBeCloseTo(reveal, 1);
+
+    // Terminals are showing, not the blank start of the pin
+    const opacity = await page.locator('.scene--claude-codes .terminal').first()
+      .evaluate(el => parseFloat(getComputedStyle(el).opacity));
+    expect(opacity).toBeGreaterThan(0.5);
+  });
+
+  test('arrow keys move focus between items', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await scrollAndUpdate(page, 3000);
+
+    const links = page.locator('.scene-nav__link');
+    await links.first().focus();
+
+    await page.keyboard.press('ArrowDown');
+    await expect(links.nth(1)).toBeFocused();
+
+    await page.keyboard.press('End');
+    await expect(links.last()).toBeFocused();
+
+    // Wraps round
+    await page.keyboard.press('ArrowDown');
+    await expect(links.first()).toBeFocused();
+  });
+
+  test('collapses to a bottom bar on mobile', async ({ page }) => {
+    await page.setViewportSize({ width: 375, height: 812 });
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await scrollAndUpdate(page, 3000);
+
+    const list = page.locator('.scene-nav__list');
+    const box = await list.boundingBox();
+    expect(box.width).toBeGreaterThan(370);
+    expect(box.y + box.height).toBeGreaterThan(805);
+
+    // Icons only, labels kept for screen readers
+    const label = page.locator('.scene-nav__label').first();
+    const labelBox = await label.boundingBox();
+    expect(labelBox.width).toBeLessThanOrEqual(1);
+    await expect(label).toHaveText('The Coder');
+  });
+});
@@ -4,11 +4,10 @@ const { test, expect } = require('@playwright/test');
 /**
  * Tests for scroll choreography issues.
  *
- * ScrollTrigger positions (verified):
- * - Hero: 0-2000 (pinned)
- * - Coder: 2720-4220 (pinned)
- * - Windswept mask: 4807-5383
- * - Claude: 5383-7383 (pinned)
+ * Pinned scenes come from main.js's scene registry (ChrisTheme.scenes), which
+ * exposes each scene's ScrollTrigger range, elements and resolved
+ * { initial, exit } states, so positions are read from the page rather than
+ * hard-coded.
  */
 
 async function scrollAndUpdate(page, y) {
@@ -35,6 +34,68 @@ async function scrollGradually(page, from, to, steps = 5) {
   }
 }
 
+/**
+ * Compare a scene's elements to one of its resolved states ('initial' | 'exit')
+ * Returns the mismatches; numeric properties only (opacity, x, y, scale...)
+ */
+function sceneStateMismatches(page, id, stateName) {
+  return page.evaluate(({ id, stateName }) => {
+    const { gsap } = window.ChrisTheme;
+    const scene = window.ChrisTheme.scenes[id];
+    const mismatches = [];
+    Object.entries(scene.states[stateName]).forEach(([name, values]) => {
+      (scene.elements[name] || []).forEach((element, index) => {
+        Object.entries(values).forEach(([prop, expected]) => {
+          if (typeof expected !== 'number') return;
+          const actual = parseFloat(gsap.getProperty(element, prop));
+          // px for x/y, fractions for opacity and scale
+          const tolerance = Math.abs(expected) > 2 ? 2 : 0.02;
+          if (!(Math.abs(actual - expected) <= tolerance)) {
+            mismatches.push(`${name}[${index}].${prop}: expected ${expected}, got ${actual}`);
+          }
+        });
+      });
+    });
+    return mismatches;
+  }, { id, stateName });
+}
+
+test('every registered scene reverses to its initial state after scrolling past its end', async ({ page }) => {
+  await page.goto('/');
+  await page.waitForLoadState('networkidle');
+  await page.waitForTimeout(500);
+
+  const scenes = await page.evaluate(() => Object.values(window.ChrisTheme.scenes).map(scene => ({
+    id: scene.id,
+    start: Math.round(scene.timeline.scrollTrigger.start),
+    end: Math.round(scene.timeline.scrollTrigger.end)
+  })));
+  expect(scenes.map(scene => scene.id)).toEqual(expect.arrayContaining(['hero', 'coder', 'claude-codes']));
+
+  for (const scene of scenes) {
+    // Before the pin: the initial state (the hero starts at the top of the page)
+    const before = Math.max(scene.start - 200, 0);
+    await scrollAndUpdate(page, before);
+    if (scene.start > 0) {
+      expect(await sceneStateMismatches(page, scene.id, 'initial'), `${scene.id} before entering`).toEqual([]);
+    }
+
+    // Through the pin and out of the bottom: the exit state
+    await scrollGradually(page, before, scene.end + 100, 8);
+    expect(await sceneStateMismatches(page, scene.id, 'exit'), `${scene.id} after leaving`).toEqual([]);
+
+    // Back up through the pin and out of the top: the initial state again
+    await scrollGradually(page, scene.end + 100, before, 8);
+    if (scene.start > 0) {
+      expect(await sceneStateMismatches(page, scene.id, 'initial'), `${scene.id} after scrolling back`).toEqual([]);
+    } else {
+      // The hero is still pinned at the top; its content shows again
+      const opacity = await page.evaluate(() => parseFloat(getComputedStyle(document.querySelector('.hero__title')).opacity));
+      expect(opacity, 'hero title after scrolling back').toBeGreaterThan(0.9);
+    }
+  }
+});
+
 test('scroll up reverses coder section animation', async ({ page }) => {
   await page.goto('/');
   await page.waitForLoadState('networkidle');
@@ -0,0 +1,204 @@
+/**
+ * Tests for the optimized storage adapter's S3 backend
+ *
+ * Runs the real adapter and @aws-sdk/client-s3 commands against an
+ * in-memory stand-in for the bucket, so no network or MinIO is needed.
+ */
+
+const { test, expect } = require('@playwright/test');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { PassThrough } = require('stream');
+const sharp = require('sharp');
+
+const OptimizedLocalStorage = require('../ghost/adapters/storage/optimized-local');
+
+const CDN = 'https://cdn.example.com';
+
+/**
+ * Minimal S3 client: keeps objects in a Map and answers the commands
+ * the backend sends
+ */
+class FakeS3Client {
+  constructor() {
+    this.objects = new Map();
+  }
+
+  async send(command) {
+    const input = command.input;
+    const notFound = () => Object.assign(new Error('NotFound'), {
+      name: 'NotFound',
+      $metadata: { httpStatusCode: 404 }
+    });
+
+    switch (command.constructor.name) {
+      case 'PutObjectCommand':
+        this.objects.set(input.Key, {
+          body: Buffer.from(input.Body),
+          contentType: input.ContentType,
+          cacheControl: input.CacheControl
+        });
+        return {};
+      case 'GetObjectCommand': {
+        const object = this.objects.get(input.Key);
+        if (!object) throw notFound();
+        return { Body: { transformToByteArray: async () => new Uint8Array(object.body) } };
+      }
+      case 'HeadObjectCommand':
+        if (!this.objects.has(input.Key)) throw notFound();
+        return {};
+      case 'DeleteObjectCommand':
+        this.objects.delete(input.Key);
+        return {};
+      case 'ListObjectsV2Command':
+        return {
+          Contents: [...this.objects.keys()]
+            .filter(key => key.startsWith(input.Prefix))
+            .map(Key => ({ Key })),
+          IsTruncated: false
+        };
+      default:
+        throw new Error(`Unexpected command: ${command.constructor.name}`);
+    }
+  }
+}
+
+/**
+ * Run serve() and resolve with the redirect, or { next: true }
+ */
+function serveRequest(adapter, urlPath) {
+  return new Promise(resolve => {
+    const res = new PassThrough();
+    const headers = {};
+
+    res.statusCode = 200;
+    res.headersSent = false;
+    res.setHeader = (name, value) => { headers[name.toLowerCase()] = value; };
+    res.removeHeader = name => { delete headers[name.toLowerCase()]; };
+    res.on('finish', () => resolve({ status: res.statusCode, headers }));
+    res.resume();
+
+    adapter.serve()({ path: urlPath, headers: {}, method: 'GET' }, res, () => resolve({ next: true }));
+  });
+}
+
+test.describe('Storage Adapter S3 backend', () => {
+  let tempDir;
+  let storageDir;
+  let client;
+  let adapter;
+  let testImagePath;
+  let otherImagePath;
+
+  test.beforeAll(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghost-storage-s3-'));
+
+    testImagePath = path.join(tempDir, 'photo.png');
+    await sharp({
+      create: { width: 1200, height: 800, channels: 3, background: { r: 40, g: 90, b: 160 } }
+    }).png().toFile(testImagePath);
+
+    otherImagePath = path.join(tempDir, 'other.png');
+    await sharp({
+      create: { width: 400, height: 300, channels: 3, background: { r: 200, g: 60, b: 30 } }
+    }).png().toFile(otherImagePath);
+  });
+
+  test.beforeEach(() => {
+    // Fresh bucket and dedup index for every test
+    storageDir = fs.mkdtempSync(path.join(tempDir, 'storage-'));
+    client = new FakeS3Client();
+    adapter = new OptimizedLocalStorage({
+      storagePath: storageDir,
+      sizes: [300],
+      backend: 's3',
+      s3: { bucket: 'images', prefix: 'content/images', cdnUrl: CDN, client }
+    });
+  });
+
+  test.afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('save: writes original and derivatives to the bucket and returns a CDN URL', async () => {
+    const url = await adapter.save({ name: 'photo.png', path: testImagePath }, '2026/01');
+    await adapter.queue.onIdle();
+
+    expect(url).toMatch(new RegExp(`^${CDN}/content/images/2026/01/photo-\\d{13}-[0-9a-f]{8}\\.webp$`));
+
+    const base = path.basename(url, '.webp');
+    const keys = [...client.objects.keys()].sort();
+    expect(keys).toEqual([
+      `content/images/2026/01/${base}.avif`,
+      `content/images/2026/01/${base}.png`,
+      `content/images/2026/01/${base}.webp`,
+      `content/images/2026/01/size/w300/${base}.avif`,
+      `content/images/2026/01/size/w300/${base}.webp`,
+      'content/images/placeholders.json'
+    ].sort());
+
+    const webp = client.objects.get(`content/images/2026/01/${base}.webp`);
+    expect(webp.contentType).toBe('image/webp');
+    expect(webp.cacheControl).toContain('immutable');
+
+    // The placeholder manifest changes on every upload, so it isn't immutable
+    const manifest = client.objects.get('content/images/placeholders.json');
+    expect(manifest.cacheControl).toBe('no-cache');
+    expect(Object.keys(JSON.parse(manifest.body))).toEqual([`2026/01/${base}`]);
+
+    // Nothing but the dedup index lands on local disk
+    expect(fs.existsSync(path.join(storageDir, '2026'))).toBe(false);
+  });
+
+  test('read, exists and urlToPath go through the bucket', async () => {
+    const url = await adapter.save({ name: 'photo.png', path: testImagePath }, '2026/01');
+    await adapter.queue.onIdle();
+    const fileName = path.basename(url);
+
+    expect(await adapter.exists(fileName, '2026/01')).toBe(true);
+    expect(await adapter.exists('missing.webp', '2026/01')).toBe(false);
+    expect(await adapter.exists('passwd', '../..')).toBe(false);
+
+    const buffer = await adapter.read({ path: `2026/01/${fileName}` });
+    expect((await sharp(buffer).metadata()).format).toBe('webp');
+    await expect(adapter.read({ path: '2026/01/missing.webp' })).rejects.toThrow('Could not read file');
+
+    expect(adapter.urlToPath(url)).toBe(`content/images/2026/01/${fileName}`);
+    expect(adapter.urlToPath(`/content/images/2026/01/${fileName}`)).toBe(`content/images/2026/01/${fileName}`);
+  });
+
+  test('serve: redirects to the CDN and generates missing sizes first', async () => {
+    const url = await adapter.save({ name: 'photo.png', path: testImagePath }, '2026/01');
+    await adapter.queue.onIdle();
+    const base = path.basename(url, '.webp');
+
+    const original = await serveRequest(adapter, `/2026/01/${base}.webp`);
+    expect(original.status).toBe(301);
+    expect(original.headers.location).toBe(url);
+
+    // w600 is allow-listed but wasn't generated on upload
+    const sized = await serveRequest(adapter, `/size/w600/2026/01/${base}.webp`);
+    expect(sized.status).toBe(301);
+    expect(sized.headers.location).toBe(`${CDN}/content/images/2026/01/size/w600/${base}.webp`);
+    expect(client.objects.has(`content/images/2026/01/size/w600/${base}.webp`)).toBe(true);
+
+    expect((await serveRequest(adapter, '/2026/01/missing.webp')).next).toBe(true);
+    expect((await serveRequest(adapter, `/size/w601/2026/01/${base}.webp`)).next).toBe(true);
+    expect((await serveRequest(adapter, '/../secret.webp')).next).toBe(true);
+  });
+
+  test('delete: removes the original, derivatives and sizes from the bucket', async () => {
+    const url = await adapter.save({ name: 'photo.png', path: testImagePath }, '2026/01');
+    const other = await adapter.save({ name: 'other.png', path: otherImagePath }, '2026/02');
+    await adapter.queue.onIdle();
+    const base = path.basename(url, '.webp');
+
+    await serveRequest(adapter, `/size/w600/2026/01/${base}.webp`);
+    await adapter.delete(`${base}.png`, '2026/01');
+
+    const keys = [...client.objects.keys()];
+    expect(keys.some(key => key.includes(base))).toBe(false);
+    expect(keys).toContain(`content/images/2026/02/${path.basename(other)}`);
+  });
+});
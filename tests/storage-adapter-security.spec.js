@@ -0,0 +1,136 @@
+/**
+ * Security tests for the optimized-local storage adapter
+ *
+ * Verifies that serve(), read(), exists(), delete() and urlToPath()
+ * never reach outside storagePath - via "..", encoded separators,
+ * absolute paths or symlinks that point out of the storage root.
+ */
+
+const { test, expect } = require('@playwright/test');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { PassThrough } = require('stream');
+
+const OptimizedLocalStorage = require('../ghost/adapters/storage/optimized-local');
+
+/**
+ * Run serve() against a fake request
+ * Resolves with { served: true, body } or { served: false } if it fell through to next()
+ */
+function serveRequest(adapter, urlPath) {
+  return new Promise((resolve, reject) => {
+    const res = new PassThrough();
+    const chunks = [];
+
+    res.statusCode = 200;
+    res.headersSent = false;
+    res.setHeader = () => {};
+    res.removeHeader = () => {};
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => resolve({ served: true, body: Buffer.concat(chunks).toString() }));
+    res.on('error', reject);
+
+    adapter.serve()({ path: urlPath, headers: {}, method: 'GET' }, res, () => resolve({ served: false }));
+  });
+}
+
+test.describe('Storage Adapter security', () => {
+  let adapter;
+  let rootDir;
+  let storageDir;
+  let outsideDir;
+
+  test.beforeAll(() => {
+    // storage/ and a sibling secret/ directory that must stay unreachable
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghost-storage-security-'));
+    storageDir = path.join(rootDir, 'storage');
+    outsideDir = path.join(rootDir, 'secret');
+
+    fs.mkdirSync(path.join(storageDir, '2026/01'), { recursive: true });
+    fs.mkdirSync(outsideDir, { recursive: true });
+    fs.writeFileSync(path.join(storageDir, '2026/01/safe.svg'), '<svg/>');
+    fs.writeFileSync(path.join(outsideDir, 'passwd.svg'), 'top secret');
+
+    // Symlinks inside storage that escape the root
+    fs.symlinkSync(path.join(outsideDir, 'passwd.svg'), path.join(storageDir, '2026/01/link.svg'));
+    fs.symlinkSync(outsideDir, path.join(storageDir, 'escape'));
+
+    adapter = new OptimizedLocalStorage({ storagePath: storageDir });
+  });
+
+  test.afterAll(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  test('serve: legitimate files are still served', async () => {
+    const result = await serveRequest(adapter, '/2026/01/safe.svg');
+    expect(result.served).toBe(true);
+    expect(result.body).toBe('<svg/>');
+  });
+
+  test('serve: rejects parent-directory traversal in every encoding', async () => {
+    const attempts = [
+      '/../secret/passwd.svg',
+      '/2026/../../secret/passwd.svg',
+      '/%2e%2e/secret/passwd.svg',
+      '/..%2fsecret%2fpasswd.svg',
+      '/2026%2F..%2F..%2Fsecret%2Fpasswd.svg',
+      '/..%5csecret%5cpasswd.svg',
+      '/2026/01/safe.svg%00.png',
+      '/%E0%A4%A'
+    ];
+
+    for (const attempt of attempts) {
+      const result = await serveRequest(adapter, attempt);
+      expect(result.served, attempt).toBe(false);
+    }
+  });
+
+  test('serve: rejects symlinks that escape the root', async () => {
+    expect((await serveRequest(adapter, '/2026/01/link.svg')).served).toBe(false);
+    expect((await serveRequest(adapter, '/escape/passwd.svg')).served).toBe(false);
+  });
+
+  test('serve: on-demand resizes cannot write outside the root', async () => {
+    const result = await serveRequest(adapter, '/size/w300/../../secret/photo.webp');
+    expect(result.served).toBe(false);
+    expect(fs.existsSync(path.join(rootDir, 'size'))).toBe(false);
+    expect(fs.readdirSync(outsideDir)).toEqual(['passwd.svg']);
+  });
+
+  test('read: rejects traversal, absolute escapes and symlinks', async () => {
+    await expect(adapter.read({ path: '2026/01/safe.svg' })).resolves.toEqual(Buffer.from('<svg/>'));
+
+    await expect(adapter.read({ path: '../secret/passwd.svg' })).rejects.toThrow('Could not read file');
+    await expect(adapter.read({ path: '2026/01/link.svg' })).rejects.toThrow('Could not read file');
+    await expect(adapter.read({ path: 'escape/passwd.svg' })).rejects.toThrow('Could not read file');
+    await expect(adapter.read({ path: '/2026/01/../../../secret/passwd.svg' })).rejects.toThrow('Could not read file');
+  });
+
+  test('exists: reports false for anything outside the root', async () => {
+    expect(await adapter.exists('safe.svg', '2026/01')).toBe(true);
+    expect(await adapter.exists('passwd.svg', '../secret')).toBe(false);
+    expect(await adapter.exists('passwd.svg', 'escape')).toBe(false);
+  });
+
+  test('delete: refuses to remove files outside the root', async () => {
+    await expect(adapter.delete('../../secret/passwd.svg', '2026/01')).rejects.toThrow('Invalid file name');
+    await expect(adapter.delete('passwd.svg', '../secret')).rejects.toThrow('outside storage');
+    await expect(adapter.delete('passwd.svg', 'escape')).rejects.toThrow('outside storage');
+
+    expect(fs.existsSync(path.join(outsideDir, 'passwd.svg'))).toBe(true);
+  });
+
+  test('urlToPath: maps image URLs and rejects everything else', () => {
+    const expected = path.join(fs.realpathSync(storageDir), '2026/01/safe.svg');
+
+    expect(adapter.urlToPath('/content/images/2026/01/safe.svg')).toBe(expected);
+    expect(adapter.urlToPath('https://chris.dilger.me/content/images/2026/01/safe.svg')).toBe(expected);
+    expect(adapter.urlToPath('https://example.com/blog/content/images/2026/01/safe.svg')).toBe(expected);
+
+    expect(() => adapter.urlToPath('/assets/images/logo.png')).toThrow('not a stored image');
+    expect(() => adapter.urlToPath('/content/images/../secret/passwd.svg')).toThrow();
+    expect(() => adapter.urlToPath('/content/images/%2e%2e%2fsecret%2fpasswd.svg')).toThrow('outside storage');
+  });
+});
@@ -9,9 +9,37 @@ const { test, expect } = require('@playwright/test');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const { PassThrough } = require('stream');
 
 // Import the adapter
 const OptimizedLocalStorage = require('../ghost/adapters/storage/optimized-local');
+const { readExifEntries } = require('../ghost/adapters/storage/optimized-local/metadata-policy');
+
+/**
+ * Run the adapter's serve() middleware against a fake request
+ * Resolves with the status, response headers and body, or { next: true, err } if it fell through
+ */
+function serveRequest(adapter, urlPath, headers = {}, method = 'GET') {
+  return new Promise((resolve, reject) => {
+    const res = new PassThrough();
+    const responseHeaders = {};
+    const chunks = [];
+
+    res.statusCode = 200;
+    res.headersSent = false;
+    res.setHeader = (name, value) => {
+      responseHeaders[name.toLowerCase()] = value;
+    };
+    res.removeHeader = name => {
+      delete responseHeaders[name.toLowerCase()];
+    };
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => resolve({ status: res.statusCode, headers: responseHeaders, body: Buffer.concat(chunks) }));
+    res.on('error', reject);
+
+    adapter.serve()({ path: urlPath, headers, method }, res, err => resolve({ next: true, err }));
+  });
+}
 
 test.describe('Storage Adapter', () => {
   let adapter;
@@ -56,6 +84,9 @@ test.describe('Storage Adapter', () => {
     // Upload via adapter
     const savedPath = await adapter.save(file, '2026/01');
 
+    // Derivatives are generated in the background
+    await adapter.queue.onIdle();
+
     // Verify the returned path format (WebP URL for optimized images)
     expect(savedPath).toMatch(/^\/content\/images\/2026\/01\/test-image-\d+-[a-f0-9]+\.webp$/);
 
@@ -101,6 +132,7 @@ test.describe('Storage Adapter', () => {
     };
 
     const savedPath = await adapter.save(file, '2026/02');
+    await adapter.queue.onIdle();
 
     // save() now returns .webp URL
     const webpFilename = path.basename(savedPath);
@@ -117,4 +149,550 @@ test.describe('Storage Adapter', () => {
     expect(fs.existsSync(path.join(outputDir, 'size/w800', `${base}.webp`))).toBe(false);
     expect(fs.existsSync(path.join(outputDir, 'size/w1200', `${base}.webp`))).toBe(false);
   });
+
+  test('AVIF: upload creates AVIF alongside WebP at every size', async () => {
+    const sharp = require('sharp');
+    const testImagePath = path.join(testDir, 'test-avif.jpg');
+
+    await sharp({
+      create: {
+        width: 1000,
+        height: 600,
+        channels: 3,
+        background: { r: 0, g: 0, b: 255 }
+      }
+    }).jpeg().toFile(testImagePath);
+
+    const savedPath = await adapter.save({ name: 'avif-image.jpg', path: testImagePath }, '2026/03');
+    await adapter.queue.onIdle();
+
+    // Ghost still stores the WebP URL
+    expect(savedPath).toMatch(/\.webp$/);
+
+    const base = path.basename(savedPath, '.webp');
+    const outputDir = path.join(testDir, '2026/03');
+
+    expect(fs.existsSync(path.join(outputDir, `${base}.avif`))).toBe(true);
+    expect(fs.existsSync(path.join(outputDir, 'size/w400', `${base}.avif`))).toBe(true);
+    expect(fs.existsSync(path.join(outputDir, 'size/w800', `${base}.avif`))).toBe(true);
+
+    const metadata = await sharp(path.join(outputDir, `${base}.avif`)).metadata();
+    expect(metadata.format).toBe('heif');
+  });
+
+  test('serve negotiates AVIF, then WebP, then the original', async () => {
+    const sharp = require('sharp');
+    const testImagePath = path.join(testDir, 'test-negotiate.jpg');
+
+    await sharp({
+      create: {
+        width: 300,
+        height: 200,
+        channels: 3,
+        background: { r: 255, g: 255, b: 0 }
+      }
+    }).jpeg().toFile(testImagePath);
+
+    const savedPath = await adapter.save({ name: 'negotiate.jpg', path: testImagePath }, '2026/04');
+    await adapter.queue.onIdle();
+    const webpUrl = savedPath.replace('/content/images', '');
+    const jpgUrl = webpUrl.replace(/\.webp$/, '.jpg');
+
+    // Modern browser: stored .webp URL is upgraded to AVIF
+    const avif = await serveRequest(adapter, webpUrl, { accept: 'image/avif,image/webp,*/*' });
+    expect(avif.headers['content-type']).toBe('image/avif');
+    expect(avif.headers.vary).toBe('Accept');
+
+    // WebP-only browser asking for the original gets WebP
+    const webp = await serveRequest(adapter, jpgUrl, { accept: 'image/webp,*/*' });
+    expect(webp.headers['content-type']).toBe('image/webp');
+
+    // No modern format support: original JPEG
+    const jpeg = await serveRequest(adapter, jpgUrl, { accept: '*/*' });
+    expect(jpeg.headers['content-type']).toBe('image/jpeg');
+    expect(jpeg.body.equals(fs.readFileSync(path.join(testDir, '2026/04', path.basename(jpgUrl))))).toBe(true);
+
+    // q=0 rules a format out, and a higher q wins over formatPreference
+    const noAvif = await serveRequest(adapter, jpgUrl, { accept: 'image/avif;q=0,image/webp,*/*' });
+    expect(noAvif.headers['content-type']).toBe('image/webp');
+    const prefersWebp = await serveRequest(adapter, jpgUrl, { accept: 'image/avif;q=0.5,image/webp;q=0.9' });
+    expect(prefersWebp.headers['content-type']).toBe('image/webp');
+    const neither = await serveRequest(adapter, webpUrl, { accept: 'image/avif;q=0,image/webp' });
+    expect(neither.headers['content-type']).toBe('image/webp');
+    const original = await serveRequest(adapter, jpgUrl, { accept: 'image/jpeg,image/webp;q=0.5' });
+    expect(original.headers['content-type']).toBe('image/jpeg');
+  });
+
+  test('quality is configurable per format', () => {
+    const custom = new OptimizedLocalStorage({
+      storagePath: testDir,
+      formats: { webp: { quality: 75 }, avif: { quality: 45 } }
+    });
+    expect(custom.formats.webp.quality).toBe(75);
+    expect(custom.formats.avif.quality).toBe(45);
+    expect(custom.formatPreference).toEqual(['avif', 'webp']);
+
+    const webpOnly = new OptimizedLocalStorage({ storagePath: testDir, formats: { avif: false } });
+    expect(webpOnly.formatPreference).toEqual(['webp']);
+  });
+
+  test('serve generates missing size/wNNN/ variants on demand', async () => {
+    const sharp = require('sharp');
+    const testImagePath = path.join(testDir, 'test-on-demand.jpg');
+
+    await sharp({
+      create: {
+        width: 900,
+        height: 600,
+        channels: 3,
+        background: { r: 0, g: 128, b: 128 }
+      }
+    }).jpeg().toFile(testImagePath);
+
+    const savedPath = await adapter.save({ name: 'on-demand.jpg', path: testImagePath }, '2026/05');
+    await adapter.queue.onIdle();
+    const webpFilename = path.basename(savedPath);
+    const base = path.basename(webpFilename, '.webp');
+    const outputDir = path.join(testDir, '2026/05');
+
+    // w300 is in the default allow-list (theme image_sizes) but not in `sizes`
+    expect(fs.existsSync(path.join(outputDir, 'size/w300', webpFilename))).toBe(false);
+
+    // Ghost's img_url layout: size/w300/2026/05/photo.webp
+    const ghostStyle = await serveRequest(adapter, `/size/w300/2026/05/${webpFilename}`, { accept: 'image/webp' });
+    expect(ghostStyle.headers['content-type']).toBe('image/webp');
+    expect((await sharp(ghostStyle.body).metadata()).width).toBe(300);
+
+    // Cached on disk in the adapter's layout
+    expect(fs.existsSync(path.join(outputDir, 'size/w300', webpFilename))).toBe(true);
+    expect(fs.existsSync(path.join(outputDir, 'size/w300', `${base}.avif`))).toBe(true);
+
+    // Adapter layout in the original format
+    const jpeg = await serveRequest(adapter, `/2026/05/size/w150/${base}.jpg`, { accept: '*/*' });
+    expect(jpeg.headers['content-type']).toBe('image/jpeg');
+    expect((await sharp(jpeg.body).metadata()).width).toBe(150);
+
+    // Widths outside the allow-list are never generated
+    const rejected = await serveRequest(adapter, `/size/w333/2026/05/${webpFilename}`, { accept: 'image/webp' });
+    expect(rejected.next).toBe(true);
+    expect(fs.existsSync(path.join(outputDir, 'size/w333'))).toBe(false);
+
+    // Deleting the image removes on-demand variants too
+    await adapter.delete(`${base}.jpg`, '2026/05');
+    expect(fs.existsSync(path.join(outputDir, 'size/w300', webpFilename))).toBe(false);
+    expect(fs.existsSync(path.join(outputDir, 'size/w150', `${base}.jpg`))).toBe(false);
+  });
+
+  test('serve crops size/wNNNhNNN/ variants around the focal point', async () => {
+    const sharp = require('sharp');
+    const testImagePath = path.join(testDir, 'test-crop.jpg');
+
+    // 3:1 panorama, red on the left third, blue elsewhere
+    const red = await sharp({
+      create: { width: 300, height: 300, channels: 3, background: { r: 255, g: 0, b: 0 } }
+    }).png().toBuffer();
+    await sharp({
+      create: { width: 900, height: 300, channels: 3, background: { r: 0, g: 0, b: 255 } }
+    }).composite([{ input: red, left: 0, top: 0 }]).jpeg().toFile(testImagePath);
+
+    const savedPath = await adapter.save({ name: 'crop.jpg', path: testImagePath }, '2026/09');
+    await adapter.queue.onIdle();
+    const webpFilename = path.basename(savedPath);
+    const base = path.basename(webpFilename, '.webp');
+    const outputDir = path.join(testDir, '2026/09');
+
+    // Focal point on the right edge: the crop must leave the red third out
+    fs.writeFileSync(path.join(outputDir, `${base}.focal.json`), JSON.stringify({ x: 1, y: 0.5 }));
+
+    // 600x400 (the theme's reel size) is in the default crop list
+    const cropped = await serveRequest(adapter, `/size/w600h400/2026/09/${webpFilename}`, { accept: 'image/webp' });
+    expect(cropped.headers['content-type']).toBe('image/webp');
+
+    // Same 3:2 shape, but no wider than the 300px-tall source allows
+    const { data, info } = await sharp(cropped.body).raw().toBuffer({ resolveWithObject: true });
+    expect(info.width).toBe(450);
+    expect(info.height).toBe(300);
+    expect(data[0]).toBeLessThan(64);
+    expect(data[2]).toBeGreaterThan(192);
+    expect(fs.existsSync(path.join(outputDir, 'size/w600h400', `${base}.avif`))).toBe(true);
+
+    // Only configured crops are generated
+    const rejected = await serveRequest(adapter, `/size/w600h600/2026/09/${webpFilename}`, { accept: 'image/webp' });
+    expect(rejected.next).toBe(true);
+    expect(fs.existsSync(path.join(outputDir, 'size/w600h600'))).toBe(false);
+
+    // Deleting the image removes its crops and focal point
+    await adapter.delete(`${base}.jpg`, '2026/09');
+    expect(fs.existsSync(path.join(outputDir, 'size/w600h400', webpFilename))).toBe(false);
+    expect(fs.existsSync(path.join(outputDir, `${base}.focal.json`))).toBe(false);
+  });
+
+  test('dedup: identical uploads share one URL and are reference-counted', async () => {
+    const sharp = require('sharp');
+    const testImagePath = path.join(testDir, 'test-dedup.jpg');
+
+    await sharp({
+      create: {
+        width: 500,
+        height: 400,
+        channels: 3,
+        background: { r: 200, g: 100, b: 50 }
+      }
+    }).jpeg().toFile(testImagePath);
+
+    const first = await adapter.save({ name: 'screenshot.jpg', path: testImagePath }, '2026/06');
+    const second = await adapter.save({ name: 'screenshot-again.jpg', path: testImagePath }, '2026/07');
+    await adapter.queue.onIdle();
+
+    // Second upload reuses the first URL, no new files written
+    expect(second).toBe(first);
+    expect(fs.existsSync(path.join(testDir, '2026/07'))).toBe(false);
+
+    // Index survives a restart (new adapter instance on the same storage)
+    const restarted = new OptimizedLocalStorage({ storagePath: testDir, sizes: [400, 800, 1200] });
+    const third = await restarted.save({ name: 'screenshot.jpg', path: testImagePath }, '2026/08');
+    await restarted.queue.onIdle();
+    expect(third).toBe(first);
+
+    const webpFilename = path.basename(first);
+    const webpPath = path.join(testDir, '2026/06', webpFilename);
+
+    // Removing two of three references keeps the files
+    await restarted.delete(webpFilename, '2026/06');
+    await restarted.delete(webpFilename, '2026/06');
+    expect(fs.existsSync(webpPath)).toBe(true);
+
+    // Last reference deletes the files
+    await restarted.delete(webpFilename, '2026/06');
+    expect(fs.existsSync(webpPath)).toBe(false);
+
+    // Index file is never served
+    const index = await serveRequest(restarted, '/.dedup-index.json');
+    expect(index.next).toBe(true);
+  });
+
+  test('privacy: strips GPS, auto-orients and keeps copyright on original and derivatives', async () => {
+    const sharp = require('sharp');
+    const testImagePath = path.join(testDir, 'test-phone.jpg');
+
+    // Phone-style photo: stored landscape with "rotate 90°" orientation and GPS
+    await sharp({
+      create: {
+        width: 800,
+        height: 500,
+        channels: 3,
+        background: { r: 90, g: 140, b: 60 }
+      }
+    })
+      .jpeg()
+      .withExif({
+        IFD0: { Make: 'Apple', Model: 'iPhone', Copyright: 'Chris Dilger' },
+        IFD3: { GPSLatitudeRef: 'S', GPSLatitude: '37/1 48/1 0/1' }
+      })
+      .withMetadata({ orientation: 6 })
+      .toFile(testImagePath);
+
+    const savedPath = await adapter.save({ name: 'phone-photo.jpg', path: testImagePath }, '2026/09');
+    await adapter.queue.onIdle();
+    const base = path.basename(savedPath, '.webp');
+    const outputDir = path.join(testDir, '2026/09');
+
+    for (const output of [`${base}.jpg`, `${base}.webp`, `size/w400/${base}.webp`]) {
+      const metadata = await sharp(path.join(outputDir, output)).metadata();
+      const tags = readExifEntries(metadata.exif);
+
+      // Upright: portrait pixels, no orientation flag left to apply
+      expect(metadata.height).toBeGreaterThan(metadata.width);
+      expect(metadata.orientation || 1).toBe(1);
+
+      // No GPS or camera details, copyright kept
+      expect(tags.some(({ tag }) => tag === 0x8825)).toBe(false);
+      expect(tags.some(({ tag }) => tag === 0x010f)).toBe(false);
+      expect(tags.find(({ tag }) => tag === 0x8298)?.value).toBe('Chris Dilger');
+    }
+  });
+
+  test('serve: validators, cache headers, conditional GET and ranges', async () => {
+    const sharp = require('sharp');
+    const testImagePath = path.join(testDir, 'test-caching.jpg');
+
+    await sharp({
+      create: {
+        width: 320,
+        height: 240,
+        channels: 3,
+        background: { r: 10, g: 20, b: 30 }
+      }
+    }).jpeg().toFile(testImagePath);
+
+    const savedPath = await adapter.save({ name: 'caching.jpg', path: testImagePath }, '2026/10');
+    await adapter.queue.onIdle();
+    const jpgUrl = savedPath.replace('/content/images', '').replace(/\.webp$/, '.jpg');
+    const original = fs.readFileSync(path.join(testDir, jpgUrl));
+
+    const full = await serveRequest(adapter, jpgUrl);
+    expect(full.status).toBe(200);
+    expect(full.headers.etag).toMatch(/^"[0-9a-f]+-[0-9a-f]+"$/);
+    expect(full.headers['last-modified']).toBeTruthy();
+    expect(full.headers['content-length']).toBe(original.length);
+    expect(full.headers['accept-ranges']).toBe('bytes');
+    // Hashed upload names are immutable
+    expect(full.headers['cache-control']).toBe('public, max-age=31536000, immutable');
+    // Negotiable even when the original is served
+    expect(full.headers.vary).toBe('Accept');
+
+    // Conditional GET
+    const byEtag = await serveRequest(adapter, jpgUrl, { 'if-none-match': full.headers.etag });
+    expect(byEtag.status).toBe(304);
+    expect(byEtag.body.length).toBe(0);
+
+    const byDate = await serveRequest(adapter, jpgUrl, { 'if-modified-since': full.headers['last-modified'] });
+    expect(byDate.status).toBe(304);
+
+    const stale = await serveRequest(adapter, jpgUrl, { 'if-none-match': '"nope"' });
+    expect(stale.status).toBe(200);
+
+    // Range requests
+    const partial = await serveRequest(adapter, jpgUrl, { range: 'bytes=0-99' });
+    expect(partial.status).toBe(206);
+    expect(partial.headers['content-range']).toBe(`bytes 0-99/${original.length}`);
+    expect(partial.body.equals(original.subarray(0, 100))).toBe(true);
+
+    const suffix = await serveRequest(adapter, jpgUrl, { range: 'bytes=-10' });
+    expect(suffix.body.equals(original.subarray(original.length - 10))).toBe(true);
+
+    const unsatisfiable = await serveRequest(adapter, jpgUrl, { range: `bytes=${original.length}-` });
+    expect(unsatisfiable.status).toBe(416);
+    expect(unsatisfiable.headers['content-range']).toBe(`bytes */${original.length}`);
+
+    // HEAD sends headers only
+    const head = await serveRequest(adapter, jpgUrl, {}, 'HEAD');
+    expect(head.headers['content-length']).toBe(original.length);
+    expect(head.body.length).toBe(0);
+
+    // Files without a hashed name get a short max-age
+    fs.copyFileSync(path.join(testDir, jpgUrl), path.join(testDir, '2026/10/plain.jpg'));
+    const plain = await serveRequest(adapter, '/2026/10/plain.jpg');
+    expect(plain.headers['cache-control']).toBe('public, max-age=3600');
+  });
+
+  test('serve: stream failures are passed to next() instead of hanging', async () => {
+    // A directory passes the existence check but fails to stream
+    fs.mkdirSync(path.join(testDir, '2026/11/broken.jpg'), { recursive: true });
+
+    const result = await serveRequest(adapter, '/2026/11/broken.jpg');
+    expect(result.next).toBe(true);
+    expect(result.err).toBeTruthy();
+  });
+
+  test('queue: save() returns before derivatives exist and serve() falls back to the original', async () => {
+    const sharp = require('sharp');
+    const testImagePath = path.join(testDir, 'queued-input.jpg');
+    await sharp({
+      create: { width: 1000, height: 600, channels: 3, background: { r: 0, g: 120, b: 60 } }
+    }).jpeg().toFile(testImagePath);
+
+    const queued = new OptimizedLocalStorage({ storagePath: testDir, sizes: [400] });
+
+    // Hold the job until the test lets it run
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const runJob = queued.runDerivativeJob.bind(queued);
+    queued.runDerivativeJob = async job => {
+      await gate;
+      return runJob(job);
+    };
+
+    const savedPath = await queued.save({ name: 'queued.jpg', path: testImagePath }, '2026/12');
+    const base = path.basename(savedPath, '.webp');
+    const outputDir = path.join(testDir, '2026/12');
+
+    expect(fs.existsSync(path.join(outputDir, `${base}.jpg`))).toBe(true);
+    expect(fs.existsSync(path.join(outputDir, `${base}.webp`))).toBe(false);
+    expect(queued.isPending(`2026/12/${base}.webp`)).toBe(true);
+
+    // The job list is persisted for restarts
+    const jobs = JSON.parse(fs.readFileSync(path.join(testDir, '.jobs.json'), 'utf8'));
+    expect(jobs.map(job => job.data.key)).toEqual([`2026/12/${base}.jpg`]);
+
+    // Until then the WebP URL, its sizes and the original's own URL serve the original, uncached
+    for (const url of [`/2026/12/${base}.webp`, `/size/w400/2026/12/${base}.webp`, `/2026/12/${base}.jpg`]) {
+      const fallback = await serveRequest(queued, url, { accept: 'image/avif,image/webp' });
+      expect(fallback.headers['content-type'], url).toBe('image/jpeg');
+      expect(fallback.headers['cache-control'], url).toBe('no-cache');
+    }
+
+    release();
+    await queued.queue.onIdle();
+
+    expect(fs.existsSync(path.join(outputDir, `${base}.webp`))).toBe(true);
+    expect(fs.existsSync(path.join(outputDir, 'size/w400', `${base}.avif`))).toBe(true);
+    expect(JSON.parse(fs.readFileSync(path.join(testDir, '.jobs.json'), 'utf8'))).toEqual([]);
+
+    const served = await serveRequest(queued, `/2026/12/${base}.webp`, { accept: 'image/webp' });
+    expect(served.headers['content-type']).toBe('image/webp');
+    expect(served.headers['cache-control']).toContain('immutable');
+
+    const original = await serveRequest(queued, `/2026/12/${base}.jpg`, { accept: '*/*' });
+    expect(original.headers['content-type']).toBe('image/jpeg');
+    expect(original.headers['cache-control']).toContain('immutable');
+  });
+
+  test('queue: failed jobs are retried and pending jobs resume after a restart', async () => {
+    const sharp = require('sharp');
+    const storagePath = fs.mkdtempSync(path.join(testDir, 'queue-'));
+    const testImagePath = path.join(storagePath, 'retry-input.png');
+    await sharp({
+      create: { width: 500, height: 300, channels: 3, background: { r: 90, g: 0, b: 90 } }
+    }).png().toFile(testImagePath);
+
+    // First job attempt fails, the retry succeeds
+    const flaky = new OptimizedLocalStorage({ storagePath, sizes: [], queue: { retryDelay: 10 } });
+    const runJob = flaky.runDerivativeJob.bind(flaky);
+    let attempts = 0;
+    flaky.runDerivativeJob = async job => {
+      attempts++;
+      if (attempts === 1) throw new Error('disk full');
+      return runJob(job);
+    };
+
+    const retried = await flaky.save({ name: 'retry.png', path: testImagePath }, '2026/01');
+    await flaky.queue.onIdle();
+    expect(attempts).toBe(2);
+    expect(fs.existsSync(path.join(storagePath, retried.replace('/content/images/', '')))).toBe(true);
+
+    // A job that never ran is picked up by the next instance
+    const stalled = new OptimizedLocalStorage({ storagePath, sizes: [], deduplicate: false });
+    stalled.runDerivativeJob = () => new Promise(() => {});
+    const resumed = await stalled.save({ name: 'resume.png', path: testImagePath }, '2026/02');
+
+    const restarted = new OptimizedLocalStorage({ storagePath, sizes: [] });
+    await restarted.queue.onIdle();
+    expect(fs.existsSync(path.join(storagePath, resumed.replace('/content/images/', '')))).toBe(true);
+  });
+
+  test('placeholders: uploads get a blurred preview and dominant colour in the manifest', async () => {
+    const sharp = require('sharp');
+    const storagePath = fs.mkdtempSync(path.join(testDir, 'placeholders-'));
+    const testImagePath = path.join(storagePath, 'placeholder-input.jpg');
+    await sharp({
+      create: { width: 1200, height: 600, channels: 3, background: { r: 200, g: 40, b: 40 } }
+    }).jpeg().toFile(testImagePath);
+
+    const withPlaceholders = new OptimizedLocalStorage({ storagePath, sizes: [] });
+    const savedPath = await withPlaceholders.save({ name: 'banner.jpg', path: testImagePath }, '2026/01');
+    await withPlaceholders.queue.onIdle();
+    const base = path.basename(savedPath, '.webp');
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(storagePath, 'placeholders.json'), 'utf8'));
+    const entry = manifest[`2026/01/${base}`];
+    expect(entry.width).toBe(1200);
+    expect(entry.height).toBe(600);
+    expect(entry.color).toMatch(/^#[0-9a-f]{6}$/);
+    expect(parseInt(entry.color.slice(1, 3), 16)).toBeGreaterThan(150);
+    expect(entry.preview).toMatch(/^data:image\/webp;base64,/);
+    expect(entry.preview.length).toBeLessThan(1000);
+
+    const preview = await sharp(Buffer.from(entry.preview.split(',')[1], 'base64')).metadata();
+    expect(preview.width).toBe(16);
+    expect(preview.height).toBe(8);
+
+    // Served uncached, since every upload changes it
+    const served = await serveRequest(withPlaceholders, '/placeholders.json');
+    expect(served.headers['content-type']).toBe('application/json');
+    expect(served.headers['cache-control']).toBe('no-cache');
+
+    await withPlaceholders.delete(`${base}.jpg`, '2026/01');
+    expect(JSON.parse(fs.readFileSync(path.join(storagePath, 'placeholders.json'), 'utf8'))).toEqual({});
+  });
+
+  test.describe('animations and video', () => {
+    let mediaDir;
+    let fakeFfmpeg;
+    let ffmpegLog;
+    let gifPath;
+
+    test.beforeAll(async () => {
+      const sharp = require('sharp');
+      mediaDir = fs.mkdtempSync(path.join(testDir, 'media-'));
+
+      // 3-frame, 160x90 animated GIF cut from the theme's project demo
+      gifPath = path.join(mediaDir, 'demo-input.gif');
+      await sharp(path.join(__dirname, '../themes/chris-theme/assets/images/projects/multiplayer-racer-demo.gif'), { animated: true, pages: 3 })
+        .resize(160)
+        .gif()
+        .toFile(gifPath);
+
+      // Stand-in for ffmpeg: logs its arguments and writes a PNG frame to the output path
+      const framePath = path.join(mediaDir, 'frame.png');
+      await sharp({ create: { width: 320, height: 180, channels: 3, background: { r: 10, g: 10, b: 200 } } })
+        .png()
+        .toFile(framePath);
+      ffmpegLog = path.join(mediaDir, 'ffmpeg.log');
+      fakeFfmpeg = path.join(mediaDir, 'ffmpeg');
+      fs.writeFileSync(fakeFfmpeg, `#!/bin/sh\necho "$@" >> "${ffmpegLog}"\nfor last; do :; done\ncp "${framePath}" "$last"\n`, { mode: 0o755 });
+    });
+
+    test('animated GIF: keeps animation in WebP and transcodes to MP4/WebM', async () => {
+      const sharp = require('sharp');
+      const storagePath = fs.mkdtempSync(path.join(mediaDir, 'gif-'));
+      const media = new OptimizedLocalStorage({ storagePath, sizes: [80], video: { ffmpegPath: fakeFfmpeg } });
+
+      const savedPath = await media.save({ name: 'demo.gif', path: gifPath }, '2026/01');
+      await media.queue.onIdle();
+      const base = path.basename(savedPath, '.webp');
+      const outputDir = path.join(storagePath, '2026/01');
+
+      const full = await sharp(path.join(outputDir, `${base}.webp`), { animated: true }).metadata();
+      expect(full.pages).toBe(3);
+      const small = await sharp(path.join(outputDir, 'size/w80', `${base}.webp`), { animated: true }).metadata();
+      expect(small.pages).toBe(3);
+      expect(small.pageHeight).toBe(45);
+
+      // sharp can't write animated AVIF, so none is generated
+      expect(fs.existsSync(path.join(outputDir, `${base}.avif`))).toBe(false);
+
+      expect(fs.existsSync(path.join(outputDir, `${base}.mp4`))).toBe(true);
+      expect(fs.existsSync(path.join(outputDir, `${base}.webm`))).toBe(true);
+      const calls = fs.readFileSync(ffmpegLog, 'utf8');
+      expect(calls).toContain('libx264');
+      expect(calls).toContain('libvpx-vp9');
+
+      const video = await serveRequest(media, `/2026/01/${base}.mp4`, { range: 'bytes=0-9' });
+      expect(video.status).toBe(206);
+      expect(video.headers['content-type']).toBe('video/mp4');
+
+      await media.delete(`${base}.gif`, '2026/01');
+      expect(fs.readdirSync(outputDir).filter(name => name.startsWith(base))).toEqual([]);
+    });
+
+    test('video: uploads keep their URL and get a poster frame', async () => {
+      const sharp = require('sharp');
+      const storagePath = fs.mkdtempSync(path.join(mediaDir, 'video-'));
+      const clipPath = path.join(mediaDir, 'clip-input.mp4');
+      fs.writeFileSync(clipPath, Buffer.alloc(4096, 1));
+
+      const media = new OptimizedLocalStorage({ storagePath, sizes: [160], video: { ffmpegPath: fakeFfmpeg } });
+      const savedPath = await media.save({ name: 'clip.mp4', path: clipPath }, '2026/02');
+      await media.queue.onIdle();
+
+      expect(savedPath).toMatch(/^\/content\/images\/2026\/02\/clip-\d+-[a-f0-9]+\.mp4$/);
+      const base = path.basename(savedPath, '.mp4');
+      const outputDir = path.join(storagePath, '2026/02');
+
+      expect((await sharp(path.join(outputDir, `${base}.jpg`)).metadata()).format).toBe('jpeg');
+      expect(fs.existsSync(path.join(outputDir, `${base}.webp`))).toBe(true);
+      expect(fs.existsSync(path.join(outputDir, 'size/w160', `${base}.webp`))).toBe(true);
+
+      await media.delete(`${base}.mp4`, '2026/02');
+      expect(fs.readdirSync(outputDir).filter(name => name.startsWith(base))).toEqual([]);
+
+      // Without ffmpeg the upload still succeeds, just without a poster
+      const noFfmpeg = new OptimizedLocalStorage({ storagePath, video: { ffmpegPath: path.join(mediaDir, 'missing-ffmpeg') } });
+      const plainPath = await noFfmpeg.save({ name: 'plain.mp4', path: clipPath }, '2026/03');
+      await noFfmpeg.queue.onIdle();
+      const plainBase = path.basename(plainPath, '.mp4');
+      expect(fs.readdirSync(path.join(storagePath, '2026/03'))).toEqual([`${plainBase}.mp4`]);
+    });
+  });
 });
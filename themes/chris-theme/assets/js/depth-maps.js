@@ -0,0 +1,67 @@
+/**
+ * Depth Maps
+ * Looks up the depth map for a colour image in depth-maps.json, written by
+ * scripts/optimize-images.js after checking the map matches the image, so
+ * the depth effects never guess filenames.
+ *
+ * The manifest is listed in <meta name="depth-maps">.
+ *
+ * Usage:
+ *   DepthMaps.find(img.src).then(url => { if (url) ... });
+ */
+
+(function() {
+    'use strict';
+
+    const meta = document.querySelector('meta[name="depth-maps"]');
+
+    // { base, version, entries } or null if there is no manifest
+    const ready = meta ? loadManifest(meta.content) : Promise.resolve(null);
+
+    function loadManifest(url) {
+        return fetch(url, { credentials: 'same-origin' })
+            .then(res => {
+                if (!res.ok) return null;
+                return res.json().then(entries => ({
+                    base: new URL('.', res.url),
+                    // Ghost's asset version (?v=...) also busts the depth map's cache
+                    version: new URL(res.url).search,
+                    entries
+                }));
+            })
+            .catch(() => null);
+    }
+
+    /**
+     * Resolve to the depth map URL for an image URL, or null
+     * Keys are image paths without extension relative to the manifest,
+     * e.g. speaker/awards-ceremony for .../images/speaker/awards-ceremony.jpg
+     */
+    function find(imageUrl) {
+        return ready.then(manifest => {
+            if (!manifest) return null;
+
+            let href;
+            try {
+                href = new URL(imageUrl, location.href);
+            } catch (e) {
+                return null;
+            }
+            if (href.origin !== manifest.base.origin || !href.pathname.startsWith(manifest.base.pathname)) {
+                return null;
+            }
+
+            const key = href.pathname.slice(manifest.base.pathname.length).replace(/\.[^/.]+$/, '');
+            // Responsive variants: awards-ceremony-640.webp -> awards-ceremony
+            const entry = manifest.entries[key] || manifest.entries[key.replace(/-\d+$/, '')];
+            if (!entry) return null;
+
+            const url = new URL(entry.path, manifest.base);
+            url.search = manifest.version;
+            return url.href;
+        });
+    }
+
+    window.DepthMaps = { find, ready };
+
+})();
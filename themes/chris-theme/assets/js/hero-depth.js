@@ -34,8 +34,8 @@
         }
     };
 
-    const isMobile = window.innerWidth <= 768;
-    const maxDisplacement = isMobile ? CONFIG.displacementScale.mobile : CONFIG.displacementScale.desktop;
+    // Set by init() for the current layout
+    let maxDisplacement = CONFIG.displacementScale.desktop;
 
     // Current and target displacement values
     let currentX = 0;
@@ -65,13 +65,9 @@
         return;
     }
 
-    // Get image sources
-    const imageSrc = heroImage.src;
-    const imageBaseName = imageSrc.replace(/\.[^/.]+$/, '');
-    const depthMapSrc = imageBaseName + '_depth_anything_2_greyscale.png';
-
     // Create PixiJS canvas container - position fixed to cover viewport during scroll
     // z-index: -1 places canvas between html background and body content
+    // It outlives rebuilds: windswept-mask.js holds on to it
     const container = document.createElement('div');
     container.className = 'hero__depth-canvas';
     container.id = 'depth-canvas-hero-coder';
@@ -87,51 +83,87 @@
     let app = null;
     let displacementSprite = null;
     let displacementFilter = null;
+    let lenisInstance = null;
+
+    // Bumped by destroy() so an initPixi() still awaiting gives up
+    let build = 0;
+
+    function init() {
+        // Removed when there's no depth map or PixiJS failed - nothing to rebuild
+        if (!container.isConnected) return null;
+
+        maxDisplacement = window.ChrisTheme.isMobile ? CONFIG.displacementScale.mobile : CONFIG.displacementScale.desktop;
+
+        observeSections();
+        return initPixi(++build);
+    }
+
+    async function initPixi(run) {
+        // src is the original the depth map was made for
+        const depthMapSrc = await DepthMaps.find(heroImage.src);
+        if (run !== build) return;
+        if (!depthMapSrc) {
+            console.warn('Hero Depth: No depth map in depth-maps.json for', heroImage.src);
+            container.remove();
+            return;
+        }
+
+        // currentSrc is the srcset candidate the browser picked for this layout
+        const imageSrc = heroImage.currentSrc || heroImage.src;
+        const pixiApp = new PIXI.Application();
+        const stale = () => {
+            if (run === build) return false;
+            pixiApp.destroy({ removeView: true }, { children: true });
+            return true;
+        };
 
-    async function initPixi() {
         try {
-            app = new PIXI.Application();
-            await app.init({
+            await pixiApp.init({
                 width: container.clientWidth,
                 height: container.clientHeight,
                 backgroundAlpha: 0,
                 resizeTo: container,
                 antialias: true,
-                resolution: window.devicePixelRatio || 1,
+                resolution: window.ChrisTheme.pixiResolution(),
                 autoDensity: true
             });
+            if (stale()) return;
+            // 0 = uncapped; the low tier holds it to 30fps
+            pixiApp.ticker.maxFPS = window.ChrisTheme.qualitySettings.maxFPS;
 
-            container.appendChild(app.canvas);
-            app.canvas.style.width = '100%';
-            app.canvas.style.height = '100%';
-            app.canvas.style.display = 'block';
+            container.appendChild(pixiApp.canvas);
+            pixiApp.canvas.style.width = '100%';
+            pixiApp.canvas.style.height = '100%';
+            pixiApp.canvas.style.display = 'block';
 
             // Load main image
             const mainTexture = await PIXI.Assets.load(imageSrc);
+            if (stale()) return;
             const mainSprite = new PIXI.Sprite(mainTexture);
 
             // Scale to cover container with buffer to prevent edge gaps on unusual aspect ratios
-            const scaleX = app.screen.width / mainSprite.width;
-            const scaleY = app.screen.height / mainSprite.height;
+            const scaleX = pixiApp.screen.width / mainSprite.width;
+            const scaleY = pixiApp.screen.height / mainSprite.height;
             const scale = Math.max(scaleX, scaleY) * 1.15; // 15% buffer for high aspect ratios
             mainSprite.scale.set(scale);
             mainSprite.anchor.set(0.5);
-            mainSprite.x = app.screen.width / 2;
-            mainSprite.y = app.screen.height / 2;
+            mainSprite.x = pixiApp.screen.width / 2;
+            mainSprite.y = pixiApp.screen.height / 2;
 
             // Load depth map
             const depthTexture = await PIXI.Assets.load(depthMapSrc);
+            if (stale()) return;
             displacementSprite = new PIXI.Sprite(depthTexture);
             displacementSprite.texture.source.addressMode = 'clamp-to-edge';
 
             // Displacement sprite must cover full screen with buffer
-            const depthScaleX = app.screen.width / displacementSprite.width;
-            const depthScaleY = app.screen.height / displacementSprite.height;
+            const depthScaleX = pixiApp.screen.width / displacementSprite.width;
+            const depthScaleY = pixiApp.screen.height / displacementSprite.height;
             const depthScale = Math.max(depthScaleX, depthScaleY) * 1.15; // Match main sprite buffer
             displacementSprite.scale.set(depthScale);
             displacementSprite.anchor.set(0.5);
-            displacementSprite.x = app.screen.width / 2;
-            displacementSprite.y = app.screen.height / 2;
+            displacementSprite.x = pixiApp.screen.width / 2;
+            displacementSprite.y = pixiApp.screen.height / 2;
 
             // Create displacement filter
             displacementFilter = new PIXI.DisplacementFilter({
@@ -140,8 +172,8 @@
             });
 
             mainSprite.filters = [displacementFilter];
-            app.stage.addChild(displacementSprite);
-            app.stage.addChild(mainSprite);
+            pixiApp.stage.addChild(displacementSprite);
+            pixiApp.stage.addChild(mainSprite);
 
             // NOW hide the original images (PixiJS canvas is ready)
             heroImage.style.visibility = 'hidden';
@@ -149,6 +181,9 @@
                 skyLayer.style.visibility = 'hidden';
             }
 
+            // Ready - destroy() owns it from here
+            app = pixiApp;
+
             // Start animation loop
             app.ticker.add(animate);
 
@@ -161,6 +196,8 @@
             // Initialize scroll-based parallax
             initScrollParallax();
 
+            updateCanvasVisibility();
+
         } catch (error) {
             console.error('Hero Depth: Failed to initialize', error);
             heroImage.style.visibility = 'visible';
@@ -188,35 +225,48 @@
     // Motion Input Integration
     // =========================================================================
 
+    function handleMotion(x, y) {
+        motionX = x;
+        motionY = y;
+    }
+
+    function handleMouseMove(e) {
+        // Use viewport-relative coordinates for consistent effect
+        motionX = (e.clientX / window.innerWidth - 0.5) * 2;
+        motionY = (e.clientY / window.innerHeight - 0.5) * 2;
+    }
+
+    function handleMouseLeave() {
+        motionX = 0;
+        motionY = 0;
+    }
+
+    // Mouse tracking works globally when over Hero or Coder sections
+    const mouseSections = [heroSection, coderSection].filter(Boolean);
+
     function initMotionInput() {
         // Check if MotionInput is available
         if (typeof MotionInput !== 'undefined') {
-            MotionInput.subscribe((x, y) => {
-                motionX = x;
-                motionY = y;
-            });
+            MotionInput.subscribe(handleMotion);
         } else {
             // Fallback to mouse-only if MotionInput not loaded
-            initMouseFallback();
+            mouseSections.forEach(section => {
+                section.addEventListener('mousemove', handleMouseMove);
+                section.addEventListener('mouseleave', handleMouseLeave);
+            });
         }
     }
 
-    function initMouseFallback() {
-        // Mouse tracking works globally when over Hero or Coder sections
-        const sections = [heroSection, coderSection].filter(Boolean);
-
-        sections.forEach(section => {
-            section.addEventListener('mousemove', (e) => {
-                // Use viewport-relative coordinates for consistent effect
-                motionX = (e.clientX / window.innerWidth - 0.5) * 2;
-                motionY = (e.clientY / window.innerHeight - 0.5) * 2;
-            });
-
-            section.addEventListener('mouseleave', () => {
-                motionX = 0;
-                motionY = 0;
-            });
+    function destroyMotionInput() {
+        if (typeof MotionInput !== 'undefined') {
+            MotionInput.unsubscribe(handleMotion);
+        }
+        mouseSections.forEach(section => {
+            section.removeEventListener('mousemove', handleMouseMove);
+            section.removeEventListener('mouseleave', handleMouseLeave);
         });
+        motionX = 0;
+        motionY = 0;
     }
 
     // =========================================================================
@@ -224,31 +274,32 @@
     // This ensures parallax effect even when quickly scrolling past
     // =========================================================================
 
-    function initScrollParallax() {
-        // Calculate scroll-based displacement offset
-        // Uses the scroll position relative to the hero/coder sections
-        function updateScrollOffset() {
-            const scrollY = window.scrollY || window.pageYOffset;
-            const viewportHeight = window.innerHeight;
-
-            // Normalize scroll position: 0 at top, increases as we scroll down
-            // Effect is strongest in first ~2 viewport heights
-            const scrollProgress = Math.min(scrollY / (viewportHeight * 2), 1);
-
-            // Apply scroll intensity to create displacement offset
-            // Positive Y = image shifts down relative to depth, creating parallax
-            scrollOffsetX = (scrollProgress - 0.5) * CONFIG.scrollIntensity.x * 2;
-            scrollOffsetY = scrollProgress * CONFIG.scrollIntensity.y;
-        }
+    // Calculate scroll-based displacement offset
+    // Uses the scroll position relative to the hero/coder sections
+    function updateScrollOffset() {
+        const scrollY = window.scrollY || window.pageYOffset;
+        const viewportHeight = window.innerHeight;
+
+        // Normalize scroll position: 0 at top, increases as we scroll down
+        // Effect is strongest in first ~2 viewport heights
+        const scrollProgress = Math.min(scrollY / (viewportHeight * 2), 1);
 
+        // Apply scroll intensity to create displacement offset
+        // Positive Y = image shifts down relative to depth, creating parallax
+        scrollOffsetX = (scrollProgress - 0.5) * CONFIG.scrollIntensity.x * 2;
+        scrollOffsetY = scrollProgress * CONFIG.scrollIntensity.y;
+    }
+
+    function initScrollParallax() {
         // Check for Lenis in window.ChrisTheme (how main.js exposes it)
-        const lenisInstance = window.ChrisTheme && window.ChrisTheme.lenis;
+        lenisInstance = window.ChrisTheme && window.ChrisTheme.lenis;
 
         if (lenisInstance && typeof lenisInstance.on === 'function') {
             // Sync with Lenis smooth scroll for best results
             lenisInstance.on('scroll', updateScrollOffset);
         } else {
             // Fallback to native scroll with passive listener for performance
+            lenisInstance = null;
             window.addEventListener('scroll', updateScrollOffset, { passive: true });
         }
 
@@ -256,6 +307,14 @@
         updateScrollOffset();
     }
 
+    function destroyScrollParallax() {
+        if (lenisInstance) {
+            lenisInstance.off('scroll', updateScrollOffset);
+            lenisInstance = null;
+        }
+        window.removeEventListener('scroll', updateScrollOffset);
+    }
+
     // =========================================================================
     // Resize handling
     // =========================================================================
@@ -292,6 +351,7 @@
 
     let heroVisible = false;
     let coderVisible = false;
+    let observer = null;
 
     function updateCanvasVisibility() {
         if (!app || !app.ticker || typeof app.ticker.start !== 'function') return;
@@ -307,33 +367,59 @@
         }
     }
 
-    const observer = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-            if (entry.target === heroSection) {
-                heroVisible = entry.isIntersecting;
-            } else if (entry.target === coderSection) {
-                coderVisible = entry.isIntersecting;
-            }
-        });
-        updateCanvasVisibility();
-    }, { threshold: 0 });
+    function observeSections() {
+        observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.target === heroSection) {
+                    heroVisible = entry.isIntersecting;
+                } else if (entry.target === coderSection) {
+                    coderVisible = entry.isIntersecting;
+                }
+            });
+            updateCanvasVisibility();
+        }, { threshold: 0 });
 
-    // Observe both Hero and Coder sections
-    if (heroSection) {
-        observer.observe(heroSection);
-    }
-    if (coderSection) {
-        observer.observe(coderSection);
+        // Observe both Hero and Coder sections
+        if (heroSection) {
+            observer.observe(heroSection);
+        }
+        if (coderSection) {
+            observer.observe(coderSection);
+        }
     }
 
     // =========================================================================
-    // Initialize
+    // Lifecycle - rebuilt by main.js when the layout crosses the breakpoint
     // =========================================================================
 
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', initPixi);
-    } else {
-        initPixi();
+    function destroy() {
+        build++;
+
+        if (observer) {
+            observer.disconnect();
+            observer = null;
+        }
+        window.removeEventListener('resize', handleResize);
+        destroyMotionInput();
+        destroyScrollParallax();
+
+        if (app) {
+            app.destroy({ removeView: true }, { children: true });
+            app = null;
+        }
+        displacementSprite = null;
+        displacementFilter = null;
+
+        heroImage.style.visibility = '';
+        if (skyLayer) {
+            skyLayer.style.visibility = '';
+        }
+        currentX = currentY = targetX = targetY = 0;
+        scrollOffsetX = scrollOffsetY = 0;
+        heroVisible = coderVisible = false;
     }
 
+    // Rebuilt by main.js when the layout or the performance tier changes
+    window.ChrisTheme.registerModule('hero-depth', { init: init, destroy: destroy, quality: true });
+
 })();
@@ -1,6 +1,6 @@
 // Inline Image Depth Effect
 // Applies PixiJS depth displacement to individual images within sections
-// Uses data-depth-map attribute to specify the depth map path
+// Applies to <img data-depth>; the depth map comes from depth-maps.json (depth-maps.js)
 // Includes scroll-based parallax like hero-depth.js
 
 (function() {
@@ -36,26 +36,63 @@
         }
     };
 
-    const isMobile = window.innerWidth <= 768;
-    const maxDisplacement = isMobile ? CONFIG.displacementScale.mobile : CONFIG.displacementScale.desktop;
+    // Set by init() for the current layout
+    let maxDisplacement = CONFIG.displacementScale.desktop;
 
     // Find all images with depth maps
-    const depthImages = document.querySelectorAll('img[data-depth-map]');
+    const depthImages = document.querySelectorAll('img[data-depth]');
     if (depthImages.length === 0) {
         return;
     }
 
-    // Initialize each depth image
-    depthImages.forEach(initDepthImage);
+    // One per image set up since init(), run by destroy()
+    let teardowns = [];
 
-    async function initDepthImage(img) {
-        const depthMapPath = img.dataset.depthMap;
-        if (!depthMapPath) return;
+    // Bumped by destroy() so an initDepthImage() still awaiting gives up
+    let build = 0;
 
+    function init() {
+        // Below the high tier the images keep their CSS scroll parallax instead
+        if (!window.ChrisTheme.qualitySettings.inlineDepth) {
+            console.log(`Inline Depth: Off at ${window.ChrisTheme.quality} quality`);
+            return;
+        }
+
+        maxDisplacement = window.ChrisTheme.isMobile ? CONFIG.displacementScale.mobile : CONFIG.displacementScale.desktop;
+
+        // Initialize each depth image
+        const run = ++build;
+        depthImages.forEach(img => initDepthImage(img, run));
+    }
+
+    function destroy() {
+        build++;
+        teardowns.forEach(teardown => teardown());
+        teardowns = [];
+    }
+
+    async function initDepthImage(img, run) {
         // Skip if already initialized or currently initializing
         if (img.dataset.depthInitialized) return;
         img.dataset.depthInitialized = 'pending';
 
+        // Everything below registers its undo here
+        const cleanups = [];
+        teardowns.push(() => {
+            cleanups.forEach(cleanup => cleanup());
+            img.dataset.depthInitialized = '';
+        });
+        const stale = () => run !== build;
+
+        // src is the original the depth map was made for (currentSrc may be a variant)
+        const depthMapPath = await DepthMaps.find(img.src);
+        if (stale()) return;
+        if (!depthMapPath) {
+            console.warn('Inline Depth: No depth map in depth-maps.json for', img.src);
+            img.dataset.depthInitialized = '';
+            return;
+        }
+
         // For lazy-loaded images that haven't started loading yet,
         // use IntersectionObserver to wait until they're in viewport
         if (img.loading === 'lazy' && !img.complete && img.naturalWidth === 0) {
@@ -67,6 +104,8 @@
                     }
                 }, { threshold: 0.1 });
                 visibilityObserver.observe(img);
+                // Never resolves once torn down
+                cleanups.push(() => visibilityObserver.disconnect());
             });
         }
 
@@ -76,6 +115,7 @@
                 img.addEventListener('load', resolve, { once: true });
                 img.addEventListener('error', resolve, { once: true });
             });
+            if (stale()) return;
         }
 
         // Skip if image failed to load
@@ -85,8 +125,10 @@
             return;
         }
 
-        const imageSrc = img.src;
-        const container = img.parentElement;
+        const imageSrc = img.currentSrc || img.src;
+        // Responsive images sit inside a <picture>; the canvas goes in its parent
+        const picture = img.closest('picture');
+        const container = picture ? picture.parentElement : img.parentElement;
 
         // Create canvas container
         const canvasContainer = document.createElement('div');
@@ -117,16 +159,35 @@
         let motionX = 0;
         let motionY = 0;
 
+        // Undone by the teardown, whichever point setup reached
+        cleanups.push(() => {
+            if (app) {
+                app.destroy({ removeView: true }, { children: true });
+                app = null;
+            }
+            canvasContainer.remove();
+            img.style.visibility = '';
+        });
+
+        const pixiApp = new PIXI.Application();
+        const abandon = () => {
+            if (!stale()) return false;
+            pixiApp.destroy({ removeView: true }, { children: true });
+            return true;
+        };
+
         try {
-            app = new PIXI.Application();
-            await app.init({
+            await pixiApp.init({
                 width: img.offsetWidth || 400,
                 height: img.offsetHeight || 300,
                 backgroundAlpha: 0,
                 antialias: true,
-                resolution: window.devicePixelRatio || 1,
+                resolution: window.ChrisTheme.pixiResolution(),
                 autoDensity: true
             });
+            if (abandon()) return;
+            app = pixiApp;
+            app.ticker.maxFPS = window.ChrisTheme.qualitySettings.maxFPS;
 
             canvasContainer.appendChild(app.canvas);
             app.canvas.style.width = '100%';
@@ -135,6 +196,7 @@
 
             // Load main image
             const mainTexture = await PIXI.Assets.load(imageSrc);
+            if (stale()) return;
             const mainSprite = new PIXI.Sprite(mainTexture);
 
             // Scale to cover with buffer to prevent edge gaps
@@ -148,6 +210,7 @@
 
             // Load depth map
             const depthTexture = await PIXI.Assets.load(depthMapPath);
+            if (stale()) return;
             const displacementSprite = new PIXI.Sprite(depthTexture);
             displacementSprite.texture.source.addressMode = 'clamp-to-edge';
 
@@ -191,23 +254,30 @@
             });
 
             // Mouse tracking on parent container
-            container.addEventListener('mousemove', (e) => {
+            const handleMouseMove = (e) => {
                 const rect = container.getBoundingClientRect();
                 motionX = ((e.clientX - rect.left) / rect.width - 0.5) * 2;
                 motionY = ((e.clientY - rect.top) / rect.height - 0.5) * 2;
-            });
-
-            container.addEventListener('mouseleave', () => {
+            };
+            const handleMouseLeave = () => {
                 motionX = 0;
                 motionY = 0;
+            };
+            container.addEventListener('mousemove', handleMouseMove);
+            container.addEventListener('mouseleave', handleMouseLeave);
+            cleanups.push(() => {
+                container.removeEventListener('mousemove', handleMouseMove);
+                container.removeEventListener('mouseleave', handleMouseLeave);
             });
 
             // MotionInput integration if available
             if (typeof MotionInput !== 'undefined') {
-                MotionInput.subscribe((x, y) => {
+                const handleMotion = (x, y) => {
                     motionX = x * 0.5;
                     motionY = y * 0.5;
-                });
+                };
+                MotionInput.subscribe(handleMotion);
+                cleanups.push(() => MotionInput.unsubscribe(handleMotion));
             }
 
             // Scroll-based parallax (like hero-depth.js)
@@ -231,8 +301,10 @@
 
             if (lenisInstance && typeof lenisInstance.on === 'function') {
                 lenisInstance.on('scroll', updateScrollOffset);
+                cleanups.push(() => lenisInstance.off('scroll', updateScrollOffset));
             } else {
                 window.addEventListener('scroll', updateScrollOffset, { passive: true });
+                cleanups.push(() => window.removeEventListener('scroll', updateScrollOffset));
             }
 
             // Initial calculation
@@ -251,6 +323,7 @@
             }, { threshold: 0.1 });
 
             observer.observe(container);
+            cleanups.push(() => observer.disconnect());
 
             // Handle resize
             const resizeObserver = new ResizeObserver(() => {
@@ -275,6 +348,7 @@
             });
 
             resizeObserver.observe(container);
+            cleanups.push(() => resizeObserver.disconnect());
 
             // Mark as successfully initialized
             img.dataset.depthInitialized = 'true';
@@ -288,4 +362,7 @@
         }
     }
 
+    // Rebuilt by main.js when the layout or the performance tier changes
+    window.ChrisTheme.registerModule('inline-depth', { init: init, destroy: destroy, quality: true });
+
 })();
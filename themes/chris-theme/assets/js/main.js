@@ -6,15 +6,281 @@
 
     // Check for reduced motion preference
     const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-    const isMobile = window.innerWidth <= 768;
+
+    // Mobile layout breakpoint - matches the CSS; read it live, it changes on
+    // resize and orientation change
+    const mobileQuery = window.matchMedia('(max-width: 768px)');
+
+    // Pinned scenes added by other scripts (see SCENE CHOREOGRAPHY REGISTRY)
+    const registeredScenes = [];
 
     // Store references globally for scene scripts to access
     window.ChrisTheme = {
         lenis: null,
         prefersReducedMotion: prefersReducedMotion,
         gsap: typeof gsap !== 'undefined' ? gsap : null,
-        ScrollTrigger: typeof ScrollTrigger !== 'undefined' ? ScrollTrigger : null
+        ScrollTrigger: typeof ScrollTrigger !== 'undefined' ? ScrollTrigger : null,
+        get isMobile() { return mobileQuery.matches; },
+        get breakpoint() { return mobileQuery.matches ? 'mobile' : 'desktop'; },
+        scenes: {},
+        registerScene: (definition) => {
+            registeredScenes.push(definition);
+        },
+        registerModule: registerModule,
+        get quality() { return currentQuality(); },
+        get qualitySettings() { return QUALITY_SETTINGS[currentQuality()]; },
+        setQuality: setQuality,
+        pixiResolution: pixiResolution
+    };
+
+    // ========================================
+    // MODULE LIFECYCLE + BREAKPOINT MANAGER
+    // ========================================
+    // Anything that depends on the layout (pin distances, displacement scales,
+    // PIXI canvases, listeners) registers as a module:
+    //
+    //   window.ChrisTheme.registerModule('hero-depth', { init, destroy });
+    //
+    // Modules registered before DOMContentLoaded start with main.js's init;
+    // later ones start straight away. When the viewport crosses the mobile
+    // breakpoint every module is destroyed (last registered first) and
+    // initialised again, then ScrollTrigger re-sorts and refreshes.
+    // destroy() must undo all of init(): ScrollTriggers, PIXI apps, listeners,
+    // observers and rAF loops - including from an init() still awaiting.
+    // Read the layout from window.ChrisTheme.isMobile, never cache it at load.
+    // Modules registered with quality: true are also rebuilt when the
+    // performance tier changes (see PERFORMANCE TIERS).
+    const modules = [];
+    let modulesStarted = false;
+    let builtBreakpoint = null;
+    let builtQuality = null;
+    let rebuildTimer = null;
+
+    function registerModule(name, hooks) {
+        const module = { name: name, init: hooks.init, destroy: hooks.destroy, quality: !!hooks.quality, active: false };
+        modules.push(module);
+        if (modulesStarted) {
+            startModule(module);
+        }
+    }
+
+    function startModule(module) {
+        try {
+            const started = module.init();
+            if (started && typeof started.catch === 'function') {
+                started.catch(err => console.error(`Chris Theme: ${module.name} failed to initialize`, err));
+            }
+            module.active = true;
+        } catch (err) {
+            console.error(`Chris Theme: ${module.name} failed to initialize`, err);
+        }
+    }
+
+    function stopModule(module) {
+        if (!module.active) return;
+        module.active = false;
+        try {
+            module.destroy();
+        } catch (err) {
+            console.error(`Chris Theme: ${module.name} failed to tear down`, err);
+        }
+    }
+
+    function startModules() {
+        modulesStarted = true;
+        builtBreakpoint = window.ChrisTheme.breakpoint;
+        builtQuality = currentQuality();
+        modules.forEach(startModule);
+    }
+
+    function rebuild(affected, reason) {
+        affected.slice().reverse().forEach(stopModule);
+        affected.forEach(startModule);
+
+        // Rebuilt pins were created last; put triggers back in page order
+        if (typeof ScrollTrigger !== 'undefined') {
+            ScrollTrigger.sort();
+            ScrollTrigger.refresh();
+        }
+        console.log(`Chris Theme: Rebuilt ${affected.length} module(s) for ${reason}`);
+    }
+
+    function rebuildModules() {
+        if (!modulesStarted || window.ChrisTheme.breakpoint === builtBreakpoint) return;
+        builtBreakpoint = window.ChrisTheme.breakpoint;
+        // Everything is rebuilt, at the current tier too
+        builtQuality = currentQuality();
+        rebuild(modules, `${builtBreakpoint} layout`);
+    }
+
+    function rebuildForQuality() {
+        if (!modulesStarted || currentQuality() === builtQuality) return;
+        builtQuality = currentQuality();
+        rebuild(modules.filter(module => module.quality), `${builtQuality} quality`);
+    }
+
+    // Debounced - dragging a window edge can cross the breakpoint back and forth
+    mobileQuery.addEventListener('change', () => {
+        clearTimeout(rebuildTimer);
+        rebuildTimer = setTimeout(rebuildModules, 200);
+    });
+
+    // ========================================
+    // PERFORMANCE TIERS
+    // ========================================
+    // The depth canvases, camera optical flow and windswept mask all run every
+    // frame; low-end laptops can't keep up with all of them. Each tier turns
+    // effects down a step:
+    //   high    Everything, PIXI canvases at the device pixel ratio (up to 2x)
+    //   medium  PIXI at 1x; inline depth images fall back to their CSS scroll parallax
+    //   low     PIXI at 0.75x and 30fps; no camera optical flow (mouse only);
+    //           the windswept mask edge stops blowing
+    // Effects read window.ChrisTheme.qualitySettings when they init and
+    // register with quality: true to be rebuilt on a change.
+    //
+    // A frame-time monitor starts at high (medium on hardware that reports
+    // two cores or 2GB) and steps down a tier whenever frames stay slow. It
+    // never steps back up within a page view, and stops sampling once enough
+    // samples in a row keep to the budget. The reader's choice from
+    // ChrisTheme.setQuality (the footer's Effects select) overrides it and is
+    // kept in localStorage.
+    const QUALITY_TIERS = ['high', 'medium', 'low'];
+    const QUALITY_SETTINGS = {
+        high: { pixelRatio: 2, maxFPS: 0, inlineDepth: true, cameraFlow: true, animatedMask: true },
+        medium: { pixelRatio: 1, maxFPS: 0, inlineDepth: false, cameraFlow: true, animatedMask: true },
+        low: { pixelRatio: 0.75, maxFPS: 30, inlineDepth: false, cameraFlow: false, animatedMask: false }
     };
+    const QUALITY_STORAGE_KEY = 'chris-theme-quality';
+
+    // Mean frame time over a sample that counts as stuttering (~40fps)
+    const FRAME_BUDGET = 1000 / 40;
+    const FRAME_SAMPLES = 120;
+    // Samples in a row within budget before the monitor stops (~30s at 60fps)
+    const STEADY_SAMPLES = 15;
+    // Frames ignored at load and after each step down - rebuilding stutters by itself
+    const SETTLE_FRAMES = 90;
+
+    let detectedQuality = (navigator.hardwareConcurrency <= 2 || navigator.deviceMemory <= 2) ? 'medium' : 'high';
+    let qualityOverride = readQualityOverride();
+    let frameMonitorId = null;
+
+    function readQualityOverride() {
+        try {
+            const stored = localStorage.getItem(QUALITY_STORAGE_KEY);
+            return QUALITY_SETTINGS[stored] ? stored : null;
+        } catch (error) {
+            // Storage blocked (private mode, cookies off)
+            return null;
+        }
+    }
+
+    function currentQuality() {
+        return qualityOverride || detectedQuality;
+    }
+
+    // Resolution for a PIXI app at the current tier
+    function pixiResolution() {
+        return Math.min(window.devicePixelRatio || 1, QUALITY_SETTINGS[currentQuality()].pixelRatio);
+    }
+
+    // 'high' | 'medium' | 'low' to pin a tier, 'auto' to hand back to the monitor
+    function setQuality(tier) {
+        if (tier !== 'auto' && !QUALITY_SETTINGS[tier]) {
+            console.warn(`Chris Theme: Unknown quality tier "${tier}"`);
+            return;
+        }
+        qualityOverride = tier === 'auto' ? null : tier;
+        try {
+            if (qualityOverride) {
+                localStorage.setItem(QUALITY_STORAGE_KEY, qualityOverride);
+            } else {
+                localStorage.removeItem(QUALITY_STORAGE_KEY);
+            }
+        } catch (error) {
+            // Applies to this page view only
+        }
+
+        if (!qualityOverride) startFrameMonitor();
+        rebuildForQuality();
+        updateQualityControls();
+    }
+
+    function startFrameMonitor() {
+        if (frameMonitorId) return;
+
+        let last = performance.now();
+        let settle = SETTLE_FRAMES;
+        let samples = [];
+        let steady = 0;
+
+        const sample = (now) => {
+            // Nothing left to decide
+            if (qualityOverride || detectedQuality === 'low') {
+                frameMonitorId = null;
+                return;
+            }
+
+            const delta = now - last;
+            last = now;
+            // Long gaps are a hidden tab or a one-off hitch, not the frame rate
+            if (settle > 0) {
+                settle--;
+            } else if (delta < 250) {
+                samples.push(delta);
+            }
+
+            if (samples.length === FRAME_SAMPLES) {
+                const mean = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+                samples = [];
+                if (mean > FRAME_BUDGET) {
+                    detectedQuality = QUALITY_TIERS[QUALITY_TIERS.indexOf(detectedQuality) + 1];
+                    console.log(`Chris Theme: Frames averaging ${mean.toFixed(1)}ms - effects down to ${detectedQuality} quality`);
+                    settle = SETTLE_FRAMES;
+                    steady = 0;
+                    rebuildForQuality();
+                    updateQualityControls();
+                } else if (++steady === STEADY_SAMPLES) {
+                    // This tier keeps up - stop paying for the sampling
+                    frameMonitorId = null;
+                    return;
+                }
+            }
+
+            frameMonitorId = requestAnimationFrame(sample);
+        };
+        frameMonitorId = requestAnimationFrame(sample);
+    }
+
+    // <select data-quality-select> with auto/high/medium/low options
+    function updateQualityControls() {
+        document.querySelectorAll('[data-quality-select]').forEach(select => {
+            select.value = qualityOverride || 'auto';
+            const auto = select.querySelector('option[value="auto"]');
+            if (auto) auto.textContent = `Auto (${detectedQuality})`;
+        });
+    }
+
+    function initQualityControls() {
+        document.querySelectorAll('[data-quality-select]').forEach(select => {
+            select.addEventListener('change', () => setQuality(select.value));
+        });
+        updateQualityControls();
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initQualityControls);
+    } else {
+        initQualityControls();
+    }
+
+    // Frames while the page is still loading say nothing about the effects
+    if (!qualityOverride) {
+        if (document.readyState === 'complete') {
+            startFrameMonitor();
+        } else {
+            window.addEventListener('load', startFrameMonitor, { once: true });
+        }
+    }
 
     // Skip smooth scroll initialization if user prefers reduced motion
     if (prefersReducedMotion) {
@@ -28,10 +294,12 @@
             document.addEventListener('DOMContentLoaded', () => {
                 initScrollParallax();
                 initAnchorNavigation();
+                startModules();
             });
         } else {
             initScrollParallax();
             initAnchorNavigation();
+            startModules();
         }
         return;
     }
@@ -187,603 +455,457 @@
     }
 
     // ========================================
-    // SCROLL-CAPTURED CHOREOGRAPHY SYSTEM
+    // SCENE CHOREOGRAPHY REGISTRY
     // ========================================
-    // This is the FOUNDATION for all motion work.
-    // Key concepts:
-    //   - pin: true = page doesn't move during sequence
-    //   - scrub: 1 = scroll position drives animation progress
-    //   - Timeline = choreographed sequence of element animations
+    // Pinned, scroll-captured sections are declared as data and built by one
+    // engine (buildScene). Key concepts:
+    //   - pin: true = page doesn't move during the sequence
+    //   - scrub: true = scroll position drives timeline progress
+    //   - phases = choreographed element animations at fractions of the pin
+    //
+    // A scene is found by its data-scene attribute (<section data-scene="coder">)
+    // and declares:
+    //   pin       Scroll distance in px the section stays pinned for
+    //   elements  Name -> selector within the section ('section' is the section itself)
+    //   create    Name -> { className, parent: 'body', html } elements to add if missing
+    //   required  Element names the scene can't run without
+    //   vars      Values phases and states can use: { y: vars => vars.scrollUp }
+    //   initial   Name -> state at progress 0
+    //   phases    [{ target, at, duration, to, ease, stagger, onComplete }]
+    //   exit      Name -> overrides for the state after leaving forward
+    //   reveal    Progress where everything is shown; #id deep links land here (default 0)
+    //   layers    { selector, yPercent } parallax layers moved by data-parallax-speed
+    //   next      { selector, at, rearm, duration, catchUp } scroll on to the next section
+    //   resetBelow  Progress under which the initial state is forced
+    //   onEnter/onLeave/onEnterBack/onLeaveBack  Extra ScrollTrigger callbacks
+    //   mobile    Overrides at <= 768px, merged one level deep ({ pin, vars })
+    // data-scene-pin / data-scene-pin-mobile on the section override the pin.
+    //
+    // Other scripts add scenes with ChrisTheme.registerScene(definition) before
+    // DOMContentLoaded; built scenes are on ChrisTheme.scenes[id], with their
+    // elements and resolved states ({ initial, exit }).
+    //
+    // 🚨 SCROLL-BACK: the engine enforces what the old hand-built timelines kept
+    // getting wrong when scrolling back past a scene (content stayed hidden):
+    //   1. scrub: true, never a number - smoothing desyncs on rapid scroll
+    //   2. every phase is a fromTo() whose start is the state the previous
+    //      phases left - to() guesses its start on reversal
+    //   3. onLeaveBack resets the initial state, onLeave sets the exit state
+    //      (the end of every phase, plus `exit`)
+    // Phases must not animate inside `resetBelow`, which snaps to `initial`.
     //
     // See LANDING_PAGE_SKETCH.md "CRITICAL: Scroll-Captured Choreography"
 
-    function initHeroParallax() {
-        const hero = document.querySelector('.hero--parallax');
-        if (!hero || typeof gsap === 'undefined' || typeof ScrollTrigger === 'undefined') {
-            showHeroContent();
-            return;
+    const SCENES = [
+        // Hero: content is there on load, holds, then peels away upwards
+        //   0-40%:   Hold - user reads
+        //   40-45%:  Scroll indicator fades out
+        //   45-75%:  Hero clips away (clip-path "peel")
+        {
+            id: 'hero',
+            pin: 800,
+            elements: {
+                title: '.hero__title',
+                subtitle: '.hero__subtitle',
+                cta: '.hero__cta',
+                scrollIndicator: '.hero__scroll-indicator'
+            },
+            initial: {
+                section: { clipPath: 'inset(0 0 0% 0)' },
+                title: { opacity: 1, y: 0 },
+                subtitle: { opacity: 1, y: 0 },
+                cta: { opacity: 1, y: 0 },
+                scrollIndicator: { opacity: 1, y: 0 }
+            },
+            phases: [
+                { target: 'scrollIndicator', at: 0.40, duration: 0.05, ease: 'power2.in', to: { opacity: 0 } },
+                { target: 'section', at: 0.45, duration: 0.30, ease: 'power2.inOut', to: { clipPath: 'inset(0 0 100% 0)' } }
+            ],
+            // Rapid scrolling from the bottom can skip onLeaveBack
+            resetBelow: 0.05,
+            reveal: 0,
+            layers: { selector: '.hero__layer[data-parallax-speed]', yPercent: -30 },
+            mobile: {
+                layers: { yPercent: -15 }
+            },
+            fallback: showHeroContent
+        },
+
+        // Coder
+        //   0-20%:   Header slides in from left
+        //   10-40%:  Content elements slide in from right (staggered)
+        //   20-30%:  White overlay fades in (text readability)
+        //   40-70%:  Content scrolls up to reveal GitHub activity (desktop)
+        //   85-90%:  White overlay fades out
+        //   90-100%: Content exits, ready for the windswept transition
+        {
+            id: 'coder',
+            pin: 1500,
+            elements: {
+                header: '.scene__header',
+                content: '.coder__content',
+                contentElements: '.coder__keyboard, .coder__code, .coder__github'
+            },
+            required: ['header', 'content'],
+            // Appended to body so the section's overflow:hidden and pin-spacer don't clip it
+            create: {
+                overlay: { className: 'coder__overlay', parent: 'body' }
+            },
+            vars: { scrollUp: -120 },
+            initial: {
+                header: { opacity: 0, x: -80, y: 0 },
+                content: { opacity: 1, y: 0 },
+                contentElements: { opacity: 0, x: 100 },
+                overlay: { opacity: 0 }
+            },
+            phases: [
+                { target: 'header', at: 0, duration: 0.20, ease: 'power2.out', to: { opacity: 1, x: 0 } },
+                { target: 'contentElements', at: 0.10, duration: 0.25, ease: 'power2.out', stagger: 0.05, to: { opacity: 1, x: 0 } },
+                { target: 'overlay', at: 0.20, duration: 0.10, ease: 'power2.out', to: { opacity: 0.5 } },
+                { target: ['content', 'header'], at: 0.40, duration: 0.30, ease: 'power2.inOut', to: { y: vars => vars.scrollUp } },
+                { target: 'overlay', at: 0.85, duration: 0.05, ease: 'power2.in', to: { opacity: 0 } },
+                { target: 'header', at: 0.90, duration: 0.10, ease: 'power2.in', to: { opacity: 0, x: -120, y: vars => vars.scrollUp - 50 } },
+                { target: 'content', at: 0.90, duration: 0.10, ease: 'power2.in', to: { opacity: 0, y: vars => vars.scrollUp - 80 } }
+            ],
+            exit: {
+                contentElements: { opacity: 0 }
+            },
+            // Everything in and scrolled up to the GitHub activity
+            reveal: 0.75,
+            // Mobile content is simplified and already shows GitHub
+            mobile: {
+                pin: 1000,
+                vars: { scrollUp: 0 }
+            }
+        },
+
+        // Claude Codes
+        //   0-5%:    Dark overlay fades in (readability)
+        //   0-8%:    Header fades in
+        //   8-30%:   Terminals spawn with stagger, then start typing
+        //   28-35%:  CTA appears
+        //   55-75%:  Header, terminals and CTA scroll up together
+        //   75-80%:  Content fades out
+        //   80-95%:  CRT shutdown effect
+        //   90%:     Kick on to Speaker
+        {
+            id: 'claude-codes',
+            pin: 2500,
+            elements: {
+                header: '.scene__header',
+                terminalGrid: '.terminal-grid',
+                terminals: '.terminal',
+                cta: '.claude-codes__cta',
+                crtLine: '.crt-shutdown-overlay .crt-line'
+            },
+            required: ['header', 'terminalGrid'],
+            create: {
+                overlay: { className: 'claude-codes__overlay' },
+                crt: { className: 'crt-shutdown-overlay', html: '<div class="crt-line"></div>' }
+            },
+            vars: { scrollUp: -400 },
+            initial: {
+                overlay: { opacity: 0 },
+                crt: { opacity: 0 },
+                crtLine: { scaleY: 1 },
+                header: { opacity: 0, y: 30 },
+                terminalGrid: { y: 0 },
+                terminals: { opacity: 0, scale: 0.8, y: 50 },
+                cta: { opacity: 0, y: 20 }
+            },
+            phases: [
+                { target: 'overlay', at: 0, duration: 0.05, ease: 'power2.out', to: { opacity: 1 } },
+                { target: 'header', at: 0, duration: 0.08, ease: 'power2.out', to: { opacity: 1, y: 0 } },
+                // The section is pinned, so typing can't wait for its own ScrollTrigger
+                { target: 'terminals', at: 0.08, duration: 0.20, ease: 'back.out(1.4)', stagger: 0.02, to: { opacity: 1, scale: 1, y: 0 }, onComplete: themeHook('startChaosTyping') },
+                { target: 'cta', at: 0.28, duration: 0.07, ease: 'power2.out', to: { opacity: 1, y: 0 } },
+                { target: ['terminalGrid', 'header', 'cta'], at: 0.55, duration: 0.20, ease: 'power1.inOut', to: { y: vars => vars.scrollUp } },
+                { target: ['header', 'cta'], at: 0.75, duration: 0.05, ease: 'power2.in', to: { opacity: 0 } },
+                { target: 'terminals', at: 0.75, duration: 0.05, ease: 'power2.in', stagger: 0.005, to: { opacity: 0, scale: 0.8 } },
+                { target: 'overlay', at: 0.80, duration: 0.03, ease: 'power2.in', to: { opacity: 0 } },
+                { target: 'crt', at: 0.80, duration: 0.03, to: { opacity: 1 } },
+                { target: 'crtLine', at: 0.80, duration: 0.12, ease: 'power2.in', to: { scaleY: 0 } },
+                { target: 'crt', at: 0.95, duration: 0.05, to: { opacity: 0 } }
+            ],
+            // Terminals typing and the CTA in, before the scroll-up
+            reveal: 0.45,
+            // CRT "turns off" and launches you forward
+            next: { selector: '#speaker', at: 0.90, rearm: 0.85, duration: 0.6, catchUp: 0.3 },
+            onLeave: themeHook('pauseChaosTyping'),
+            onEnterBack: themeHook('resumeChaosTyping'),
+            onLeaveBack: themeHook('pauseChaosTyping'),
+            mobile: {
+                pin: 1500
+            }
         }
+    ];
 
-        // Elements for choreography
-        const heroTitle = hero.querySelector('.hero__title');
-        const heroSubtitle = hero.querySelector('.hero__subtitle');
-        const heroCta = hero.querySelector('.hero__cta');
-        const heroContent = hero.querySelector('.hero__content');
-        const scrollIndicator = hero.querySelector('.hero__scroll-indicator');
-        const layers = hero.querySelectorAll('.hero__layer[data-parallax-speed]');
-
-        // Parallax speed multiplier (reduce on mobile for better UX)
-        const parallaxMultiplier = isMobile ? 0.5 : 1;
-
-        // Set initial states for choreographed elements
-        gsap.set([heroTitle, heroSubtitle, heroCta], {
-            opacity: 0,
-            y: 50
-        });
-        if (scrollIndicator) {
-            gsap.set(scrollIndicator, { opacity: 0, y: 20 });
-        }
-
-        // ========================================
-        // PINNED HERO CHOREOGRAPHY TIMELINE
-        // ========================================
-        // User scrolls ~2000px but hero stays PINNED
-        // Scroll progress (0-100%) maps to animation phases:
-        //   0-15%:  Title fades/slides in
-        //   15-30%: Subtitle fades/slides in
-        //   30-45%: CTA buttons fade/slide in
-        //   45-55%: Scroll indicator appears, hold moment
-        //   55-75%: Content holds (user reads)
-        //   75-100%: Hero slides UP and OUT, unpin
-
-        // Set hero content visible IMMEDIATELY on load
-        // User wants content "there on load" - no entry animation needed
-        gsap.set([heroTitle, heroSubtitle, heroCta], {
-            opacity: 1,
-            y: 0
-        });
-        if (scrollIndicator) {
-            gsap.set(scrollIndicator, { opacity: 1, y: 0 });
-        }
-
-        // ═══════════════════════════════════════════════════════════════════════════
-        // 🚨 CRITICAL FIX: HERO SCROLL-BACK VISIBILITY 🚨
-        // ═══════════════════════════════════════════════════════════════════════════
-        // This fix has been reverted multiple times. DO NOT CHANGE without understanding:
-        //
-        // PROBLEM: When user scrolls down past Hero, then scrolls back to top,
-        //          the "Chris Dilger" content stays hidden (clipPath: inset(0 0 100% 0))
-        //
-        // ROOT CAUSES (all three must be addressed):
-        //
-        // 1. scrub: true (NOT scrub: 1)
-        //    - scrub: 1 adds 1-second smoothing delay, causing desync on rapid scroll
-        //    - scrub: true = immediate sync, reliable reversal
-        //    - ❌ WRONG: scrub: 1   ✅ CORRECT: scrub: true
-        //
-        // 2. onLeaveBack callback (REQUIRED)
-        //    - Without this, GSAP doesn't reset clipPath when scrolling back past trigger
-        //    - This callback explicitly resets hero to visible state
-        //    - ❌ WRONG: no onLeaveBack   ✅ CORRECT: onLeaveBack resets clipPath
-        //
-        // 3. fromTo() with explicit start value (NOT to())
-        //    - to() only defines end state; GSAP guesses start state on reversal
-        //    - fromTo() explicitly defines both states for reliable reversal
-        //    - ❌ WRONG: .to(hero, {clipPath: '...'})
-        //    - ✅ CORRECT: .fromTo(hero, {clipPath: '0%'}, {clipPath: '100%'})
-        //
-        // TEST: Scroll to bottom of page, then scroll back to top.
-        //       "Chris Dilger" title MUST be visible.
-        // ═══════════════════════════════════════════════════════════════════════════
-
-        // Set explicit initial clipPath so GSAP can properly reverse
-        gsap.set(hero, { clipPath: 'inset(0 0 0% 0)' });
-
-        const heroTimeline = gsap.timeline({
-            scrollTrigger: {
-                trigger: hero,
-                start: 'top top',
-                end: '+=800',   // Compressed: 800px of scroll (was 2000)
-                pin: true,      // 🔥 NON-NEGOTIABLE: Page stays fixed
-
-                // 🚨 CRITICAL: Must be `true`, NOT a number like `1`
-                // scrub: 1 adds smoothing delay that breaks scroll-back reversal
-                scrub: true,
-
-                anticipatePin: 1, // Smoother pin initiation
-                invalidateOnRefresh: true, // Recalculate on resize/refresh
-
-                // 🚨 CRITICAL: onUpdate ensures hero is visible when scrolling back
-                // This handles edge cases where onLeaveBack might not fire correctly
-                // (e.g., rapid scrolling from bottom of page back to top)
-                onUpdate: (self) => {
-                    // When progress is near 0 (at or near start), ensure hero is fully visible
-                    if (self.progress < 0.05) {
-                        gsap.set(hero, { clipPath: 'inset(0 0 0% 0)' });
-                        if (scrollIndicator) {
-                            gsap.set(scrollIndicator, { opacity: 1 });
-                        }
-                    }
-                },
-
-                // 🚨 CRITICAL: This callback is REQUIRED for scroll-back to work
-                // Without it, hero stays clipped (hidden) when returning to top
-                onLeaveBack: () => {
-                    gsap.set(hero, { clipPath: 'inset(0 0 0% 0)' });
-                    if (scrollIndicator) {
-                        gsap.set(scrollIndicator, { opacity: 1 });
-                    }
-                },
+    // Call a method another script put on window.ChrisTheme, if it's there
+    function themeHook(name) {
+        return () => {
+            if (typeof window.ChrisTheme[name] === 'function') {
+                window.ChrisTheme[name]();
             }
-        });
+        };
+    }
 
-        // Content is already visible - brief hold (40% = 320px)
-        // User can read, then we get moving
-        heroTimeline.to({}, { duration: 0.40 });
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
 
-        // Scroll indicator fades out (65% - 70% = 1300-1400px)
-        if (scrollIndicator) {
-            heroTimeline.to(scrollIndicator, {
-                opacity: 0,
-                duration: 0.05,
-                ease: 'power2.in'
+    // Definition with its mobile overrides and data-scene-pin* attributes applied
+    function resolveScene(definition, section) {
+        const scene = { ...definition };
+        const isMobile = window.ChrisTheme.isMobile;
+        if (isMobile && definition.mobile) {
+            Object.entries(definition.mobile).forEach(([key, value]) => {
+                scene[key] = isPlainObject(value) && isPlainObject(scene[key]) ? { ...scene[key], ...value } : value;
             });
         }
 
-        // Hero content slides UP and exits (70% - 100% = 1400-2000px)
-        // Using clip-path for a "peel away" effect
-        //
-        // 🚨 CRITICAL: Must use fromTo() NOT to()
-        // to() only defines end state; GSAP guesses start on reversal (often wrong)
-        // fromTo() explicitly defines both states = reliable reversal
-        heroTimeline.fromTo(hero,
-            { clipPath: 'inset(0 0 0% 0)' },   // Start: fully visible
-            { clipPath: 'inset(0 0 100% 0)', duration: 0.30, ease: 'power2.inOut' }  // End: clipped away
-        );
-
-        // ========================================
-        // PARALLAX LAYERS (runs alongside main timeline)
-        // ========================================
-        // Layers move at different speeds during the pinned sequence
-        layers.forEach(layer => {
-            const speed = parseFloat(layer.dataset.parallaxSpeed) * parallaxMultiplier;
-            if (speed === 0) return;
-
-            gsap.to(layer, {
-                yPercent: speed * -30,
-                ease: 'none',
-                scrollTrigger: {
-                    trigger: hero,
-                    start: 'top top',
-                    end: '+=800',  // Match compressed hero timeline
-                    scrub: true,
-                }
-            });
-        });
+        const pin = parseFloat(section.dataset.scenePin);
+        const mobilePin = parseFloat(section.dataset.scenePinMobile);
+        if (pin > 0 && !(isMobile && definition.mobile && definition.mobile.pin)) {
+            scene.pin = pin;
+        }
+        if (isMobile && mobilePin > 0) {
+            scene.pin = mobilePin;
+        }
+        return scene;
+    }
 
-        console.log('Chris Theme: Hero scroll-captured choreography initialized (pin: true, scrub: 1)');
+    // Phase and state values may be functions of the scene's vars
+    function resolveValues(values, vars) {
+        const resolved = {};
+        Object.entries(values).forEach(([prop, value]) => {
+            resolved[prop] = typeof value === 'function' ? value(vars) : value;
+        });
+        return resolved;
     }
 
-    // ========================================
-    // CODER SECTION CHOREOGRAPHY (PINNED)
-    // ========================================
-    // Like Hero, this section is PINNED - page doesn't scroll, scroll drives animation.
-    // Timeline:
-    //   0-20%:  Header slides in from left
-    //   10-40%: Content elements slide in from right (staggered)
-    //   20-30%: White overlay fades in (for text readability)
-    //   40-65%: Hold - user reads content
-    //   65-70%: White overlay fades out
-    //   70-100%: Content exits, preparing for windswept transition
-    function initCoderChoreography() {
-        const coderSection = document.querySelector('.scene--coder');
-        if (!coderSection || typeof gsap === 'undefined' || typeof ScrollTrigger === 'undefined') {
-            return;
+    function createSceneElement(section, { className, parent, html }) {
+        const root = parent === 'body' ? document.body : section;
+        let element = root.querySelector(`.${className}`);
+        if (!element) {
+            element = document.createElement('div');
+            element.className = className;
+            if (html) element.innerHTML = html;
+            root.appendChild(element);
         }
+        return element;
+    }
 
-        const header = coderSection.querySelector('.scene__header');
-        const content = coderSection.querySelector('.coder__content');
+    // Build one scene's pinned timeline; returns null when required elements are missing
+    function buildScene(definition, section) {
+        const scene = resolveScene(definition, section);
+        const vars = scene.vars || {};
 
-        if (!header || !content) {
-            return;
+        const elements = {};
+        const queryElements = () => {
+            elements.section = [section];
+            Object.entries(scene.elements || {}).forEach(([name, selector]) => {
+                elements[name] = Array.from(section.querySelectorAll(selector));
+            });
+        };
+        queryElements();
+        if ((scene.required || []).some(name => !elements[name] || elements[name].length === 0)) {
+            return null;
         }
 
-        // Get all content elements
-        const keyboard = content.querySelector('.coder__keyboard');
-        const codeWindow = content.querySelector('.coder__code');
-        const github = content.querySelector('.coder__github');
-        const contentElements = [keyboard, codeWindow, github].filter(Boolean);
+        // Created elements can hold ones the scene animates (the CRT line)
+        Object.entries(scene.create || {}).forEach(([name, spec]) => {
+            elements[name] = [createSceneElement(section, spec)];
+        });
+        queryElements();
 
-        // Set initial states (hidden)
-        gsap.set(header, { opacity: 0, x: -80, y: 0 });
-        gsap.set(content, { y: 0, opacity: 1 }); // Content container for scroll-up
-        gsap.set(contentElements, { opacity: 0, x: 100 });
+        const targetsOf = name => (elements[name] && elements[name].length > 0 ? elements[name] : null);
+        const setStates = states => {
+            Object.entries(states).forEach(([name, values]) => {
+                const targets = targetsOf(name);
+                if (targets) gsap.set(targets, values);
+            });
+        };
 
-        // Create white overlay for readability (like Claude Codes dark overlay)
-        // Append to body to avoid clipping by section's overflow:hidden and ScrollTrigger pin-spacer
-        let whiteOverlay = document.querySelector('.coder__overlay');
-        if (!whiteOverlay) {
-            whiteOverlay = document.createElement('div');
-            whiteOverlay.className = 'coder__overlay';
-            document.body.appendChild(whiteOverlay);
-        }
-        gsap.set(whiteOverlay, { opacity: 0 });
+        const initial = {};
+        Object.entries(scene.initial || {}).forEach(([name, values]) => {
+            initial[name] = resolveValues(values, vars);
+        });
+
+        // Walk the phases in time order so each starts from where the earlier
+        // ones left its elements; what's left at the end is the exit state
+        const current = {};
+        Object.entries(initial).forEach(([name, values]) => {
+            current[name] = { ...values };
+        });
+        const tweens = [];
+        (scene.phases || [])
+            .map((phase, index) => ({ phase, index }))
+            .sort((a, b) => a.phase.at - b.phase.at || a.index - b.index)
+            .forEach(({ phase }) => {
+                const to = resolveValues(phase.to, vars);
+                [].concat(phase.target).forEach(name => {
+                    const targets = targetsOf(name);
+                    if (!targets) return;
+
+                    const state = current[name] || (current[name] = {});
+                    const from = {};
+                    Object.keys(to).forEach(prop => {
+                        if (!(prop in state)) {
+                            console.warn(`Chris Theme: ${scene.id} animates ${name} ${prop} with no initial value`);
+                            state[prop] = gsap.getProperty(targets[0], prop);
+                        }
+                        from[prop] = state[prop];
+                    });
+                    tweens.push({ targets, from, to, phase });
+                    Object.assign(state, to);
+                });
+            });
+
+        const exit = current;
+        Object.entries(scene.exit || {}).forEach(([name, values]) => {
+            exit[name] = { ...exit[name], ...resolveValues(values, vars) };
+        });
 
-        // ========================================
-        // PINNED SCROLL-CAPTURED TIMELINE
-        // ========================================
-        // Track if we've exited forward (to prevent re-showing on scroll back from below)
-        let hasExitedForward = false;
+        setStates(initial);
 
-        // Use shorter scroll distance on mobile since content is simplified
-        const isMobile = window.innerWidth <= 768;
-        const scrollDistance = isMobile ? 1000 : 1500;
+        const next = scene.next ? document.querySelector(scene.next.selector) : null;
+        const scrollToNext = duration => {
+            if (next && window.ChrisTheme.lenis) {
+                window.ChrisTheme.lenis.scrollTo(next, {
+                    duration: duration,
+                    easing: (t) => 1 - Math.pow(1 - t, 3) // ease-out-cubic
+                });
+            }
+        };
+        let kicked = false;
 
-        const coderTimeline = gsap.timeline({
+        const timeline = gsap.timeline({
             scrollTrigger: {
-                trigger: coderSection,
+                trigger: section,
                 start: 'top top',
-                end: `+=${scrollDistance}`,  // Responsive scroll distance
-                pin: true,      // 🔥 PAGE STAYS FIXED
-                scrub: true,    // 🔥 SCROLL DRIVES TIMELINE (true = immediate, no smoothing)
+                end: `+=${scene.pin}`,
+                pin: true,
+                scrub: true,
                 anticipatePin: 1,
-
-                // When exiting forward (scrolling down past section)
+                invalidateOnRefresh: true,
+                onUpdate: (self) => {
+                    if (scene.resetBelow && self.progress < scene.resetBelow) {
+                        setStates(initial);
+                    }
+                    if (next && !jumpingToHash) {
+                        if (!kicked && self.progress >= scene.next.at && self.direction === 1) {
+                            kicked = true;
+                            scrollToNext(scene.next.duration);
+                        }
+                        // Scrolling back re-arms the kick
+                        if (kicked && self.progress < scene.next.rearm) {
+                            kicked = false;
+                        }
+                    }
+                },
+                onEnter: () => {
+                    if (scene.onEnter) scene.onEnter();
+                },
                 onLeave: () => {
-                    hasExitedForward = true;
-                    // Ensure content stays hidden at exit position
-                    gsap.set(header, { opacity: 0, x: -120, y: -170 });
-                    gsap.set(content, { opacity: 0, y: -200 });
-                    gsap.set(contentElements, { opacity: 0 });
-                    gsap.set(whiteOverlay, { opacity: 0 });
+                    setStates(exit);
+                    if (scene.onLeave) scene.onLeave();
+                    // Backup: make sure we reach the next section if the kick didn't fire
+                    if (next && !jumpingToHash) scrollToNext(scene.next.catchUp);
                 },
-
-                // When scrolling back UP into section from below
                 onEnterBack: () => {
-                    // Content should already be at exit state from onLeave
-                    // Timeline will animate it as user scrolls back
+                    if (scene.onEnterBack) scene.onEnterBack();
                 },
-
-                // When scrolling back UP past the start (returning to Hero)
                 onLeaveBack: () => {
-                    hasExitedForward = false;
-                    // Reset to initial hidden state
-                    gsap.set(header, { opacity: 0, x: -80, y: 0 });
-                    gsap.set(content, { y: 0, opacity: 1 });
-                    gsap.set(contentElements, { opacity: 0, x: 100 });
-                    gsap.set(whiteOverlay, { opacity: 0 });
-                },
+                    kicked = false;
+                    setStates(initial);
+                    if (scene.onLeaveBack) scene.onLeaveBack();
+                }
             }
         });
 
-        // Phase 1: Header enters from left (0% - 20%)
-        coderTimeline.to(header, {
-            opacity: 1,
-            x: 0,
-            duration: 0.2,
-            ease: 'power2.out',
-        }, 0);
-
-        // Phase 2: Content enters from right with stagger (10% - 40%)
-        coderTimeline.to(contentElements, {
-            opacity: 1,
-            x: 0,
-            duration: 0.25,
-            ease: 'power2.out',
-            stagger: 0.05,
-        }, 0.1); // Start at 10%
-
-        // Phase 2b: White overlay fades in AFTER text starts showing (20% - 30%)
-        // Subtle opacity for text depth/readability - behind all content
-        coderTimeline.to(whiteOverlay, {
-            opacity: 0.5,  // Subtle white tint (very light)
-            duration: 0.10,
-            ease: 'power2.out',
-        }, 0.20);
-
-        // Phase 3: Content scrolls UP to reveal GitHub section (40% - 70%)
-        // This ensures GitHub Activity is visible on all aspect ratios
-        const scrollUpAmount = isMobile ? 0 : -120; // Only scroll on desktop (mobile already shows GitHub)
-        coderTimeline.to(content, {
-            y: scrollUpAmount,
-            duration: 0.30,
-            ease: 'power2.inOut',
-        }, 0.40);
-
-        // Also scroll header up to keep alignment
-        coderTimeline.to(header, {
-            y: scrollUpAmount,
-            duration: 0.30,
-            ease: 'power2.inOut',
-        }, 0.40);
-
-        // Phase 3b: White overlay fades out BEFORE content exits (85% - 90%)
-        coderTimeline.to(whiteOverlay, {
-            opacity: 0,
-            duration: 0.05,
-            ease: 'power2.in',
-        }, 0.85);
-
-        // Phase 4: Content exits - header out left, content fades (90% - 100%)
-        coderTimeline.to(header, {
-            opacity: 0,
-            x: -120,
-            y: scrollUpAmount - 50, // Continue upward motion
-            duration: 0.10,
-            ease: 'power2.in',
-        }, 0.90);
-
-        coderTimeline.to(content, {
-            opacity: 0,
-            y: scrollUpAmount - 80, // Continue upward motion
-            duration: 0.10,
-            ease: 'power2.in',
-        }, 0.90);
-
-        console.log('Chris Theme: Coder section choreography initialized (pin: true, scrub: true, with onLeave/onLeaveBack)');
-    }
-
-    // ========================================
-    // CLAUDE CODES SECTION CHOREOGRAPHY (PINNED)
-    // ========================================
-    // Like Hero and Coder, this section is PINNED.
-    // Timeline:
-    //   0-5%:   Dark overlay fades in (for readability)
-    //   0-8%:   Header fades in
-    //   8-30%:  Terminals spawn in with stagger
-    //   28-35%: CTA appears
-    //   35-45%: Hold - view full section
-    //   45-60%: Terminals scroll UP behind header, CTA stays prominent
-    //   60-70%: Hold - CTA prominently visible
-    //   70-80%: Exit - content fades out, terminals fly back
-    //   80-95%: CRT shutdown effect
-    //   95-100%: Transition to Speaker
-    function initClaudeCodesChoreography() {
-        const claudeCodesSection = document.querySelector('.scene--claude-codes');
-        if (!claudeCodesSection || typeof gsap === 'undefined' || typeof ScrollTrigger === 'undefined') {
-            return;
-        }
-
-        const header = claudeCodesSection.querySelector('.scene__header');
-        const terminalGrid = claudeCodesSection.querySelector('.terminal-grid');
-        const terminals = claudeCodesSection.querySelectorAll('.terminal');
-        const cta = claudeCodesSection.querySelector('.claude-codes__cta');
-        const speakerSection = document.getElementById('speaker');
-
-        if (!header || !terminalGrid) {
-            return;
-        }
+        tweens.forEach(({ targets, from, to, phase }) => {
+            // immediateRender: false, or later phases' starts would show on load
+            const tweenVars = { ...to, duration: phase.duration, immediateRender: false };
+            if (phase.ease) tweenVars.ease = phase.ease;
+            if (phase.stagger) tweenVars.stagger = phase.stagger;
+            if (phase.onComplete) tweenVars.onComplete = phase.onComplete;
+            timeline.fromTo(targets, from, tweenVars, phase.at);
+        });
 
-        // Create dark overlay for readability
-        let darkOverlay = claudeCodesSection.querySelector('.claude-codes__overlay');
-        if (!darkOverlay) {
-            darkOverlay = document.createElement('div');
-            darkOverlay.className = 'claude-codes__overlay';
-            claudeCodesSection.appendChild(darkOverlay);
-        }
+        // Parallax layers move at their own speeds across the pinned range
+        const layers = [];
+        if (scene.layers) {
+            section.querySelectorAll(scene.layers.selector).forEach(layer => {
+                const speed = parseFloat(layer.dataset.parallaxSpeed);
+                if (!speed) return;
 
-        // Create CRT shutdown overlay
-        let crtOverlay = claudeCodesSection.querySelector('.crt-shutdown-overlay');
-        if (!crtOverlay) {
-            crtOverlay = document.createElement('div');
-            crtOverlay.className = 'crt-shutdown-overlay';
-            crtOverlay.innerHTML = '<div class="crt-line"></div>';
-            claudeCodesSection.appendChild(crtOverlay);
+                layers.push(gsap.to(layer, {
+                    yPercent: speed * scene.layers.yPercent,
+                    ease: 'none',
+                    scrollTrigger: {
+                        trigger: section,
+                        start: 'top top',
+                        end: `+=${scene.pin}`,
+                        scrub: true
+                    }
+                }));
+            });
         }
 
-        // Set initial states (hidden)
-        gsap.set(darkOverlay, { opacity: 0 });
-        gsap.set(crtOverlay, { opacity: 0 });
-        gsap.set(header, { opacity: 0, y: 30 });
-        gsap.set(terminalGrid, { y: 0 }); // Track grid position for scroll-up
-        gsap.set(terminals, { opacity: 0, scale: 0.8, y: 50 });
-        if (cta) gsap.set(cta, { opacity: 0, y: 20 });
+        // elements and states let tests check the enter/exit states on both scroll directions
+        return {
+            id: scene.id,
+            section: section,
+            pin: scene.pin,
+            reveal: scene.reveal || 0,
+            timeline: timeline,
+            layers: layers,
+            elements: elements,
+            states: { initial: initial, exit: exit }
+        };
+    }
 
-        // ========================================
-        // PINNED SCROLL-CAPTURED TIMELINE
-        // ========================================
-        // Track if CRT kick has been triggered (prevent multiple triggers)
-        let crtKickTriggered = false;
+    // Set while a deep link jumps the page, so scenes passed on the way don't
+    // kick on to their next section
+    let jumpingToHash = false;
 
-        // Use shorter scroll distance on mobile (fewer terminals, simpler layout)
-        const isMobile = window.innerWidth <= 768;
-        const scrollDistance = isMobile ? 1500 : 2500;
+    // Scenes' timelines, ScrollTriggers and gsap.set() states, for destroyScenes
+    let sceneContext = null;
 
-        const claudeCodesTimeline = gsap.timeline({
-            scrollTrigger: {
-                trigger: claudeCodesSection,
-                start: 'top top',
-                end: `+=${scrollDistance}`,  // Responsive scroll distance
-                pin: true,      // 🔥 PAGE STAYS FIXED
-                scrub: true,    // 🔥 SCROLL DRIVES TIMELINE (true = immediate sync, no smoothing)
-                anticipatePin: 1,
-                onUpdate: (self) => {
-                    // CRT "kick" - when animation reaches 90%, auto-scroll to next section
-                    // This creates the effect of the CRT turning off and "launching" you forward
-                    if (self.progress >= 0.90 && !crtKickTriggered && self.direction === 1) {
-                        crtKickTriggered = true;
-
-                        // Smooth scroll kick to Speaker section
-                        if (speakerSection && window.ChrisTheme?.lenis) {
-                            window.ChrisTheme.lenis.scrollTo(speakerSection, {
-                                duration: 0.6,
-                                easing: (t) => 1 - Math.pow(1 - t, 3) // ease-out-cubic
-                            });
-                        }
-                    }
+    // Build every declared and registered scene
+    function initScenes() {
+        const definitions = SCENES.concat(registeredScenes);
 
-                    // Reset kick flag when scrolling back (allows re-trigger)
-                    if (self.progress < 0.85 && crtKickTriggered) {
-                        crtKickTriggered = false;
-                    }
-                },
-                onLeave: () => {
-                    // Pause typing animation when leaving section
-                    if (window.ChrisTheme?.pauseChaosTyping) {
-                        window.ChrisTheme.pauseChaosTyping();
-                    }
-
-                    // Ensure content stays hidden after exiting forward
-                    gsap.set(header, { opacity: 0, y: -400 });
-                    gsap.set(terminals, { opacity: 0, scale: 0.8 });
-                    gsap.set(terminalGrid, { y: -400 });
-                    if (cta) gsap.set(cta, { opacity: 0 });
-                    gsap.set(darkOverlay, { opacity: 0 });
-                    gsap.set(crtOverlay, { opacity: 0 });
-
-                    // Backup: ensure we reach Speaker if kick didn't fire
-                    if (speakerSection && window.ChrisTheme?.lenis) {
-                        window.ChrisTheme.lenis.scrollTo(speakerSection, {
-                            duration: 0.3,
-                            easing: (t) => 1 - Math.pow(1 - t, 3)
-                        });
-                    }
-                },
-                onEnterBack: () => {
-                    // Resume typing animation when scrolling back into section
-                    if (window.ChrisTheme?.resumeChaosTyping) {
-                        window.ChrisTheme.resumeChaosTyping();
-                    }
-                },
-                onLeaveBack: () => {
-                    // Pause typing animation when leaving section backwards
-                    if (window.ChrisTheme?.pauseChaosTyping) {
-                        window.ChrisTheme.pauseChaosTyping();
-                    }
+        if (typeof gsap === 'undefined' || typeof ScrollTrigger === 'undefined') {
+            definitions.forEach(definition => {
+                if (definition.fallback) definition.fallback();
+            });
+            return;
+        }
 
-                    // Reset to initial hidden state when scrolling back past start
-                    crtKickTriggered = false;
-                    gsap.set(darkOverlay, { opacity: 0 });
-                    gsap.set(crtOverlay, { opacity: 0 });
-                    gsap.set(header, { opacity: 0, y: 30 });
-                    gsap.set(terminalGrid, { y: 0 });
-                    gsap.set(terminals, { opacity: 0, scale: 0.8, y: 50 });
-                    if (cta) gsap.set(cta, { opacity: 0, y: 20 });
+        // Pins are created top to bottom so each accounts for the spacing above it
+        sceneContext = gsap.context(() => definitions
+            .map(definition => ({ definition, section: document.querySelector(`[data-scene="${definition.id}"]`) }))
+            .filter(({ section }) => section)
+            .sort((a, b) => (a.section.compareDocumentPosition(b.section) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1))
+            .forEach(({ definition, section }) => {
+                const scene = buildScene(definition, section);
+                if (scene) {
+                    window.ChrisTheme.scenes[scene.id] = scene;
+                    console.log(`Chris Theme: ${scene.id} choreography initialized (pin: ${scene.pin}px, scrub: true)`);
                 }
-            }
-        });
+            }));
+    }
 
-        // Phase 1a: Dark overlay fades in FIRST (0% - 5%)
-        claudeCodesTimeline.to(darkOverlay, {
-            opacity: 1,
-            duration: 0.05,
-            ease: 'power2.out',
-        }, 0);
-
-        // Phase 1b: Header enters (0% - 8%)
-        claudeCodesTimeline.to(header, {
-            opacity: 1,
-            y: 0,
-            duration: 0.08,
-            ease: 'power2.out',
-        }, 0);
-
-        // Phase 2: Terminals spawn with stagger (8% - 30%)
-        // NOTE: Terminal typing animation is triggered when this completes
-        claudeCodesTimeline.to(terminals, {
-            opacity: 1,
-            scale: 1,
-            y: 0,
-            duration: 0.20,
-            ease: 'back.out(1.4)',
-            stagger: 0.02,
-            onComplete: () => {
-                // Start the chaos terminal typing animation once terminals are visible
-                if (window.ChrisTheme?.startChaosTyping) {
-                    window.ChrisTheme.startChaosTyping();
-                }
-            }
-        }, 0.08);
-
-        // Phase 3: CTA appears (28% - 35%)
-        if (cta) {
-            claudeCodesTimeline.to(cta, {
-                opacity: 1,
-                y: 0,
-                duration: 0.07,
-                ease: 'power2.out',
-            }, 0.28);
-        }
-
-        // Phase 4: Hold for viewing chaos animation and CTA (35% - 55%)
-        // Extended hold to ensure CTA is visible on all screen sizes before scroll-up
-        claudeCodesTimeline.to({}, { duration: 0.20 });
-
-        // Phase 5: ALL CONTENT scrolls UP together (55% - 75%)
-        // Header, terminals, and CTA all move up as a unified scroll effect
-        // This continues until the TV close animation
-        const scrollUpDistance = -400; // Total scroll distance
-        const scrollUpDuration = 0.20; // 55% to 75%
-        const scrollUpStart = 0.55;
-
-        // Terminal grid scrolls up
-        claudeCodesTimeline.to(terminalGrid, {
-            y: scrollUpDistance,
-            duration: scrollUpDuration,
-            ease: 'power1.inOut',
-        }, scrollUpStart);
-
-        // Header scrolls up at the same time
-        claudeCodesTimeline.to(header, {
-            y: scrollUpDistance,
-            duration: scrollUpDuration,
-            ease: 'power1.inOut',
-        }, scrollUpStart);
-
-        // CTA scrolls up at the same time
-        if (cta) {
-            claudeCodesTimeline.to(cta, {
-                y: scrollUpDistance,
-                duration: scrollUpDuration,
-                ease: 'power1.inOut',
-            }, scrollUpStart);
-        }
-
-        // Phase 6: Content fades out while still scrolled up (75% - 80%)
-        claudeCodesTimeline.to([header, cta].filter(Boolean), {
-            opacity: 0,
-            duration: 0.05,
-            ease: 'power2.in',
-        }, 0.75);
-
-        // Terminals fade out (75% - 80%)
-        claudeCodesTimeline.to(terminals, {
-            opacity: 0,
-            scale: 0.8,
-            duration: 0.05,
-            ease: 'power2.in',
-            stagger: 0.005,
-        }, 0.75);
-
-        // Phase 7: Dark overlay fades out as CRT begins (80% - 83%)
-        claudeCodesTimeline.to(darkOverlay, {
-            opacity: 0,
-            duration: 0.03,
-            ease: 'power2.in',
-        }, 0.80);
-
-        // Phase 8: CRT shutdown effect (80% - 92%)
-        claudeCodesTimeline.to(crtOverlay, {
-            opacity: 1,
-            duration: 0.03,
-        }, 0.80);
-
-        claudeCodesTimeline.to(crtOverlay.querySelector('.crt-line'), {
-            scaleY: 0,
-            duration: 0.12,
-            ease: 'power2.in',
-        }, 0.80);
-
-        // Hold at black briefly (92% - 95%)
-        claudeCodesTimeline.to({}, { duration: 0.03 }, 0.92);
-
-        // CRT overlay fades out (95% - 100%)
-        claudeCodesTimeline.to(crtOverlay, {
-            opacity: 0,
-            duration: 0.05,
-        }, 0.95);
-
-        console.log('Chris Theme: Claude Codes section choreography initialized (pin: true, scrub: true, with onLeave/onLeaveBack)');
+    // Kill the scenes' timelines and pins and undo their inline styles
+    function destroyScenes() {
+        if (sceneContext) {
+            sceneContext.revert();
+            sceneContext = null;
+        }
+        Object.keys(window.ChrisTheme.scenes).forEach(id => {
+            delete window.ChrisTheme.scenes[id];
+        });
     }
 
     // Initialize scene scroll animations (Speaker, Projects, etc.)
@@ -1119,36 +1241,48 @@
         console.log('Chris Theme: Project video previews initialized');
     }
 
+    // Active tilt: { cleanups } until destroyAccelerometerTilt
+    let tilt = null;
+
     // Initialize mobile accelerometer tilt effect for project cards
     function initAccelerometerTilt() {
         // Only run on touch devices
-        if (!('DeviceOrientationEvent' in window) || !isMobile) return;
+        if (!('DeviceOrientationEvent' in window) || !window.ChrisTheme.isMobile) return;
 
         const projectCards = document.querySelectorAll('.project-card');
         if (projectCards.length === 0) return;
 
+        const session = tilt = { cleanups: [] };
+
         // Check if permission is needed (iOS 13+)
         if (typeof DeviceOrientationEvent.requestPermission === 'function') {
             // Need to request permission on user interaction
             const enableTilt = () => {
                 DeviceOrientationEvent.requestPermission()
                     .then(permission => {
-                        if (permission === 'granted') {
-                            attachTiltHandler(projectCards);
+                        // Torn down while the prompt was open
+                        if (permission === 'granted' && tilt === session) {
+                            session.cleanups.push(attachTiltHandler(projectCards));
                         }
                     })
                     .catch(console.error);
-                document.removeEventListener('touchstart', enableTilt, { once: true });
             };
             document.addEventListener('touchstart', enableTilt, { once: true });
+            session.cleanups.push(() => document.removeEventListener('touchstart', enableTilt));
         } else {
             // Android or older iOS - no permission needed
-            attachTiltHandler(projectCards);
+            session.cleanups.push(attachTiltHandler(projectCards));
         }
 
         console.log('Chris Theme: Accelerometer tilt initialized');
     }
 
+    function destroyAccelerometerTilt() {
+        if (!tilt) return;
+        tilt.cleanups.forEach(cleanup => cleanup());
+        tilt = null;
+    }
+
     function attachTiltHandler(cards) {
         let isActive = false;
 
@@ -1172,7 +1306,7 @@
             observer.observe(projectsGrid);
         }
 
-        window.addEventListener('deviceorientation', (e) => {
+        const handleOrientation = (e) => {
             if (!isActive || prefersReducedMotion) return;
 
             // gamma: left-right tilt (-90 to 90)
@@ -1183,7 +1317,16 @@
             cards.forEach(card => {
                 card.style.transform = `perspective(1000px) rotateX(${tiltY * 3}deg) rotateY(${tiltX * 3}deg)`;
             });
-        }, { passive: true });
+        };
+        window.addEventListener('deviceorientation', handleOrientation, { passive: true });
+
+        return () => {
+            observer.disconnect();
+            window.removeEventListener('deviceorientation', handleOrientation);
+            cards.forEach(card => {
+                card.style.transform = '';
+            });
+        };
     }
 
     // Fetch GitHub repo data and populate cards
@@ -1301,45 +1444,82 @@
             return parsed.hash;
         }
 
-        function scrollToHash(hash, immediate = false) {
-            if (!hash || hash === '#') return false;
+        // #claude-codes, or #claude-codes@0.4 for a point in a pinned scene's timeline
+        function parseHash(hash) {
+            const match = /^#([^@]+)(?:@(\d*\.?\d+))?$/.exec(hash || '');
+            if (!match) return null;
 
-            let target;
+            let id;
             try {
-                target = document.querySelector(hash);
+                id = decodeURIComponent(match[1]);
             } catch (error) {
-                return false;
+                return null;
             }
+            const progress = match[2] === undefined ? null : Math.min(Math.max(parseFloat(match[2]), 0), 1);
+            return { id, progress };
+        }
 
-            if (!target) return false;
+        // By id, or by scene id for scenes whose section id differs (#coder)
+        function findTarget(id) {
+            return document.getElementById(id) ||
+                document.querySelector(`[data-scene="${CSS.escape(id)}"]`);
+        }
 
-            if (typeof ScrollTrigger !== 'undefined') {
-                ScrollTrigger.refresh();
+        function sceneFor(target) {
+            return Object.values(window.ChrisTheme.scenes).find(scene => scene.section === target) || null;
+        }
+
+        function targetTop(target, progress) {
+            // A pinned scene's top is its progress 0 - land on its revealed state
+            const scene = sceneFor(target);
+            const trigger = scene && scene.timeline.scrollTrigger;
+            if (trigger) {
+                const sceneProgress = progress === null ? scene.reveal : progress;
+                return trigger.start + (trigger.end - trigger.start) * sceneProgress;
             }
 
             const persistentHeader = document.querySelector('.site-header--persistent');
             const offset = persistentHeader ? -(persistentHeader.offsetHeight + 8) : 0;
-            const top = target.getBoundingClientRect().top + window.pageYOffset + offset;
+            return target.getBoundingClientRect().top + window.pageYOffset + offset;
+        }
 
+        function jumpTo(top, immediate) {
             // Lenis + pinned ScrollTrigger sections can under-scroll when using lenis.scrollTo(element).
             // Native scrollTo(top) reliably lands on deep anchors like #projects and #all-posts.
             if (window.ChrisTheme?.lenis?.scrollTo) {
+                jumpingToHash = true;
                 window.scrollTo({ top, behavior: 'auto' });
                 window.ChrisTheme.lenis.scrollTo(top, { immediate: true });
                 if (typeof ScrollTrigger !== 'undefined') {
                     ScrollTrigger.update();
                 }
+                jumpingToHash = false;
             } else {
                 window.scrollTo({
                     top,
                     behavior: immediate ? 'auto' : 'smooth',
                 });
             }
+        }
+
+        // historyMode: 'push' (link clicks), 'replace' (page load) or 'none' (back/forward)
+        function scrollToHash(hash, immediate = false, historyMode = 'replace') {
+            const parsed = parseHash(hash);
+            if (!parsed) return false;
+
+            const target = findTarget(parsed.id);
+            if (!target) return false;
+
+            if (typeof ScrollTrigger !== 'undefined') {
+                ScrollTrigger.refresh();
+            }
 
-            if (history.replaceState) {
+            jumpTo(targetTop(target, parsed.progress), immediate);
+
+            if (historyMode === 'push' && hash !== window.location.hash) {
+                history.pushState(null, '', hash);
+            } else if (historyMode === 'replace') {
                 history.replaceState(null, '', hash);
-            } else {
-                window.location.hash = hash;
             }
 
             return true;
@@ -1362,12 +1542,23 @@
                 if (!hash) return;
 
                 const immediate = link.dataset.anchorInstant === 'true';
-                const didScroll = scrollToHash(hash, immediate);
+                const didScroll = scrollToHash(hash, immediate, 'push');
                 if (!didScroll) return;
                 event.preventDefault();
             });
         });
 
+        // Back/forward step between the entries pushed by clicks and by trackSections()
+        window.addEventListener('popstate', () => {
+            if (!window.location.hash) {
+                jumpTo(0, true);
+                return;
+            }
+            scrollToHash(window.location.hash, true, 'none');
+        });
+
+        trackSections();
+
         if (window.location.hash) {
             window.requestAnimationFrame(() => {
                 window.setTimeout(() => {
@@ -1378,6 +1569,44 @@
                 }, 520);
             });
         }
+
+        // Push the section being read to the hash once scrolling settles, so
+        // shared URLs and back/forward follow the reader. The first section
+        // (the hero) is the bare URL. While the reader stays in the hash's
+        // section the hash is left alone, so a shared #scene@progress survives.
+        function trackSections() {
+            // Top-level sections - pinned ones sit inside a .pin-spacer by now
+            const sections = Array.from(document.querySelectorAll('.site-main section[id]'))
+                .filter(section => !section.parentElement.closest('section'));
+            if (sections.length < 2) return;
+
+            // Last section whose top has passed the middle of the viewport;
+            // a pinned section stays current until its pin-spacer scrolls by
+            const readingSection = () => {
+                const line = window.innerHeight / 2;
+                return sections.filter(section => section.getBoundingClientRect().top <= line).pop() || sections[0];
+            };
+
+            const hashSection = () => {
+                const parsed = parseHash(window.location.hash);
+                const target = parsed && findTarget(parsed.id);
+                return (target && sections.find(section => section.contains(target))) || sections[0];
+            };
+
+            let settleTimeout;
+            window.addEventListener('scroll', () => {
+                clearTimeout(settleTimeout);
+                settleTimeout = setTimeout(() => {
+                    const section = readingSection();
+                    if (section === hashSection()) return;
+
+                    const url = section === sections[0]
+                        ? window.location.pathname + window.location.search
+                        : `#${section.id}`;
+                    history.pushState(null, '', url);
+                }, 400);
+            }, { passive: true });
+        }
     }
 
     // Initialize reel navigator - circular article wheel
@@ -1397,9 +1626,9 @@
 
         // Configuration for top-down wheel view
         const config = {
-            radius: isMobile ? 280 : 380,           // Distance from center
+            radius: window.ChrisTheme.isMobile ? 280 : 380,           // Distance from center
             anglePerCard: 360 / cards.length,       // Angle between cards
-            scrollMultiplier: isMobile ? 0.12 : 0.08, // Scroll sensitivity
+            scrollMultiplier: window.ChrisTheme.isMobile ? 0.12 : 0.08, // Scroll sensitivity
             perspectiveCompression: 0.35            // Y-axis compression for top-down look
         };
 
@@ -1569,14 +1798,9 @@
             console.log('Chris Theme: Smooth scroll initialized');
         }
 
-        // Initialize hero parallax (works with or without Lenis)
-        initHeroParallax();
-
-        // Initialize coder section choreography (pinned scroll-captured)
-        initCoderChoreography();
-
-        // Initialize claude codes section choreography (pinned scroll-captured)
-        initClaudeCodesChoreography();
+        // Start the layout-dependent modules: the pinned scenes (Hero, Coder,
+        // Claude Codes, registered), tilt, depth canvases, carousel...
+        startModules();
 
         // Initialize universal scroll parallax for marked images
         // This provides baseline depth even when camera/depth effects fail
@@ -1594,14 +1818,16 @@
         // Initialize project video previews
         initProjectVideos();
 
-        // Initialize mobile accelerometer tilt
-        initAccelerometerTilt();
-
         // Initialize in-page hash link scrolling
         initAnchorNavigation();
 
         // Reel navigator (circular article wheel) is now handled by projection-carousel.js
         // initReelNavigator();
+
+        // Modules' triggers (the carousel pin) were created before the scene animations below them
+        if (typeof ScrollTrigger !== 'undefined') {
+            ScrollTrigger.sort();
+        }
     }
 
     // ========================================
@@ -1933,6 +2159,9 @@
         console.log('Chris Theme: Chaos terminals initialized (waiting for choreography trigger)');
     }
 
+    registerModule('scenes', { init: initScenes, destroy: destroyScenes });
+    registerModule('tilt', { init: initAccelerometerTilt, destroy: destroyAccelerometerTilt });
+
     // Initialize when DOM is ready
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', init);
@@ -16,21 +16,32 @@
         return;
     }
 
-    const isMobile = /Android|iPhone|iPad|iPod|webOS|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent)
-        || window.innerWidth <= 768;
+    const isMobileDevice = /Android|iPhone|iPad|iPod|webOS|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+
+    // Phones and tablets always; desktops while the window is at the mobile breakpoint
+    function detectMobile() {
+        return isMobileDevice || window.ChrisTheme.isMobile;
+    }
 
     // IMPORTANT: Keep sensitivity HIGH - we want pronounced motion response
     // Do NOT reduce these values - the parallax effect should be clearly visible
-    const CONFIG = isMobile ? {
-        SIZE: 32, SENSITIVITY: 220, DEAD_ZONE: 0.001, DECAY: 0.95,
-        INPUT_MIX: 0.12, RAW_SMOOTH: 0.55, BETA: 2.0, MIN_CUTOFF: 0.05,
-        X_ONLY: false, MIX_MOUSE: false
-    } : {
-        SIZE: 32, SENSITIVITY: 700, DEAD_ZONE: 0.0004, DECAY: 0.99,
-        INPUT_MIX: 0.01, RAW_SMOOTH: 0.9, BETA: 4.3, MIN_CUTOFF: 0.05,
-        X_ONLY: true, MIX_MOUSE: true, MOUSE_WEIGHT: 0.7, CAMERA_WEIGHT: 0.3
+    const CONFIGS = {
+        mobile: {
+            SIZE: 32, SENSITIVITY: 220, DEAD_ZONE: 0.001, DECAY: 0.95,
+            INPUT_MIX: 0.12, RAW_SMOOTH: 0.55, BETA: 2.0, MIN_CUTOFF: 0.05,
+            X_ONLY: false, MIX_MOUSE: false
+        },
+        desktop: {
+            SIZE: 32, SENSITIVITY: 700, DEAD_ZONE: 0.0004, DECAY: 0.99,
+            INPUT_MIX: 0.01, RAW_SMOOTH: 0.9, BETA: 4.3, MIN_CUTOFF: 0.05,
+            X_ONLY: true, MIX_MOUSE: true, MOUSE_WEIGHT: 0.7, CAMERA_WEIGHT: 0.3
+        }
     };
 
+    // Picked again on every breakpoint change (see the module at the bottom)
+    let isMobile = detectMobile();
+    let CONFIG = isMobile ? CONFIGS.mobile : CONFIGS.desktop;
+
     // One-Euro Filter - adaptive low-pass for noisy signals
     class OneEuroFilter {
         constructor(freq, minCutoff, beta, dCutoff = 1.0) {
@@ -84,11 +95,9 @@
         mouseOnlyAnimId = requestAnimationFrame(mouseOnlyLoop);
     }
 
-    if (CONFIG.MIX_MOUSE) {
-        document.addEventListener('mousemove', (e) => {
-            mouseX = (e.clientX / window.innerWidth - 0.5) * 2;
-            mouseY = (e.clientY / window.innerHeight - 0.5) * 2;
-        });
+    function handleMouseMove(e) {
+        mouseX = (e.clientX / window.innerWidth - 0.5) * 2;
+        mouseY = (e.clientY / window.innerHeight - 0.5) * 2;
     }
 
     function sobelEdges(gray, width, height) {
@@ -203,10 +212,23 @@
     async function init() {
         if (isRunning) return true;
 
+        // No optical flow at the low performance tier - mouse only on desktop
+        if (!window.ChrisTheme.qualitySettings.cameraFlow) {
+            if (CONFIG.MIX_MOUSE && !mouseOnlyAnimId && subscribers.size > 0) {
+                mouseOnlyAnimId = requestAnimationFrame(mouseOnlyLoop);
+            }
+            return false;
+        }
+
         try {
             const stream = await navigator.mediaDevices.getUserMedia({
                 video: { facingMode: 'user', width: { ideal: 64 }, height: { ideal: 64 } }
             });
+            // The tier dropped while the permission prompt was up
+            if (!window.ChrisTheme.qualitySettings.cameraFlow) {
+                stream.getTracks().forEach(track => track.stop());
+                return false;
+            }
 
             // Stop mouse-only loop if running
             if (mouseOnlyAnimId) {
@@ -385,8 +407,9 @@
             • 32×32 camera feed (ultra low-res)<br>
             • Optical flow detects motion<br>
             • No images stored or transmitted<br><br>
-            <small>${isMobile ? 'Mobile: Full head tracking' : 'Desktop: Camera + mouse mixed'}</small>
+            <small></small>
         `;
+        const modeText = infoText.querySelector('small');
 
         tooltip.appendChild(previewRow);
         tooltip.appendChild(infoText);
@@ -437,6 +460,7 @@
         }
 
         function showTooltip() {
+            modeText.textContent = isMobile ? 'Mobile: Full head tracking' : 'Desktop: Camera + mouse mixed';
             tooltip.style.opacity = '1';
             tooltip.style.transform = 'translateY(0)';
             updatePreview();
@@ -478,4 +502,42 @@
         createInfoButton();
     }
 
+    // =========================================================================
+    // Lifecycle - re-tune for the layout whenever it crosses the breakpoint,
+    // and drop the camera when the performance tier does
+    // =========================================================================
+
+    function initMotionInput() {
+        isMobile = detectMobile();
+        CONFIG = isMobile ? CONFIGS.mobile : CONFIGS.desktop;
+        [filterX, filterY].forEach(filter => {
+            filter.minCutoff = CONFIG.MIN_CUTOFF;
+            filter.beta = CONFIG.BETA;
+        });
+
+        if (isRunning && !window.ChrisTheme.qualitySettings.cameraFlow) {
+            stop();
+        }
+
+        if (CONFIG.MIX_MOUSE) {
+            document.addEventListener('mousemove', handleMouseMove);
+            // Subscribers that stayed through the change get the mouse until the camera runs
+            if (subscribers.size > 0 && !isRunning && !mouseOnlyAnimId) {
+                mouseOnlyAnimId = requestAnimationFrame(mouseOnlyLoop);
+            }
+        }
+    }
+
+    function destroyMotionInput() {
+        document.removeEventListener('mousemove', handleMouseMove);
+        if (mouseOnlyAnimId) {
+            cancelAnimationFrame(mouseOnlyAnimId);
+            mouseOnlyAnimId = null;
+        }
+        mouseX = 0;
+        mouseY = 0;
+    }
+
+    window.ChrisTheme.registerModule('motion-input', { init: initMotionInput, destroy: destroyMotionInput, quality: true });
+
 })();
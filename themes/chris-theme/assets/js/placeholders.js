@@ -0,0 +1,132 @@
+/**
+ * Image Placeholders
+ * Paints each image's dominant colour and blurred preview (LQIP) while it loads,
+ * then crossfades to the real image.
+ *
+ * Entries come from the placeholders.json manifests listed in
+ * <meta name="image-placeholders">: one by scripts/optimize-images.js for theme
+ * images, and the storage adapter's one for uploads on templates that render
+ * uploaded images (index.hbs, post.hbs add it through contentFor).
+ *
+ * Usage:
+ *   <div data-placeholder="/content/images/2026/01/photo.webp">...</div>
+ *   ImagePlaceholders.apply(element);  // for elements added later
+ */
+
+(function() {
+    'use strict';
+
+    // Responsive sizes and crops share the original's entry:
+    // size/w600/2026/01/a, 2026/01/size/w600/a or size/w600h400/2026/01/a
+    const SIZE_SEGMENT = /(^|\/)size\/w\d+(h\d+)?\//;
+
+    // [{ base, entries }] - base is the URL the manifest's keys are relative to
+    const manifests = [];
+
+    const ready = Promise.all(
+        Array.from(document.querySelectorAll('meta[name="image-placeholders"]'), meta => loadManifest(meta.content))
+    );
+
+    function loadManifest(url) {
+        return fetch(url, { credentials: 'same-origin' })
+            .then(res => {
+                if (!res.ok) return;
+                return res.json().then(entries => {
+                    // Follows redirects, so a CDN-hosted manifest resolves against the CDN
+                    manifests.push({ base: new URL('.', res.url).href, entries });
+                });
+            })
+            .catch(() => {});
+    }
+
+    /**
+     * Manifest keys are paths without extension, e.g. 2026/01/photo-1706123456789-abc12345
+     */
+    function findEntry(url) {
+        let href;
+        try {
+            href = new URL(url, location.href);
+        } catch (e) {
+            return null;
+        }
+        href.search = '';
+        href.hash = '';
+
+        for (const { base, entries } of manifests) {
+            if (!href.href.startsWith(base)) continue;
+
+            const key = href.href
+                .slice(base.length)
+                .replace(SIZE_SEGMENT, '$1')
+                .replace(/\.[^/.]+$/, '');
+            // Theme images: hero-landing-640.webp, card-team-1x1-400.webp -> hero-landing, card-team
+            const entry = entries[key] || entries[key.replace(/(-\d+x\d+)?(-\d+)?$/, '')];
+            if (entry) return entry;
+        }
+        return null;
+    }
+
+    function markLoaded(element) {
+        element.classList.add('is-loaded');
+    }
+
+    function watchLoad(element, url) {
+        const img = element.querySelector('img');
+
+        if (img) {
+            if (img.complete && img.naturalWidth) {
+                markLoaded(element);
+            } else {
+                img.addEventListener('load', () => markLoaded(element), { once: true });
+                img.addEventListener('error', () => markLoaded(element), { once: true });
+            }
+            return;
+        }
+
+        // Background images: load the same URL to know when it's cached
+        const probe = new Image();
+        probe.onload = probe.onerror = () => markLoaded(element);
+        probe.src = url;
+    }
+
+    function applyOne(element) {
+        const url = element.getAttribute('data-placeholder');
+        if (!url || element.classList.contains('has-placeholder')) return;
+
+        // Already on screen (cached) - nothing to cover
+        const img = element.querySelector('img');
+        if (img && img.complete && img.naturalWidth) return;
+
+        const entry = findEntry(url);
+        if (!entry) return;
+
+        element.style.setProperty('--placeholder-color', entry.color);
+        element.style.setProperty('--placeholder-image', `url("${entry.preview}")`);
+        element.style.setProperty('--placeholder-ratio', `${entry.width} / ${entry.height}`);
+        element.classList.add('has-placeholder');
+
+        watchLoad(element, url);
+    }
+
+    /**
+     * Apply placeholders to an element and any [data-placeholder] descendants
+     */
+    function apply(root) {
+        return ready.then(() => {
+            const scope = root || document;
+            if (scope.matches && scope.matches('[data-placeholder]')) {
+                applyOne(scope);
+            }
+            scope.querySelectorAll('[data-placeholder]').forEach(applyOne);
+        });
+    }
+
+    window.ImagePlaceholders = { apply, ready };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => apply());
+    } else {
+        apply();
+    }
+
+})();
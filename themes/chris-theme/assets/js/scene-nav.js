@@ -0,0 +1,138 @@
+/**
+ * Scene Navigator
+ *
+ * Drives the fixed section list in partials/scene-nav.hbs:
+ * - Marks the section being read (aria-current) and announces it
+ * - Fills each item's progress (--scene-progress, 0-1). Pinned scenes report
+ *   their ScrollTrigger's progress (ChrisTheme.scenes); other sections are
+ *   measured from the page, through their pin-spacer if something pins them
+ * - Arrow keys, Home and End move between items
+ *
+ * Clicking an item is left to main.js's anchor navigation (scrollToHash), which
+ * lands pinned scenes on their revealed state through Lenis.
+ */
+(function() {
+    'use strict';
+
+    const nav = document.querySelector('[data-scene-nav]');
+    if (!nav) return;
+
+    const status = nav.querySelector('[data-scene-nav-status]');
+    const items = Array.from(nav.querySelectorAll('.scene-nav__link'))
+        .map(link => ({
+            link: link,
+            label: link.querySelector('.scene-nav__label').textContent.trim(),
+            section: document.getElementById(link.getAttribute('href').slice(1))
+        }))
+        .filter(item => item.section);
+    if (items.length === 0) return;
+
+    let current = null;
+    let frame = null;
+
+    // =========================================================================
+    // PROGRESS
+    // =========================================================================
+
+    // What scrolls past: the section, or the pin-spacer GSAP wraps it in
+    function boxOf(section) {
+        const parent = section.parentElement;
+        return parent && parent.classList.contains('pin-spacer') ? parent : section;
+    }
+
+    function progressOf(section, rect) {
+        const scene = Object.values(window.ChrisTheme.scenes).find(s => s.section === section);
+        const trigger = scene && scene.timeline.scrollTrigger;
+        if (trigger) return trigger.progress;
+
+        // Middle of the viewport travelling from the box's top to its bottom
+        const progress = (window.innerHeight / 2 - rect.top) / rect.height;
+        return Math.min(Math.max(progress, 0), 1);
+    }
+
+    function render() {
+        frame = null;
+
+        // Last section whose top has passed the middle of the viewport
+        const line = window.innerHeight / 2;
+        let reading = null;
+        items.forEach(item => {
+            const rect = boxOf(item.section).getBoundingClientRect();
+            if (rect.top <= line) reading = item;
+            item.link.style.setProperty('--scene-progress', progressOf(item.section, rect).toFixed(3));
+        });
+
+        // Nothing to show over the hero
+        nav.classList.toggle('scene-nav--hidden', !reading);
+
+        if (reading === current) return;
+        if (current) current.link.removeAttribute('aria-current');
+        if (reading) {
+            reading.link.setAttribute('aria-current', 'location');
+            status.textContent = `Now reading: ${reading.label}`;
+        }
+        current = reading;
+    }
+
+    function requestRender() {
+        if (!frame) frame = requestAnimationFrame(render);
+    }
+
+    // =========================================================================
+    // KEYBOARD
+    // =========================================================================
+
+    function handleKeydown(e) {
+        const index = items.findIndex(item => item.link === document.activeElement);
+        if (index === -1) return;
+
+        const last = items.length - 1;
+        const target = {
+            ArrowDown: index === last ? 0 : index + 1,
+            ArrowRight: index === last ? 0 : index + 1,
+            ArrowUp: index === 0 ? last : index - 1,
+            ArrowLeft: index === 0 ? last : index - 1,
+            Home: 0,
+            End: last
+        }[e.key];
+        if (target === undefined) return;
+
+        // Keep the page (and the pinned carousel) from scrolling too
+        e.preventDefault();
+        items[target].link.focus();
+    }
+
+    // =========================================================================
+    // LIFECYCLE
+    // =========================================================================
+
+    function init() {
+        window.addEventListener('scroll', requestRender, { passive: true });
+        window.addEventListener('resize', requestRender);
+        if (typeof ScrollTrigger !== 'undefined') {
+            // Pins moved - the scenes' progress and the spacers changed
+            ScrollTrigger.addEventListener('refresh', requestRender);
+        }
+        nav.addEventListener('keydown', handleKeydown);
+        render();
+    }
+
+    function destroy() {
+        window.removeEventListener('scroll', requestRender);
+        window.removeEventListener('resize', requestRender);
+        if (typeof ScrollTrigger !== 'undefined') {
+            ScrollTrigger.removeEventListener('refresh', requestRender);
+        }
+        nav.removeEventListener('keydown', handleKeydown);
+        if (frame) {
+            cancelAnimationFrame(frame);
+            frame = null;
+        }
+        if (current) current.link.removeAttribute('aria-current');
+        current = null;
+    }
+
+    // Reads the scenes main.js rebuilds for the new layout
+    window.ChrisTheme.registerModule('scene-nav', { init: init, destroy: destroy });
+
+})();
@@ -42,8 +42,8 @@
         depthMapPath: '/assets/images/desert_ground_from_top_of_big_red_depth_anything_2_greyscale.png'
     };
 
-    const isMobile = window.innerWidth <= 768;
-    const maxDisplacement = isMobile ? CONFIG.displacementScale.mobile : CONFIG.displacementScale.desktop;
+    // Set by init() for the current layout
+    let maxDisplacement = CONFIG.displacementScale.desktop;
 
     // Current and target displacement values
     let currentX = 0;
@@ -82,9 +82,10 @@
         var depthMapSrc = depthImage.src;
     }
 
-    console.log('[claude-codes-depth] Init:', { isMobile, imageSrc: imageSrc.substring(imageSrc.lastIndexOf('/') + 1), fromPreload: !!bgImage });
+    console.log('[claude-codes-depth] Init:', { isMobile: window.ChrisTheme.isMobile, imageSrc: imageSrc.substring(imageSrc.lastIndexOf('/') + 1), fromPreload: !!bgImage });
 
     // Create PixiJS canvas container
+    // It outlives rebuilds: terminal-spawn.js and windswept-mask.js hold on to it
     const container = document.createElement('div');
     container.className = 'claude-codes__depth-canvas';
     container.id = 'depth-canvas-claude-codes';
@@ -99,51 +100,75 @@
     let app = null;
     let displacementSprite = null;
     let displacementFilter = null;
+    let lenisInstance = null;
+
+    // Bumped by destroy() so an initPixi() still awaiting gives up
+    let build = 0;
+
+    function init() {
+        // Removed when PixiJS failed - nothing to rebuild
+        if (!container.isConnected) return null;
+
+        maxDisplacement = window.ChrisTheme.isMobile ? CONFIG.displacementScale.mobile : CONFIG.displacementScale.desktop;
+
+        return initPixi(++build);
+    }
+
+    async function initPixi(run) {
+        const pixiApp = new PIXI.Application();
+        const stale = () => {
+            if (run === build) return false;
+            pixiApp.destroy({ removeView: true }, { children: true });
+            return true;
+        };
 
-    async function initPixi() {
         try {
-            app = new PIXI.Application();
-            await app.init({
+            await pixiApp.init({
                 width: container.clientWidth,
                 height: container.clientHeight,
                 backgroundAlpha: 0,
                 resizeTo: container,
                 antialias: true,
-                resolution: window.devicePixelRatio || 1,
+                resolution: window.ChrisTheme.pixiResolution(),
                 autoDensity: true
             });
+            if (stale()) return;
+            // 0 = uncapped; the low tier holds it to 30fps
+            pixiApp.ticker.maxFPS = window.ChrisTheme.qualitySettings.maxFPS;
 
-            container.appendChild(app.canvas);
-            app.canvas.style.width = '100%';
-            app.canvas.style.height = '100%';
-            app.canvas.style.display = 'block';
+            container.appendChild(pixiApp.canvas);
+            pixiApp.canvas.style.width = '100%';
+            pixiApp.canvas.style.height = '100%';
+            pixiApp.canvas.style.display = 'block';
 
             // Load main image
             const mainTexture = await PIXI.Assets.load(imageSrc);
+            if (stale()) return;
             const mainSprite = new PIXI.Sprite(mainTexture);
 
             // Scale to cover container with buffer to prevent edge gaps on unusual aspect ratios
-            const scaleX = app.screen.width / mainSprite.width;
-            const scaleY = app.screen.height / mainSprite.height;
+            const scaleX = pixiApp.screen.width / mainSprite.width;
+            const scaleY = pixiApp.screen.height / mainSprite.height;
             const scale = Math.max(scaleX, scaleY) * 1.15; // 15% buffer for high aspect ratios
             mainSprite.scale.set(scale);
             mainSprite.anchor.set(0.5);
-            mainSprite.x = app.screen.width / 2;
-            mainSprite.y = app.screen.height / 2;
+            mainSprite.x = pixiApp.screen.width / 2;
+            mainSprite.y = pixiApp.screen.height / 2;
 
             // Load depth map
             const depthTexture = await PIXI.Assets.load(depthMapSrc);
+            if (stale()) return;
             displacementSprite = new PIXI.Sprite(depthTexture);
             displacementSprite.texture.source.addressMode = 'clamp-to-edge';
 
             // Displacement sprite must cover full screen with buffer
-            const depthScaleX = app.screen.width / displacementSprite.width;
-            const depthScaleY = app.screen.height / displacementSprite.height;
+            const depthScaleX = pixiApp.screen.width / displacementSprite.width;
+            const depthScaleY = pixiApp.screen.height / displacementSprite.height;
             const depthScale = Math.max(depthScaleX, depthScaleY) * 1.15; // Match main sprite buffer
             displacementSprite.scale.set(depthScale);
             displacementSprite.anchor.set(0.5);
-            displacementSprite.x = app.screen.width / 2;
-            displacementSprite.y = app.screen.height / 2;
+            displacementSprite.x = pixiApp.screen.width / 2;
+            displacementSprite.y = pixiApp.screen.height / 2;
 
             // Create displacement filter
             displacementFilter = new PIXI.DisplacementFilter({
@@ -152,8 +177,11 @@
             });
 
             mainSprite.filters = [displacementFilter];
-            app.stage.addChild(displacementSprite);
-            app.stage.addChild(mainSprite);
+            pixiApp.stage.addChild(displacementSprite);
+            pixiApp.stage.addChild(mainSprite);
+
+            // Ready - destroy() owns it from here
+            app = pixiApp;
 
             // Start animation loop
             app.ticker.add(animate);
@@ -167,8 +195,10 @@
             // Initialize scroll-based parallax
             initScrollParallax();
 
-            // Initially paused until section is visible
+            // Initially paused until section is visible - observing now means
+            // the first callback sees the app
             app.ticker.stop();
+            observer.observe(claudeCodesSection);
 
         } catch (error) {
             console.error('Claude Codes Depth: Failed to initialize', error);
@@ -196,57 +226,69 @@
     // Motion Input Integration (shared with Hero+Coder canvas)
     // =========================================================================
 
+    function handleMotion(x, y) {
+        motionX = x;
+        motionY = y;
+    }
+
+    function handleMouseMove(e) {
+        // Use viewport-relative coordinates for consistent effect
+        motionX = (e.clientX / window.innerWidth - 0.5) * 2;
+        motionY = (e.clientY / window.innerHeight - 0.5) * 2;
+    }
+
+    function handleMouseLeave() {
+        motionX = 0;
+        motionY = 0;
+    }
+
     function initMotionInput() {
         // Check if MotionInput is available - subscribe to same input as Hero canvas
         if (typeof MotionInput !== 'undefined') {
-            MotionInput.subscribe((x, y) => {
-                motionX = x;
-                motionY = y;
-            });
+            MotionInput.subscribe(handleMotion);
         } else {
             // Fallback to mouse-only if MotionInput not loaded
-            initMouseFallback();
+            claudeCodesSection.addEventListener('mousemove', handleMouseMove);
+            claudeCodesSection.addEventListener('mouseleave', handleMouseLeave);
         }
     }
 
-    function initMouseFallback() {
-        claudeCodesSection.addEventListener('mousemove', (e) => {
-            // Use viewport-relative coordinates for consistent effect
-            motionX = (e.clientX / window.innerWidth - 0.5) * 2;
-            motionY = (e.clientY / window.innerHeight - 0.5) * 2;
-        });
-
-        claudeCodesSection.addEventListener('mouseleave', () => {
-            motionX = 0;
-            motionY = 0;
-        });
+    function destroyMotionInput() {
+        if (typeof MotionInput !== 'undefined') {
+            MotionInput.unsubscribe(handleMotion);
+        }
+        claudeCodesSection.removeEventListener('mousemove', handleMouseMove);
+        claudeCodesSection.removeEventListener('mouseleave', handleMouseLeave);
+        motionX = 0;
+        motionY = 0;
     }
 
     // =========================================================================
     // Scroll-Based Parallax (like hero-depth.js)
     // =========================================================================
 
-    function initScrollParallax() {
-        function updateScrollOffset() {
-            const rect = claudeCodesSection.getBoundingClientRect();
-            const viewportHeight = window.innerHeight;
-
-            // Calculate progress based on section position in viewport
-            const sectionCenter = rect.top + rect.height / 2;
-            const scrollProgress = 1 - (sectionCenter / viewportHeight);
-            const clampedProgress = Math.max(0, Math.min(1, scrollProgress));
-
-            // Apply scroll intensity to create displacement offset
-            scrollOffsetX = (clampedProgress - 0.5) * CONFIG.scrollIntensity.x * 2;
-            scrollOffsetY = clampedProgress * CONFIG.scrollIntensity.y;
-        }
+    function updateScrollOffset() {
+        const rect = claudeCodesSection.getBoundingClientRect();
+        const viewportHeight = window.innerHeight;
+
+        // Calculate progress based on section position in viewport
+        const sectionCenter = rect.top + rect.height / 2;
+        const scrollProgress = 1 - (sectionCenter / viewportHeight);
+        const clampedProgress = Math.max(0, Math.min(1, scrollProgress));
 
+        // Apply scroll intensity to create displacement offset
+        scrollOffsetX = (clampedProgress - 0.5) * CONFIG.scrollIntensity.x * 2;
+        scrollOffsetY = clampedProgress * CONFIG.scrollIntensity.y;
+    }
+
+    function initScrollParallax() {
         // Check for Lenis in window.ChrisTheme
-        const lenisInstance = window.ChrisTheme && window.ChrisTheme.lenis;
+        lenisInstance = window.ChrisTheme && window.ChrisTheme.lenis;
 
         if (lenisInstance && typeof lenisInstance.on === 'function') {
             lenisInstance.on('scroll', updateScrollOffset);
         } else {
+            lenisInstance = null;
             window.addEventListener('scroll', updateScrollOffset, { passive: true });
         }
 
@@ -254,6 +296,14 @@
         updateScrollOffset();
     }
 
+    function destroyScrollParallax() {
+        if (lenisInstance) {
+            lenisInstance.off('scroll', updateScrollOffset);
+            lenisInstance = null;
+        }
+        window.removeEventListener('scroll', updateScrollOffset);
+    }
+
     // =========================================================================
     // Resize handling
     // =========================================================================
@@ -305,16 +355,29 @@
         });
     }, { threshold: 0.1 });
 
-    observer.observe(claudeCodesSection);
-
     // =========================================================================
-    // Initialize
+    // Lifecycle - rebuilt by main.js when the layout crosses the breakpoint
     // =========================================================================
 
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', initPixi);
-    } else {
-        initPixi();
+    function destroy() {
+        build++;
+
+        observer.unobserve(claudeCodesSection);
+        window.removeEventListener('resize', handleResize);
+        destroyMotionInput();
+        destroyScrollParallax();
+
+        if (app) {
+            app.destroy({ removeView: true }, { children: true });
+            app = null;
+        }
+        displacementSprite = null;
+        displacementFilter = null;
+        currentX = currentY = targetX = targetY = 0;
+        scrollOffsetX = scrollOffsetY = 0;
     }
 
+    // Rebuilt by main.js when the layout or the performance tier changes
+    window.ChrisTheme.registerModule('claude-codes-depth', { init: init, destroy: destroy, quality: true });
+
 })();
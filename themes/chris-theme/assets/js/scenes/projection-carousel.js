@@ -42,6 +42,10 @@
         // Drag
         dragSensitivity: 0.3,
         maxVelocity: 15,
+
+        // Thumbnails: the theme's "reel" image size (package.json), which the
+        // storage adapter crops around the focal point instead of the centre
+        thumbnailSize: 'w600h400',
     };
 
     // =========================================================================
@@ -92,7 +96,7 @@
         centerY = rect.height + 80;
 
         // Responsive radius
-        radius = window.innerWidth <= 768 ? CONFIG.radiusMobile : CONFIG.radius;
+        radius = window.ChrisTheme.isMobile ? CONFIG.radiusMobile : CONFIG.radius;
 
         // Angle between cards - spread them across the configured arc
         // 200° allows edge cards to peek under the footer
@@ -291,7 +295,8 @@
     // =========================================================================
 
     function handleKey(e) {
-        if (!isPinned) return;
+        // Handled already, e.g. arrowing through the scene navigator
+        if (!isPinned || e.defaultPrevented) return;
 
         if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
             velocity = -anglePerCard * 0.25;
@@ -356,6 +361,14 @@
         }
     }
 
+    /**
+     * Same URL {{img_url feature_image size="reel"}} gives server-rendered cards
+     * External images (Unsplash etc.) are left as they are
+     */
+    function thumbnailUrl(url) {
+        return url.replace(/\/content\/images\/(?!size\/)/, `/content/images/size/${CONFIG.thumbnailSize}/`);
+    }
+
     function appendPosts(posts) {
         posts.forEach((post, i) => {
             const article = document.createElement('article');
@@ -366,7 +379,7 @@
             article.innerHTML = `
                 <a href="${post.url}" class="reel-card__link">
                     ${post.feature_image
-                        ? `<div class="reel-card__image" style="background-image:url(${post.feature_image})"></div>`
+                        ? `<div class="reel-card__image" style="background-image:url(${thumbnailUrl(post.feature_image)})" data-placeholder="${thumbnailUrl(post.feature_image)}"></div>`
                         : `<div class="reel-card__image reel-card__image--placeholder"></div>`}
                     <div class="reel-card__content">
                         <time class="reel-card__date" datetime="${date.toISOString().split('T')[0]}">${date.toLocaleDateString('en-US', {day:'numeric',month:'short',year:'numeric'})}</time>
@@ -376,6 +389,7 @@
             `;
 
             wheel.appendChild(article);
+            window.ImagePlaceholders?.apply(article);
         });
 
         cards = Array.from(wheel.querySelectorAll('.reel-card'));
@@ -391,43 +405,68 @@
     // SETUP
     // =========================================================================
 
+    function handleWheelMouseDown(e) {
+        if (!isPinned) return;
+        e.preventDefault();
+        startDrag(e.clientX);
+    }
+
+    function handleMouseMove(e) {
+        moveDrag(e.clientX);
+    }
+
+    function handleTouchStart(e) {
+        if (!isPinned) return;
+        startDrag(e.touches[0].clientX);
+    }
+
+    function handleTouchMove(e) {
+        moveDrag(e.touches[0].clientX);
+    }
+
+    // Resize - debounced to avoid rapid recalculations during drag resize
+    let resizeTimeout;
+    function handleResize() {
+        clearTimeout(resizeTimeout);
+        resizeTimeout = setTimeout(() => {
+            // Wait for layout to settle before recalculating
+            requestAnimationFrame(() => {
+                if (!scrollTriggerInstance) return;
+                updateGeometry();
+                positionCards();
+                // Refresh ScrollTrigger to recalculate pin positions
+                ScrollTrigger.refresh();
+            });
+        }, 150);
+    }
+
     function setupEvents() {
         // Mouse
-        wheel.addEventListener('mousedown', (e) => {
-            if (!isPinned) return;
-            e.preventDefault();
-            startDrag(e.clientX);
-        });
-        window.addEventListener('mousemove', (e) => moveDrag(e.clientX));
+        wheel.addEventListener('mousedown', handleWheelMouseDown);
+        window.addEventListener('mousemove', handleMouseMove);
         window.addEventListener('mouseup', endDrag);
 
         // Touch
-        wheel.addEventListener('touchstart', (e) => {
-            if (!isPinned) return;
-            startDrag(e.touches[0].clientX);
-        }, { passive: true });
-        wheel.addEventListener('touchmove', (e) => moveDrag(e.touches[0].clientX), { passive: true });
+        wheel.addEventListener('touchstart', handleTouchStart, { passive: true });
+        wheel.addEventListener('touchmove', handleTouchMove, { passive: true });
         wheel.addEventListener('touchend', endDrag, { passive: true });
 
         // Keyboard
         document.addEventListener('keydown', handleKey);
 
-        // Resize - debounced to avoid rapid recalculations during drag resize
-        let resizeTimeout;
-        window.addEventListener('resize', () => {
-            clearTimeout(resizeTimeout);
-            resizeTimeout = setTimeout(() => {
-                // Wait for layout to settle before recalculating
-                requestAnimationFrame(() => {
-                    updateGeometry();
-                    positionCards();
-                    // Refresh ScrollTrigger to recalculate pin positions
-                    if (scrollTriggerInstance) {
-                        ScrollTrigger.refresh();
-                    }
-                });
-            }, 150);
-        });
+        window.addEventListener('resize', handleResize);
+    }
+
+    function removeEvents() {
+        wheel.removeEventListener('mousedown', handleWheelMouseDown);
+        window.removeEventListener('mousemove', handleMouseMove);
+        window.removeEventListener('mouseup', endDrag);
+        wheel.removeEventListener('touchstart', handleTouchStart);
+        wheel.removeEventListener('touchmove', handleTouchMove);
+        wheel.removeEventListener('touchend', endDrag);
+        document.removeEventListener('keydown', handleKey);
+        window.removeEventListener('resize', handleResize);
+        clearTimeout(resizeTimeout);
     }
 
     function setupScrollTrigger() {
@@ -537,6 +576,18 @@
         console.log('[carousel] Ready with', cards.length, 'cards');
     }
 
+    // Undo init() so it can run again for the new layout. The wheel keeps its
+    // angle, and cards loaded since stay loaded.
+    function destroy() {
+        if (!scrollTriggerInstance) return;
+        stopAnimation();
+        isDragging = false;
+        isPinned = false;
+        removeEvents();
+        scrollTriggerInstance.kill(true);
+        scrollTriggerInstance = null;
+    }
+
     // =========================================================================
     // DEBUG PANEL
     // =========================================================================
@@ -738,22 +789,7 @@
         });
     }
 
-    function waitForTheme(cb, max = 50) {
-        let n = 0;
-        const check = () => {
-            if (window.ChrisTheme?.gsap && window.ChrisTheme?.ScrollTrigger) {
-                cb();
-            } else if (n++ < max) {
-                requestAnimationFrame(check);
-            }
-        };
-        check();
-    }
-
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => waitForTheme(init));
-    } else {
-        waitForTheme(init);
-    }
+    // Rebuilt by main.js when the layout crosses the breakpoint
+    window.ChrisTheme.registerModule('projection-carousel', { init: init, destroy: destroy });
 
 })();
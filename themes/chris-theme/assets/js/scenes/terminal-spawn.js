@@ -2,8 +2,8 @@
  * Terminal Dock-Spawn Animation Support
  *
  * This module provides support elements (overlay, CRT) for the Claude Codes
- * section choreography in main.js. The main animation timeline is handled
- * by initClaudeCodesChoreography() in main.js.
+ * section choreography in main.js. The main animation timeline is built
+ * from the 'claude-codes' scene in main.js (SCENES).
  *
  * This file handles:
  * - Reduced motion preferences (showing content immediately)
@@ -254,9 +254,28 @@
         return (time - exitStartTime) * 1000 > CONFIG.exitDuration;
     }
 
+    // The low performance tier keeps the edge still: redrawn on scroll only
+    function isWindAnimated() {
+        return window.ChrisTheme.qualitySettings.animatedMask;
+    }
+
     function animationLoop(timestamp) {
         if (!isAnimating) return;
 
+        // Tier dropped mid-transition
+        if (!isWindAnimated()) {
+            if (isExiting) {
+                const heroCoderCanvas = document.getElementById('depth-canvas-hero-coder');
+                if (heroCoderCanvas) {
+                    heroCoderCanvas.style.opacity = '0';
+                }
+            } else {
+                updateMask(0, currentProgress);
+            }
+            stopAnimation();
+            return;
+        }
+
         const time = (timestamp - animationStartTime) / 1000;
 
         updateMask(time, currentProgress);
@@ -275,6 +294,10 @@
 
     function startAnimation() {
         if (isAnimating) return;
+        if (!isWindAnimated()) {
+            updateMask(0, currentProgress);
+            return;
+        }
         isAnimating = true;
         isExiting = false;
         animationStartTime = performance.now();
@@ -415,7 +438,12 @@
                 startAnimation();
             },
             onLeave: () => {
-                startExitAnimation();
+                if (isAnimating) {
+                    startExitAnimation();
+                } else {
+                    // Still edge - no exit sweep to wait for
+                    heroCoderCanvas.style.opacity = '0';
+                }
             },
             onEnterBack: () => {
                 // Coming back from below - animate in from right